@@ -1,6 +1,7 @@
 import { Geometry, VertexBuffer, VertexData, Vector3 } from "@babylonjs/core";
 import earcut from "earcut";
-import FaceVertices from "mda/mda/Queries/FaceVertices";
+import { computePolygonNormal, getFaceLoops, getLoopVertices } from "./brepUtils";
+
 class Tessellator {
 
   verData = [];
@@ -10,7 +11,15 @@ class Tessellator {
   facetID = -1;
   nBabylonVertices = 0;
 
-  tessellate(brep, scene) {
+  // uvMode "world" maps one texture repeat to uvScale world units on every face,
+  // "normalized" stretches the texture over the 0..1 bounds of each face
+  uvOptions = { uvMode: "world", uvScale: 1 };
+
+  constructor(uvOptions = {}) {
+    this.uvOptions = { ...this.uvOptions, ...uvOptions };
+  }
+
+  tessellate(brep, scene, uvOptions = {}) {
 
     const tessellationData = {
       geometry: null,
@@ -23,6 +32,7 @@ class Tessellator {
     }
 
     this.flush();
+    this.activeUVOptions = { ...this.uvOptions, ...uvOptions };
 
     brep.getPositions().forEach((position, index) => {
       if (Object.prototype.toString.call(position).includes("Float32Array")) {
@@ -61,16 +71,36 @@ class Tessellator {
     this.faceFacetMapping[index] = [];
 
     const positions = brep.getPositions();
-    const faceVertices = FaceVertices(face);
-    const facePositions = faceVertices.map((vertex) => positions[vertex.getIndex()]);
 
-    let flattenedPositions = [...facePositions];
-   
-    this._populatePositions(facePositions);
+    // The outer loop comes first, followed by the inner loops (holes) of the face
+    const loops = getFaceLoops(face).map((loopStart) =>
+      getLoopVertices(loopStart).map((vertex) => positions[vertex.getIndex()])
+    );
+
+    const holeIndices = [];
+    let loopOffset = loops[0].length;
+    loops.slice(1).forEach((loop) => {
+      holeIndices.push(loopOffset);
+      loopOffset += loop.length;
+    });
+
+    let flattenedPositions = loops.flat();
+
+    this._populatePositions(flattenedPositions);
+    this._populateUVs(flattenedPositions, loops[0]);
+
+    // Facets are the triangles of the geometry, numbered like a pick's faceId
+    const firstFacet = this.indices.length / 3;
     this._populateIndices.call(
       this,
-      flattenedPositions
+      flattenedPositions,
+      holeIndices
     );
+    this.facetID = this.indices.length / 3 - 1;
+
+    for (let facet = firstFacet; facet <= this.facetID; facet++) {
+      this.faceFacetMapping[index].push(facet);
+    }
 
     this.nBabylonVertices = this.verData.length / 3;
 
@@ -82,7 +112,52 @@ class Tessellator {
     });
   };
 
-  _populateIndices(facePositions) {
+  _populateUVs(facePositions, outerLoop) {
+    const { uAxis, vAxis } = this._getUVBasis(outerLoop);
+    const { uvMode, uvScale } = this.activeUVOptions;
+
+    // Coordinates are measured from the world origin, so they do not move when other faces are edited
+    const coordinates = facePositions.map((position) => {
+      const point = Vector3.FromArray(position);
+      return [Vector3.Dot(point, uAxis), Vector3.Dot(point, vAxis)];
+    });
+
+    if (uvMode === "normalized") {
+      const min = [0, 1].map((i) => Math.min(...coordinates.map((c) => c[i])));
+      const max = [0, 1].map((i) => Math.max(...coordinates.map((c) => c[i])));
+      const size = [0, 1].map((i) => Math.max(max[i] - min[i], 1e-10));
+
+      coordinates.forEach(([u, v]) => {
+        this.uvData.push((u - min[0]) / size[0], (v - min[1]) / size[1]);
+      });
+    } else {
+      coordinates.forEach(([u, v]) => {
+        this.uvData.push(u / uvScale, v / uvScale);
+      });
+    }
+  }
+
+  // The basis only depends on the face normal: U runs horizontally along walls and
+  // V up them, while horizontal faces use world X for U. U, V and the normal form a
+  // right-handed frame, so textures read the right way round from outside the solid.
+  _getUVBasis(outerLoop) {
+    const normal = computePolygonNormal(outerLoop);
+    if (normal.length() < 1e-10) {
+      return { uAxis: new Vector3(1, 0, 0), vAxis: new Vector3(0, 0, 1) };
+    }
+    normal.normalize();
+
+    let uAxis = Vector3.Cross(Vector3.Up(), normal);
+    if (uAxis.length() < 1e-6) {
+      uAxis = new Vector3(1, 0, 0);
+    }
+    uAxis.normalize();
+
+    const vAxis = Vector3.Cross(normal, uAxis).normalize();
+    return { uAxis, vAxis };
+  }
+
+  _populateIndices(facePositions, holeIndices = []) {
     // Compute face normal and choose best projection plane
     const getFaceNormalAndProjection = (positions) => {
       if (positions.length < 3) {
@@ -92,23 +167,15 @@ class Tessellator {
         };
       }
 
-      const p0 = Vector3.FromArray(positions[0]);
-      const p1 = Vector3.FromArray(positions[1]);
-      const p2 = Vector3.FromArray(positions[2]);
-
-      const v1 = p1.subtract(p0);
-      const v2 = p2.subtract(p0);
+      // Newell's method stays correct when the first vertices are collinear or concave
+      const normal = computePolygonNormal(positions);
 
-      const normal = Vector3.Cross(v1, v2);
-      
-      const length = normal.length();
-      if (length < 1e-10) {
+      if (normal.length() < 1e-10) {
         return {
           projectionIndices: [0, 2], // Default to XZ projection for Y-up
           normal: new Vector3(0, 1, 0)
         };
       }
-      normal.scaleInPlace(1 / length);
 
       const nx = Math.abs(normal.x);
       const ny = Math.abs(normal.y);
@@ -127,8 +194,9 @@ class Tessellator {
       return { projectionIndices, normal };
     };
 
-    // Get projection info
-    const { projectionIndices } = getFaceNormalAndProjection(facePositions);
+    // Get projection info from the outer loop
+    const outerLength = holeIndices.length > 0 ? holeIndices[0] : facePositions.length;
+    const { projectionIndices } = getFaceNormalAndProjection(facePositions.slice(0, outerLength));
 
     // Project vertices onto the chosen plane
     let earcutPath = [];
@@ -144,7 +212,7 @@ class Tessellator {
       });
 
       // Perform triangulation on the 2D projected points as earcut only works with xy
-      let triangles = earcut(earcutPath, [], 2);
+      let triangles = earcut(earcutPath, holeIndices, 2);
 
       // Validate triangulation result
       if (!triangles || triangles.length === 0) {
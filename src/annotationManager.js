@@ -0,0 +1,306 @@
+import { Color3, DynamicTexture, Mesh, MeshBuilder, StandardMaterial, Vector3 } from "@babylonjs/core";
+import { PointerEventTypes } from "@babylonjs/core/Events/pointerEvents";
+import { getPrismFootprint } from "./brepUtils";
+import { footprintCentroid, footprintSignedArea } from "./polygonUtils";
+
+// Label size on screen, in pixels; labels are rescaled whenever the 2D zoom changes
+const LABEL_PIXEL_HEIGHT = 18;
+// Distance of edge labels from their edge, in pixels
+const LABEL_PIXEL_OFFSET = 14;
+const LABEL_FONT = "bold 40px Arial";
+const TEXTURE_HEIGHT = 64;
+
+// Lifts the measuring line slightly above the ground to avoid z-fighting with the grid
+const MEASURE_OFFSET = new Vector3(0, 0.01, 0);
+
+const formatLength = (length) => length.toFixed(2);
+
+/**
+ * Shows dimension labels on the footprint edges of the selected mesh and its area in the 2D view,
+ * and provides a tool measuring the distance between two clicked points.
+ */
+export class AnnotationManager {
+    constructor(scene, cameraManager, editModeManager, snapManager) {
+        this.scene = scene;
+        this.cameraManager = cameraManager;
+        this.editModeManager = editModeManager;
+        this.snapManager = snapManager;
+        this.isEnabled = true;
+        // Labels of the selected mesh's footprint, as { mesh, anchor, direction }
+        this.labels = [];
+        this.isMeasureMode = false;
+        // The points of the current measurement; end follows the pointer until the second click
+        this.measureStart = null;
+        this.measureEnd = null;
+        this.isMeasureComplete = false;
+        this.measureLabels = [];
+        this.measureLine = null;
+
+        this.editModeManager.onSelectedMeshChangedObservable.add(() => this.updateAnnotations());
+        // Zooming only moves and resizes the labels; entering or leaving the 2D top view shows or hides them
+        this.cameraManager.onViewChangedObservable.add(() => {
+            if (this.cameraManager.isPlanView() && this.labels.length > 0) {
+                this.layoutLabels(this.labels);
+            } else {
+                this.updateAnnotations();
+            }
+
+            if (this.cameraManager.isPlanView() && this.measureLabels.length > 0) {
+                this.layoutLabels(this.measureLabels);
+            } else {
+                this.updateMeasurement();
+            }
+        });
+
+        this.setupPointerObserver();
+    }
+
+    /**
+     * Shows or hides the footprint annotations.
+     * @returns {boolean} True if the annotations are now shown.
+     */
+    toggleAnnotations() {
+        this.isEnabled = !this.isEnabled;
+        this.updateAnnotations();
+        return this.isEnabled;
+    }
+
+    /**
+     * Toggles the measuring tool, switching to the 2D top view while it is active.
+     * @returns {boolean} True if the measuring tool is now active.
+     */
+    toggleMeasureMode() {
+        this.isMeasureMode = !this.isMeasureMode;
+
+        if (this.isMeasureMode) {
+            if (!this.cameraManager.isPlanView()) {
+                this.cameraManager.setOrthoView("top");
+            }
+        } else {
+            this.clearMeasurement();
+            if (this.cameraManager.is2DMode) {
+                this.cameraManager.toggle2DMode();
+            }
+        }
+
+        return this.isMeasureMode;
+    }
+
+    /**
+     * Adds the annotation commands to the command registry.
+     * @param {CommandManager} commandManager - The registry the shortcuts and command palette run.
+     */
+    registerCommands(commandManager) {
+        commandManager.register({
+            id: "annotations.toggle",
+            label: "Show/hide dimensions",
+            run: () => this.toggleAnnotations()
+        });
+        commandManager.register({
+            id: "measure.clear",
+            label: "Discard measurement",
+            shortcuts: ["Escape"],
+            isEnabled: () => this.isMeasureMode,
+            run: () => this.clearMeasurement()
+        });
+    }
+
+    /**
+     * Computes the dimensions shown for a prism: its footprint edge lengths, area and centroid.
+     * @param {Mesh} mesh - A prism mesh.
+     * @returns {{edges: Array<{start: Array<number>, end: Array<number>, length: number}>,
+     *     area: number, centroid: Array<number>, top: number}}
+     *     The [x, z] edges of all footprint loops, the area without the holes, the centroid and the top Y.
+     * @throws Will throw an error if the mesh is not an upright prism.
+     */
+    computeDimensions(mesh) {
+        const { outer, holes, bottom, height } = getPrismFootprint(mesh);
+        const loops = [outer, ...holes];
+
+        const edges = loops.flatMap(loop => loop.map((start, i) => {
+            const end = loop[(i + 1) % loop.length];
+            return { start, end, length: Math.hypot(end[0] - start[0], end[1] - start[1]) };
+        }));
+        const area = loops.reduce((sum, loop) => sum + footprintSignedArea(loop), 0);
+
+        return { edges, area, centroid: footprintCentroid(loops), top: bottom + height };
+    }
+
+    // Rebuilds the labels of the selected mesh, shown in the 2D top view only
+    updateAnnotations() {
+        this.clearLabels();
+
+        const mesh = this.editModeManager.selectedMesh;
+        if (!this.isEnabled || !this.cameraManager.isPlanView() || !mesh?.brepData) return;
+
+        let dimensions;
+        try {
+            dimensions = this.computeDimensions(mesh);
+        } catch (error) {
+            // Only prisms have a footprint to annotate
+            return;
+        }
+
+        const { edges, area, centroid, top } = dimensions;
+        edges.forEach(({ start, end, length }) => {
+            if (length < 1e-6) return;
+
+            // The outer loop is counter-clockwise and holes run the other way, so the
+            // left-hand normal points away from the solid
+            const direction = [(start[1] - end[1]) / length, (end[0] - start[0]) / length];
+            const anchor = new Vector3((start[0] + end[0]) / 2, top, (start[1] + end[1]) / 2);
+            this.labels.push({ mesh: this.createLabel(formatLength(length)), anchor, direction });
+        });
+
+        this.labels.push({
+            mesh: this.createLabel(`Area: ${formatLength(area)}`),
+            anchor: new Vector3(centroid[0], top, centroid[1]),
+            direction: [0, 0]
+        });
+
+        this.layoutLabels(this.labels);
+    }
+
+    clearLabels() {
+        this.labels.forEach(({ mesh }) => this.disposeLabel(mesh));
+        this.labels = [];
+    }
+
+    /**
+     * Creates a text label facing the camera, drawn on top of the scene.
+     * Its size is one world unit high; layoutLabels scales it to the screen.
+     * @param {string} text - The label text.
+     * @returns {Mesh} The label mesh.
+     */
+    createLabel(text) {
+        // Roughly fits the text; the texture is cleared to white around it
+        const textureWidth = Math.max(TEXTURE_HEIGHT, Math.ceil(text.length * 24 + 24));
+        const texture = new DynamicTexture("annotationTexture", { width: textureWidth, height: TEXTURE_HEIGHT }, this.scene, false);
+        texture.hasAlpha = false;
+        texture.drawText(text, null, null, LABEL_FONT, "#000000", "#ffffff", true);
+
+        const material = new StandardMaterial("annotationMaterial", this.scene);
+        material.diffuseTexture = texture;
+        material.emissiveColor = Color3.White();
+        material.disableLighting = true;
+        material.backFaceCulling = false;
+
+        const label = MeshBuilder.CreatePlane("annotationLabel", { width: textureWidth / TEXTURE_HEIGHT, height: 1 }, this.scene);
+        label.material = material;
+        label.billboardMode = Mesh.BILLBOARDMODE_ALL;
+        label.isPickable = false;
+        // Rendered after the scene with a cleared depth buffer, so geometry never hides it
+        label.renderingGroupId = 1;
+
+        return label;
+    }
+
+    disposeLabel(label) {
+        label.material?.diffuseTexture?.dispose();
+        label.material?.dispose();
+        label.dispose();
+    }
+
+    /**
+     * Sizes labels to a constant height on screen and offsets them from their anchors.
+     * @param {Array<{mesh: Mesh, anchor: Vector3, direction: Array<number>}>} labels - The labels to place.
+     */
+    layoutLabels(labels) {
+        const unitsPerPixel = this.cameraManager.getWorldUnitsPerPixel();
+        const size = LABEL_PIXEL_HEIGHT * unitsPerPixel;
+        const offset = LABEL_PIXEL_OFFSET * unitsPerPixel;
+
+        labels.forEach(({ mesh, anchor, direction }) => {
+            mesh.scaling.setAll(size);
+            mesh.position = anchor.add(new Vector3(direction[0] * offset, 0, direction[1] * offset));
+        });
+    }
+
+    // Sets the measuring points on click and follows the pointer with the end point
+    setupPointerObserver() {
+        this.scene.onPointerObservable.add((pointerInfo) => {
+            if (!this.isMeasureMode || !this.cameraManager.isPlanView()) return;
+
+            // Measuring from the start point along the axes is easy to snap to
+            const guides = this.measureStart && !this.isMeasureComplete
+                ? [{ origin: [this.measureStart.x, this.measureStart.z], direction: [1, 0] }]
+                : [];
+
+            if (pointerInfo.type === PointerEventTypes.POINTERTAP && pointerInfo.event.button === 0) {
+                const snapResult = this.snapManager.snapPointer(0, { guides });
+                if (snapResult) {
+                    this.addMeasurePoint(snapResult.point);
+                }
+            } else if (pointerInfo.type === PointerEventTypes.POINTERMOVE) {
+                const snapResult = this.snapManager.snapPointer(0, { guides });
+                if (snapResult && this.measureStart && !this.isMeasureComplete) {
+                    this.measureEnd = snapResult.point;
+                    this.updateMeasurement();
+                }
+            }
+        });
+    }
+
+    /**
+     * Starts a new measurement, or ends the current one at the point.
+     * @param {Vector3} point - The clicked point on the ground.
+     */
+    addMeasurePoint(point) {
+        if (!this.measureStart || this.isMeasureComplete) {
+            this.measureStart = point;
+            this.measureEnd = null;
+            this.isMeasureComplete = false;
+        } else {
+            this.measureEnd = point;
+            this.isMeasureComplete = true;
+        }
+        this.updateMeasurement();
+    }
+
+    /**
+     * Returns the current measurement.
+     * @returns {{distance: number, dx: number, dz: number}|null} The distance and its X and Z
+     *     components, or null while fewer than two points are set.
+     */
+    getMeasurement() {
+        if (!this.measureStart || !this.measureEnd) return null;
+
+        const delta = this.measureEnd.subtract(this.measureStart);
+        return { distance: Math.hypot(delta.x, delta.z), dx: delta.x, dz: delta.z };
+    }
+
+    // Rebuilds the measuring line and its distance label
+    updateMeasurement() {
+        this.measureLine?.dispose();
+        this.measureLine = null;
+        this.measureLabels.forEach(({ mesh }) => this.disposeLabel(mesh));
+        this.measureLabels = [];
+
+        const measurement = this.getMeasurement();
+        if (!measurement || !this.isMeasureMode || !this.cameraManager.isPlanView()) return;
+
+        this.measureLine = MeshBuilder.CreateLines(
+            "measureLine",
+            { points: [this.measureStart, this.measureEnd].map(point => point.add(MEASURE_OFFSET)) },
+            this.scene
+        );
+        this.measureLine.color = new Color3(1, 0.4, 0);
+        this.measureLine.isPickable = false;
+        this.measureLine.renderingGroupId = 1;
+
+        const { distance, dx, dz } = measurement;
+        const text = `${formatLength(distance)} (Δx ${formatLength(dx)}, Δz ${formatLength(dz)})`;
+        const anchor = Vector3.Center(this.measureStart, this.measureEnd).add(MEASURE_OFFSET);
+        const direction = distance > 1e-6 ? [-dz / distance, dx / distance] : [0, 0];
+        this.measureLabels.push({ mesh: this.createLabel(text), anchor, direction });
+        this.layoutLabels(this.measureLabels);
+    }
+
+    clearMeasurement() {
+        this.snapManager.hideIndicator();
+        this.measureStart = null;
+        this.measureEnd = null;
+        this.isMeasureComplete = false;
+        this.updateMeasurement();
+    }
+}
@@ -0,0 +1,75 @@
+import { addCustomMesh } from "./create";
+import { getPrismFootprint } from "./brepUtils";
+import { computeFootprintBoolean } from "./polygonBoolean";
+
+// Name of each operation, for history labels and messages
+const OPERATION_NAMES = {
+    union: "Union",
+    subtract: "Subtract",
+    intersect: "Intersect"
+};
+
+/**
+ * Combines the footprints of two selected prisms into a new prism with union, subtract or intersect.
+ */
+export class BooleanManager {
+    constructor(scene, editModeManager) {
+        this.scene = scene;
+        this.editModeManager = editModeManager;
+    }
+
+    /**
+     * Combines the footprints of the two selected prisms and replaces them with the result.
+     * The result keeps the height, base and color of the first selected prism; if the operation
+     * splits the footprint into separate pieces, each piece becomes its own prism.
+     * @param {string} operation - "union", "subtract" (first minus second) or "intersect".
+     * @returns {Array<Mesh>} The created meshes, empty if the operation was refused or failed.
+     */
+    apply(operation) {
+        const name = OPERATION_NAMES[operation];
+        const operands = this.editModeManager.getSelectedMeshes();
+        if (operands.length !== 2) {
+            this.editModeManager.notify(`${name} needs two selected prisms; Shift-click to add the second one`);
+            return [];
+        }
+
+        const [first, second] = operands;
+        const created = [];
+        try {
+            const firstFootprint = getPrismFootprint(first);
+            const secondFootprint = getPrismFootprint(second);
+            const pieces = computeFootprintBoolean(operation, firstFootprint, secondFootprint);
+
+            if (pieces.length === 0) {
+                this.editModeManager.notify(`${name} left nothing, so the prisms were kept`);
+                return [];
+            }
+
+            pieces.forEach(({ outer, holes }) => {
+                // The base goes into the BREP so the result stays editable without baking a transform
+                const mesh = addCustomMesh(
+                    this.scene, outer, firstFootprint.height, holes, first.uvOptions, firstFootprint.bottom
+                );
+                if (!mesh) {
+                    throw new Error("the result could not be tessellated");
+                }
+                created.push(mesh);
+
+                if (first.material?.diffuseColor) {
+                    mesh.material.diffuseColor = first.material.diffuseColor.clone();
+                }
+            });
+        } catch (error) {
+            console.error(`Error computing ${operation}:`, error);
+            created.forEach(mesh => mesh.dispose());
+            this.editModeManager.notify(`${name} failed: ${error.message}`);
+            return [];
+        }
+
+        this.editModeManager.replaceMeshes(name, operands, created);
+        if (created.length > 1) {
+            this.editModeManager.notify(`${name} produced ${created.length} separate prisms`);
+        }
+        return created;
+    }
+}
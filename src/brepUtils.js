@@ -0,0 +1,233 @@
+import BrepMesh from "mda/mda/Core/Mesh";
+import Vertex from "mda/mda/Core/Vertex";
+import Edge from "mda/mda/Core/Edge";
+import Face from "mda/mda/Core/Face";
+import HalfEdge from "mda/mda/Core/HalfEdge";
+import FaceVertices from "mda/mda/Queries/FaceVertices";
+import { Vector3 } from "@babylonjs/core";
+
+// Faces may have inner loops (holes). They are stored as `face.innerLoops`, an array
+// holding one half-edge of each inner loop; those half-edges belong to the face itself
+// and run opposite to the outer loop.
+
+/**
+ * Builds a BREP from positions and face loops.
+ * @param {Array<Array<number>>} positions - The [x, y, z] vertex positions.
+ * @param {Array<Array<number>>} cells - The outer vertex loop of each face.
+ * @param {Array<Array<number|Array<number>>>} [innerLoops=[]] - Pairs of a face index in `cells`
+ *     and a vertex loop cut out of that face.
+ * @returns {BREP} The processed BREP.
+ */
+export const createBrep = (positions, cells, innerLoops = []) => {
+    const brep = new BrepMesh();
+
+    // Inner loops are processed as temporary faces, so their flips are resolved
+    brep.setPositions(positions);
+    brep.setCells([...cells, ...innerLoops.map(([, loop]) => loop)]);
+    brep.process();
+
+    const loopFaces = brep.faces.slice(cells.length);
+    innerLoops.forEach(([faceIndex], i) => {
+        const face = brep.faces[faceIndex];
+        const loopStart = loopFaces[i].getHalfEdge();
+
+        getLoopHalfEdges(loopStart).forEach(halfEdge => halfEdge.setFace(face));
+        face.innerLoops = [...(face.innerLoops || []), loopStart];
+    });
+
+    brep.faces = brep.faces.slice(0, cells.length);
+    brep.cells = brep.getCells();
+
+    return brep;
+};
+
+/**
+ * Returns one half-edge of each loop of a face, the outer loop first.
+ * @param {Face} face - The face.
+ * @returns {Array<HalfEdge>} The loop start half-edges.
+ */
+export const getFaceLoops = (face) => [face.getHalfEdge(), ...(face.innerLoops || [])];
+
+/**
+ * Retrieves the half-edges of the loop a half-edge belongs to, starting with it.
+ * @param {HalfEdge} start - A half-edge of the loop.
+ * @returns {Array<HalfEdge>} The half-edges in loop order.
+ */
+export const getLoopHalfEdges = (start) => {
+    const halfEdges = [];
+    let halfEdge = start;
+
+    do {
+        halfEdges.push(halfEdge);
+        halfEdge = halfEdge.getNextHalfEdge();
+    } while (halfEdge !== start);
+
+    return halfEdges;
+};
+
+/**
+ * Retrieves the vertices of the loop a half-edge belongs to, starting with its vertex.
+ * @param {HalfEdge} start - A half-edge of the loop.
+ * @returns {Array<Vertex>} The vertices in loop order.
+ */
+export const getLoopVertices = (start) => getLoopHalfEdges(start).map(halfEdge => halfEdge.getVertex());
+
+/**
+ * Lists the inner loops of a BREP in the form createBrep takes them.
+ * @param {BREP} brep - The BREP data.
+ * @returns {Array<Array<number|Array<number>>>} Pairs of a face index and the vertex indices of an inner loop.
+ */
+export const getInnerLoopCells = (brep) => brep.getFaces().flatMap(face =>
+    (face.innerLoops || []).map(start => [face.getIndex(), getLoopVertices(start).map(vertex => vertex.getIndex())])
+);
+
+/**
+ * Creates a deep copy of a BREP, preserving its exact topology.
+ * Every vertex, edge, face and half-edge is duplicated and re-linked to its
+ * copied counterparts, so the copy can be edited without touching the source.
+ * Elements that are still referenced but no longer listed in the BREP arrays
+ * (stale links left behind by in-place edits) are copied as well.
+ * @param {BREP} brep - The BREP to copy.
+ * @returns {BREP} The copied BREP.
+ */
+export const cloneBrep = (brep) => {
+    const copies = new Map();
+    const pending = [];
+
+    const copyOf = (element, Type) => {
+        if (!element) return element;
+        if (!copies.has(element)) {
+            copies.set(element, new Type());
+            pending.push([element, Type]);
+        }
+        return copies.get(element);
+    };
+
+    const clone = new BrepMesh();
+    clone.positions = brep.getPositions().map(position => Array.from(position));
+    clone.cells = (brep.cells || []).map(cell => Array.from(cell));
+    clone.vertices = brep.vertices.map(vertex => copyOf(vertex, Vertex));
+    clone.edges = brep.edges.map(edge => copyOf(edge, Edge));
+    clone.faces = brep.faces.map(face => copyOf(face, Face));
+    clone.halfEdges = brep.halfEdges.map(halfEdge => copyOf(halfEdge, HalfEdge));
+
+    // Link the copies; linking may discover further unlisted elements
+    while (pending.length > 0) {
+        const [source, Type] = pending.pop();
+        const copy = copies.get(source);
+
+        if (Type === HalfEdge) {
+            copy.setVertex(copyOf(source.getVertex(), Vertex));
+            copy.setEdge(copyOf(source.getEdge(), Edge));
+            copy.setFace(copyOf(source.getFace(), Face));
+            copy.setFlipHalfEdge(copyOf(source.getFlipHalfEdge(), HalfEdge));
+            copy.setNextHalfEdge(copyOf(source.getNextHalfEdge(), HalfEdge));
+        } else {
+            copy.setIndex(source.getIndex());
+            copy.setHalfEdge(copyOf(source.getHalfEdge(), HalfEdge));
+            if (Type === Face && source.innerLoops) {
+                copy.innerLoops = source.innerLoops.map(halfEdge => copyOf(halfEdge, HalfEdge));
+            }
+        }
+    }
+
+    clone.buildEdgeMap();
+
+    return clone;
+};
+
+/**
+ * Moves every position of a BREP by a transform, e.g. to bake a mesh's world matrix into it.
+ * The topology is kept, so the transform must not mirror the solid or its faces would turn inside out.
+ * @param {BREP} brep - The BREP to transform in place.
+ * @param {Matrix} matrix - The transform to apply.
+ */
+export const transformBrepPositions = (brep, matrix) => {
+    brep.positions = brep.getPositions().map(position =>
+        Vector3.TransformCoordinates(Vector3.FromArray(position), matrix).asArray());
+};
+
+/**
+ * Computes the unit normal of a polygon using Newell's method, which stays
+ * correct for concave polygons and tolerates collinear vertices.
+ * @param {Array<Array<number>>} points - The [x, y, z] polygon vertices, in loop order.
+ * @returns {Vector3} The unit normal, or a zero vector for degenerate polygons.
+ */
+export const computePolygonNormal = (points) => {
+    const normal = new Vector3(0, 0, 0);
+
+    points.forEach((current, i) => {
+        const next = points[(i + 1) % points.length];
+        normal.x += (current[1] - next[1]) * (current[2] + next[2]);
+        normal.y += (current[2] - next[2]) * (current[0] + next[0]);
+        normal.z += (current[0] - next[0]) * (current[1] + next[1]);
+    });
+
+    const length = normal.length();
+    return length < 1e-10 ? normal : normal.scale(1 / length);
+};
+
+/**
+ * Projects polygon points onto the coordinate plane that faces a normal most, dropping the axis
+ * the normal is closest to. Loops projected with the same normal keep their relative winding.
+ * @param {Array<Array<number>>} points - The [x, y, z] points.
+ * @param {Vector3} normal - The polygon normal.
+ * @returns {Array<Array<number>>} The projected 2D points.
+ */
+export const projectToDominantPlane = (points, normal) => {
+    const components = [normal.x, normal.y, normal.z].map(Math.abs);
+    const dropped = components.indexOf(Math.max(...components));
+    // Swapping the kept axes for negative normals keeps windings comparable across normals
+    const axes = [[1, 2], [2, 0], [0, 1]][dropped];
+    const [first, second] = [normal.x, normal.y, normal.z][dropped] < 0 ? [...axes].reverse() : axes;
+    return points.map(point => [point[first], point[second]]);
+};
+
+/**
+ * Computes the unit normal of a BREP face from its vertex loop.
+ * @param {BREP} brep - The BREP the face belongs to.
+ * @param {Face} face - The face.
+ * @returns {Vector3} The unit normal, or a zero vector for degenerate faces.
+ */
+export const computeFaceNormal = (brep, face) => {
+    const positions = brep.getPositions();
+    return computePolygonNormal(FaceVertices(face).map(vertex => positions[vertex.getIndex()]));
+};
+
+/**
+ * Reads the footprint of a prism in world space: the loops of its top face and its vertical extent.
+ * @param {Mesh} mesh - A mesh with BREP data.
+ * @returns {{outer: Array<Array<number>>, holes: Array<Array<Array<number>>>, bottom: number, height: number}}
+ *     The [x, z] loops, the Y of the bottom face and the height.
+ * @throws Will throw an error if the mesh is not an upright prism.
+ */
+export const getPrismFootprint = (mesh) => {
+    const brep = mesh.brepData;
+    if (!brep) {
+        throw new Error(`${mesh.name} has no BREP data`);
+    }
+
+    const worldMatrix = mesh.computeWorldMatrix(true);
+    const positions = brep.getPositions().map(position =>
+        Vector3.TransformCoordinates(Vector3.FromArray(position), worldMatrix).asArray());
+    const heights = positions.map(position => position[1]);
+    const bottom = Math.min(...heights);
+    const top = Math.max(...heights);
+
+    // A prism only has vertices on its bottom and top faces
+    const isLevel = (y, level) => Math.abs(y - level) < 0.001;
+    if (heights.some(y => !isLevel(y, bottom) && !isLevel(y, top))) {
+        throw new Error(`${mesh.name} is not a prism`);
+    }
+
+    const topFace = brep.getFaces().find(face => getFaceLoops(face).every(start =>
+        getLoopVertices(start).every(vertex => isLevel(heights[vertex.getIndex()], top))));
+    if (!topFace) {
+        throw new Error(`${mesh.name} has no flat top face`);
+    }
+
+    const [outer, ...holes] = getFaceLoops(topFace).map(start =>
+        getLoopVertices(start).map(vertex => [positions[vertex.getIndex()][0], positions[vertex.getIndex()][2]]));
+
+    return { outer, holes, bottom, height: top - bottom };
+};
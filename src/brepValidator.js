@@ -0,0 +1,278 @@
+import { Vector3 } from "@babylonjs/core";
+import { computePolygonNormal, getFaceLoops, getLoopVertices, projectToDominantPlane } from "./brepUtils";
+import { doLoopsIntersect } from "./polygonUtils";
+
+/**
+ * Computes the Euler characteristic V - E + F - R of a BREP, where R counts inner loops (holes).
+ * It equals 2 * (shells - genus) for a valid solid.
+ * @param {BREP} brep - The BREP data.
+ * @returns {number} The Euler characteristic.
+ */
+export const computeEulerCharacteristic = (brep) => {
+    const innerLoopCount = brep.faces.reduce((count, face) => count + (face.innerLoops?.length || 0), 0);
+    return brep.vertices.length - brep.edges.length + brep.faces.length - innerLoopCount;
+};
+
+/**
+ * Checks that a BREP describes a closed, consistently oriented manifold solid.
+ * The checks are:
+ *  - indices: elements are indexed by their array position and match positions and cells
+ *  - links: every half-edge has a vertex, edge, face, next and a mutual flip half-edge
+ *  - loops: every face loop (outer and inner) closes, has at least 3 half-edges and covers each half-edge once
+ *  - manifold: the half-edges around every vertex form a single fan
+ *  - faces: every face is a simple polygon, its loops neither intersecting themselves nor each other
+ *  - euler: V - E + F - R matches the expected value (if none is given, a genus of 0 or more)
+ *  - orientation: face normals point outward, giving a positive enclosed volume
+ * @param {BREP} brep - The BREP data.
+ * @param {Object} [options]
+ * @param {number} [options.eulerCharacteristic] - Expected V - E + F - R, e.g. the value before an edit.
+ * @returns {{valid: boolean, failures: Array<{check: string, message: string}>}} The first failure of each check.
+ */
+export const validateBrep = (brep, options = {}) => {
+    const failures = [];
+    const fail = (check, message) => {
+        if (!failures.some(failure => failure.check === check)) {
+            failures.push({ check, message });
+        }
+    };
+
+    checkIndices(brep, fail);
+    checkLinks(brep, fail);
+
+    // The remaining checks walk the links, which is only safe once they are consistent
+    if (failures.length === 0) {
+        checkLoops(brep, fail);
+        checkManifold(brep, fail);
+    }
+    if (failures.length === 0) {
+        checkFaces(brep, fail);
+        checkEuler(brep, options.eulerCharacteristic, fail);
+        checkOrientation(brep, fail);
+    }
+
+    return { valid: failures.length === 0, failures };
+};
+
+const checkIndices = (brep, fail) => {
+    [["vertex", brep.vertices], ["edge", brep.edges], ["face", brep.faces]].forEach(([name, elements]) => {
+        elements.forEach((element, i) => {
+            if (element.getIndex() !== i) {
+                fail("indices", `${name} at position ${i} has index ${element.getIndex()}`);
+            }
+        });
+    });
+
+    if (brep.positions.length !== brep.vertices.length) {
+        fail("indices", `${brep.positions.length} positions for ${brep.vertices.length} vertices`);
+    }
+
+    (brep.cells || []).forEach((cell, i) => {
+        if (cell.some(index => index < 0 || index >= brep.vertices.length)) {
+            fail("indices", `cell ${i} references a missing vertex`);
+        }
+    });
+};
+
+const checkLinks = (brep, fail) => {
+    const vertices = new Set(brep.vertices);
+    const edges = new Set(brep.edges);
+    const faces = new Set(brep.faces);
+    const halfEdges = new Set(brep.halfEdges);
+
+    if (brep.halfEdges.length !== 2 * brep.edges.length) {
+        fail("links", `${brep.halfEdges.length} half-edges for ${brep.edges.length} edges`);
+    }
+
+    brep.halfEdges.forEach((halfEdge, i) => {
+        const flip = halfEdge.getFlipHalfEdge();
+        const next = halfEdge.getNextHalfEdge();
+
+        if (!vertices.has(halfEdge.getVertex())) {
+            fail("links", `half-edge ${i} has no vertex`);
+        } else if (!edges.has(halfEdge.getEdge())) {
+            fail("links", `half-edge ${i} has no edge`);
+        } else if (!faces.has(halfEdge.getFace())) {
+            fail("links", `half-edge ${i} has no face`);
+        } else if (!halfEdges.has(next)) {
+            fail("links", `half-edge ${i} has no next half-edge`);
+        } else if (!halfEdges.has(flip)) {
+            fail("links", `half-edge ${i} has no flip half-edge`);
+        } else if (flip.getFlipHalfEdge() !== halfEdge) {
+            fail("links", `half-edge ${i} and its flip do not point at each other`);
+        } else if (flip.getEdge() !== halfEdge.getEdge()) {
+            fail("links", `half-edge ${i} and its flip belong to different edges`);
+        } else if (flip.getVertex() !== next.getVertex()) {
+            fail("links", `half-edge ${i} and its flip do not run in opposite directions`);
+        }
+    });
+
+    brep.edges.forEach((edge, i) => {
+        if (!halfEdges.has(edge.getHalfEdge()) || edge.getHalfEdge().getEdge() !== edge) {
+            fail("links", `edge ${i} does not reference one of its half-edges`);
+        }
+    });
+
+    brep.vertices.forEach((vertex, i) => {
+        if (!halfEdges.has(vertex.getHalfEdge()) || vertex.getHalfEdge().getVertex() !== vertex) {
+            fail("links", `vertex ${i} does not reference an outgoing half-edge`);
+        }
+    });
+
+    brep.faces.forEach((face, i) => {
+        getFaceLoops(face).forEach(loopStart => {
+            if (!halfEdges.has(loopStart) || loopStart.getFace() !== face) {
+                fail("links", `face ${i} does not reference one of its half-edges`);
+            }
+        });
+    });
+};
+
+const checkLoops = (brep, fail) => {
+    const visited = new Set();
+
+    brep.faces.forEach((face, i) => {
+        getFaceLoops(face).forEach(start => {
+            let halfEdge = start;
+            let length = 0;
+
+            do {
+                if (halfEdge.getFace() !== face) {
+                    fail("loops", `a loop of face ${i} runs into another face`);
+                    return;
+                }
+                if (visited.has(halfEdge)) {
+                    fail("loops", `a loop of face ${i} does not close`);
+                    return;
+                }
+                visited.add(halfEdge);
+                halfEdge = halfEdge.getNextHalfEdge();
+                length++;
+            } while (halfEdge !== start);
+
+            if (length < 3) {
+                fail("loops", `a loop of face ${i} has only ${length} edges`);
+            }
+        });
+    });
+
+    if (visited.size !== brep.halfEdges.length) {
+        fail("loops", `${brep.halfEdges.length - visited.size} half-edges are not part of any face loop`);
+    }
+};
+
+const checkManifold = (brep, fail) => {
+    const outgoingCounts = new Map();
+    brep.halfEdges.forEach(halfEdge => {
+        const vertex = halfEdge.getVertex();
+        outgoingCounts.set(vertex, (outgoingCounts.get(vertex) || 0) + 1);
+    });
+
+    brep.vertices.forEach((vertex, i) => {
+        const start = vertex.getHalfEdge();
+        let halfEdge = start;
+        let count = 0;
+
+        do {
+            halfEdge = halfEdge.getFlipHalfEdge().getNextHalfEdge();
+            count++;
+        } while (halfEdge !== start && count <= brep.halfEdges.length);
+
+        if (count !== outgoingCounts.get(vertex)) {
+            fail("manifold", `the faces around vertex ${i} do not form a single fan`);
+        }
+    });
+};
+
+const checkFaces = (brep, fail) => {
+    const positions = brep.getPositions();
+
+    brep.faces.forEach((face, i) => {
+        const loops = getFaceLoops(face).map(start => getLoopVertices(start).map(vertex => positions[vertex.getIndex()]));
+        // Holes are projected with the outer loop's normal so all loops share one plane
+        const normal = computePolygonNormal(loops[0]);
+        if (doLoopsIntersect(loops.map(loop => projectToDominantPlane(loop, normal)))) {
+            fail("faces", `the loops of face ${i} intersect`);
+        }
+    });
+};
+
+const checkEuler = (brep, expected, fail) => {
+    const characteristic = computeEulerCharacteristic(brep);
+
+    if (expected !== undefined) {
+        if (characteristic !== expected) {
+            fail("euler", `V - E + F - R is ${characteristic} instead of ${expected}`);
+        }
+        return;
+    }
+
+    // Without an expected value, any whole genus (through holes) is accepted
+    const genusTimesTwo = 2 * countShells(brep) - characteristic;
+    if (genusTimesTwo < 0 || genusTimesTwo % 2 !== 0) {
+        fail("euler", `V - E + F - R is ${characteristic}, which no closed solid has`);
+    }
+};
+
+// Counts connected components of faces
+const countShells = (brep) => {
+    const visited = new Set();
+    let shells = 0;
+
+    brep.faces.forEach(face => {
+        if (visited.has(face)) return;
+        shells++;
+
+        const stack = [face];
+        visited.add(face);
+        while (stack.length > 0) {
+            getFaceLoops(stack.pop()).forEach(start => {
+                let halfEdge = start;
+                do {
+                    const neighbor = halfEdge.getFlipHalfEdge().getFace();
+                    if (!visited.has(neighbor)) {
+                        visited.add(neighbor);
+                        stack.push(neighbor);
+                    }
+                    halfEdge = halfEdge.getNextHalfEdge();
+                } while (halfEdge !== start);
+            });
+        }
+    });
+
+    return shells;
+};
+
+const checkOrientation = (brep, fail) => {
+    const volume = computeSignedVolume(brep);
+    if (volume <= 1e-9) {
+        fail("orientation", volume < -1e-9
+            ? "the faces point inward"
+            : "the solid encloses no volume");
+    }
+};
+
+/**
+ * Computes the volume enclosed by a closed BREP from its face loops.
+ * @param {BREP} brep - The BREP data.
+ * @returns {number} The volume, negative when the faces point inward.
+ */
+export const computeSignedVolume = (brep) => {
+    const positions = brep.getPositions();
+    let volume = 0;
+
+    // Inner loops run opposite to the outer loop, so they subtract their area
+    brep.faces.forEach(face => getFaceLoops(face).forEach(start => {
+        const origin = Vector3.FromArray(positions[start.getVertex().getIndex()]);
+
+        // Fan triangulation; concave loops still sum to the right signed area
+        let halfEdge = start.getNextHalfEdge();
+        while (halfEdge.getNextHalfEdge() !== start) {
+            const current = Vector3.FromArray(positions[halfEdge.getVertex().getIndex()]);
+            const next = Vector3.FromArray(positions[halfEdge.getNextHalfEdge().getVertex().getIndex()]);
+            volume += Vector3.Dot(origin, Vector3.Cross(current, next)) / 6;
+            halfEdge = halfEdge.getNextHalfEdge();
+        }
+    }));
+
+    return volume;
+};
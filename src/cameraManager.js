@@ -1,11 +1,28 @@
 // CameraManager.js
-import { ArcRotateCamera, Camera, Vector3 } from "@babylonjs/core";
+import { ArcRotateCamera, Camera, Matrix, Observable, Plane, Scalar, Vector3 } from "@babylonjs/core";
+
+// Length of the animated transition to a recalled view, in milliseconds
+const VIEW_TRANSITION_DURATION = 600;
+
+// Space left around framed meshes, as a factor of their size
+const FRAME_MARGIN = 1.1;
+
+// The locked orbit angles of each orthographic view, and the world axes (x = 0, y = 1, z = 2) spanning its screen
+export const ORTHO_VIEWS = {
+    top: { alpha: -Math.PI/2, beta: 0, axes: [0, 2] },
+    front: { alpha: -Math.PI/2, beta: Math.PI/2, axes: [0, 1] },
+    back: { alpha: Math.PI/2, beta: Math.PI/2, axes: [0, 1] },
+    left: { alpha: Math.PI, beta: Math.PI/2, axes: [2, 1] },
+    right: { alpha: 0, beta: Math.PI/2, axes: [2, 1] }
+};
 
 export class CameraManager {
     constructor(scene, canvas) {
         this.scene = scene;
         this.canvas = canvas;
         this.is2DMode = false;
+        // Which orthographic view the 2D mode shows: a key of ORTHO_VIEWS
+        this.orthoView = "top";
         
         // Store default values for reset
         this.defaultRadius = 50;
@@ -16,6 +33,16 @@ export class CameraManager {
         // Store orthographic defaults
         this.defaultOrthoLeft = -30;
         this.defaultOrthoRight = 30;
+
+        // Notifies when the 2D mode or the orthographic zoom changes, e.g. to resize screen-sized annotations
+        this.onViewChangedObservable = new Observable();
+
+        // Named views saved by the user, as camera states from getState
+        this.savedViews = new Map();
+        // Notifies the view names whenever a view is saved or deleted
+        this.onSavedViewsChangedObservable = new Observable();
+        // The animation towards a recalled view, while it runs
+        this.transition = null;
         
         this.setupCamera();
     }
@@ -42,18 +69,25 @@ export class CameraManager {
 
         // Add observer for radius changes in orthographic mode
         this.scene.onBeforeRenderObservable.add(() => {
+            if (this.transition) {
+                this.advanceTransition(this.scene.getEngine().getDeltaTime());
+                return;
+            }
+
             if (this.is2DMode && this.oldRadius !== this.camera.radius) {
                 const radiusChangeRatio = this.camera.radius / this.oldRadius;
                 this.camera.orthoLeft *= radiusChangeRatio;
                 this.camera.orthoRight *= radiusChangeRatio;
                 this.oldRadius = this.camera.radius;
                 this.setOrthoCameraTopBottom();
+                this.onViewChangedObservable.notifyObservers(this);
             }
 
             // Prevent any rotation in ortho mode
             if (this.is2DMode) {
-                this.camera.beta = 0;
-                this.camera.alpha = -Math.PI/2;
+                const { alpha, beta } = ORTHO_VIEWS[this.orthoView];
+                this.camera.beta = beta;
+                this.camera.alpha = alpha;
             }
         });
     }
@@ -64,39 +98,115 @@ export class CameraManager {
         this.camera.orthoBottom = this.camera.orthoLeft * ratio;
     }
 
+    // Switches between the orthographic top view and the perspective view
     toggle2DMode() {
-        this.is2DMode = !this.is2DMode;
-    
-        if (this.is2DMode) {
-            // Switch to 2D (orthographic) mode
-            this.camera.mode = Camera.ORTHOGRAPHIC_CAMERA;
-            
-            // Lock rotation
-            this.camera.upperBetaLimit = 0;
-            this.camera.lowerBetaLimit = 0;
-            this.camera.upperAlphaLimit = -Math.PI/2;
-            this.camera.lowerAlphaLimit = -Math.PI/2;
-            this.camera.beta = 0;
-            this.camera.alpha = -Math.PI/2;
-            
+        if (!this.is2DMode) {
+            this.setOrthoView("top");
+            return;
+        }
+
+        this.transition = null;
+        this.applyProjection(false);
+
+        // Restore default perspective view
+        this.camera.beta = this.defaultBeta;
+        this.camera.alpha = this.defaultAlpha;
+
+        this.onViewChangedObservable.notifyObservers(this);
+    }
+
+    /**
+     * Shows an orthographic view with locked rotation. Entering the 2D mode starts from the default
+     * orthographic bounds; turning to another orthographic view keeps the current zoom.
+     * @param {string} view - "top", "front", "back", "left" or "right".
+     * @throws Will throw an error if the view is unknown.
+     */
+    setOrthoView(view) {
+        const angles = ORTHO_VIEWS[view];
+        if (!angles) {
+            throw new Error(`Unknown orthographic view: ${view}`);
+        }
+
+        this.transition = null;
+        const wasOrthographic = this.is2DMode;
+        this.orthoView = view;
+        this.applyProjection(true);
+        this.camera.beta = angles.beta;
+        this.camera.alpha = angles.alpha;
+
+        if (!wasOrthographic) {
             // Set orthographic camera bounds
             this.camera.orthoLeft = this.defaultOrthoLeft;
             this.camera.orthoRight = this.defaultOrthoRight;
-            this.setOrthoCameraTopBottom();
+        }
+        this.setOrthoCameraTopBottom();
+
+        this.onViewChangedObservable.notifyObservers(this);
+    }
+
+    /**
+     * Tells whether the camera shows the orthographic top view, where footprints are drawn and edited.
+     * @returns {boolean} True in the 2D top view.
+     */
+    isPlanView() {
+        return this.is2DMode && this.orthoView === "top";
+    }
+
+    /**
+     * Tells which orthographic elevation the camera shows, if any.
+     * @returns {string|null} "front", "back", "left" or "right", or null in the top and perspective views.
+     */
+    getElevationView() {
+        return this.is2DMode && this.orthoView !== "top" ? this.orthoView : null;
+    }
+
+    /**
+     * Lists the world axes spanning the screen of the orthographic view; the perspective view uses the ground axes.
+     * @returns {Array<number>} The indices (x = 0, y = 1, z = 2) of the horizontal and vertical screen axes.
+     */
+    getViewPlaneAxes() {
+        return this.is2DMode ? ORTHO_VIEWS[this.orthoView].axes : ORTHO_VIEWS.top.axes;
+    }
+
+    /**
+     * Returns the direction the orthographic view looks in, from the locked orbit angles.
+     * @returns {Vector3} The unit direction from the camera towards its target.
+     */
+    getOrthoViewDirection() {
+        const { alpha, beta } = ORTHO_VIEWS[this.orthoView];
+        return new Vector3(
+            -Math.cos(alpha) * Math.sin(beta),
+            -Math.cos(beta),
+            -Math.sin(alpha) * Math.sin(beta)
+        );
+    }
+
+    /**
+     * Switches the camera between the orthographic view with locked rotation and the free
+     * perspective view, leaving the orbit angles and the orthographic bounds to the caller.
+     * @param {boolean} is2DMode - True for the orthographic view named by orthoView.
+     */
+    applyProjection(is2DMode) {
+        this.is2DMode = is2DMode;
+
+        if (is2DMode) {
+            const { alpha, beta } = ORTHO_VIEWS[this.orthoView];
+            this.camera.mode = Camera.ORTHOGRAPHIC_CAMERA;
+
+            // Lock rotation
+            this.camera.upperBetaLimit = beta;
+            this.camera.lowerBetaLimit = beta;
+            this.camera.upperAlphaLimit = alpha;
+            this.camera.lowerAlphaLimit = alpha;
         } else {
-            // Switch back to 3D (perspective) mode
             this.camera.mode = Camera.PERSPECTIVE_CAMERA;
-            
+
             // Unlock rotation
             this.camera.upperBetaLimit = Math.PI;
             this.camera.lowerBetaLimit = 0;
             this.camera.upperAlphaLimit = null;
             this.camera.lowerAlphaLimit = null;
-            
-            // Restore default perspective view
-            this.camera.beta = this.defaultBeta;
-            this.camera.alpha = this.defaultAlpha;
-            
+
             // Reset orthographic bounds
             this.camera.orthoLeft = null;
             this.camera.orthoRight = null;
@@ -106,6 +216,8 @@ export class CameraManager {
     }
 
     resetCamera() {
+        this.transition = null;
+
         // Reset position and zoom
         this.camera.radius = this.defaultRadius;
         this.camera.target = this.defaultTarget;
@@ -116,14 +228,381 @@ export class CameraManager {
             this.camera.orthoRight = this.defaultOrthoRight;
             this.setOrthoCameraTopBottom();
             
-            // Ensure top-down view
-            this.camera.beta = 0;
-            this.camera.alpha = -Math.PI/2;
+            // Ensure the locked orthographic view
+            const { alpha, beta } = ORTHO_VIEWS[this.orthoView];
+            this.camera.beta = beta;
+            this.camera.alpha = alpha;
         } else {
             // Reset to default 3D view
             this.camera.beta = this.defaultBeta;
             this.camera.alpha = this.defaultAlpha;
         }
+
+        this.onViewChangedObservable.notifyObservers(this);
+    }
+
+    /**
+     * Frames every BREP mesh of the scene.
+     * @returns {boolean} True if there was anything to frame.
+     */
+    zoomToFit() {
+        return this.frameMeshes(this.scene.meshes.filter(mesh => mesh.brepData && !mesh.isDisposed()));
+    }
+
+    /**
+     * Centers the view on the world bounding box of some meshes and zooms so they fill it: the
+     * perspective view moves its target and radius, the orthographic views their bounds.
+     * @param {Array<Mesh>} meshes - The meshes to frame.
+     * @returns {boolean} True if there was anything to frame.
+     */
+    frameMeshes(meshes) {
+        if (meshes.length === 0) return false;
+
+        const minimum = new Vector3(Infinity, Infinity, Infinity);
+        const maximum = new Vector3(-Infinity, -Infinity, -Infinity);
+        meshes.forEach(mesh => {
+            mesh.computeWorldMatrix(true);
+            const { minimumWorld, maximumWorld } = mesh.getBoundingInfo().boundingBox;
+            minimum.minimizeInPlace(minimumWorld);
+            maximum.maximizeInPlace(maximumWorld);
+        });
+
+        this.frameBounds(minimum, maximum);
+        return true;
+    }
+
+    /**
+     * Centers the view on a world box and zooms so it fills the canvas, keeping the orbit angles.
+     * @param {Vector3} minimum - The minimum corner of the box.
+     * @param {Vector3} maximum - The maximum corner of the box.
+     */
+    frameBounds(minimum, maximum) {
+        this.transition = null;
+        const size = maximum.subtract(minimum);
+        // Keep a point or a flat box from zooming in without end
+        const sphereRadius = Math.max(size.length() / 2, 0.5);
+        const ratio = this.canvas.height / this.canvas.width;
+
+        // Keep the computed angles rather than rebuilding them from the previous position
+        this.camera.setTarget(Vector3.Center(minimum, maximum), false, false, true);
+
+        if (this.is2DMode) {
+            // The half-width that shows the box across and, at the canvas aspect of setOrthoCameraTopBottom, down the view
+            const [u, v] = this.getViewPlaneAxes();
+            const extents = size.asArray();
+            const halfWidth = Math.max(extents[u] / 2, extents[v] / 2 / ratio, 0.5) * FRAME_MARGIN;
+            this.camera.orthoLeft = -halfWidth;
+            this.camera.orthoRight = halfWidth;
+            this.setOrthoCameraTopBottom();
+
+            // Keep the camera outside the box so it is not clipped; the ortho zoom follows radius changes
+            this.camera.radius = Math.max(this.camera.radius, 2 * sphereRadius);
+            this.oldRadius = this.camera.radius;
+        } else {
+            // The vertical field of view is fixed, so a portrait canvas narrows the horizontal one
+            const halfFov = Math.min(this.camera.fov / 2, Math.atan(Math.tan(this.camera.fov / 2) / ratio));
+            this.camera.radius = sphereRadius / Math.sin(halfFov) * FRAME_MARGIN;
+        }
+
+        this.onViewChangedObservable.notifyObservers(this);
+    }
+
+    /**
+     * Adds the view commands to the command registry.
+     * @param {CommandManager} commandManager - The registry the shortcuts and command palette run.
+     */
+    registerCommands(commandManager) {
+        commandManager.register({
+            id: "view.toggle2D",
+            label: "Toggle 2D/3D view",
+            shortcuts: ["T"],
+            run: () => this.toggle2DMode()
+        });
+        commandManager.register({
+            id: "view.reset",
+            label: "Reset view",
+            run: () => this.resetCamera()
+        });
+        commandManager.register({
+            id: "view.zoomToFit",
+            label: "Zoom to fit all",
+            shortcuts: ["Shift+F", "F"],
+            run: () => this.zoomToFit()
+        });
+        Object.keys(ORTHO_VIEWS).forEach(view => {
+            commandManager.register({
+                id: `view.${view}`,
+                label: `${view[0].toUpperCase()}${view.slice(1)} view`,
+                run: () => this.setOrthoView(view)
+            });
+        });
+    }
+
+    // Enables or disables user camera input, e.g. while an edit tool drags geometry
+    setControlsEnabled(enabled) {
+        if (enabled) {
+            this.camera.attachControl(this.canvas, true);
+        } else {
+            this.camera.detachControl();
+        }
+    }
+
+    /**
+     * Finds the point on an axis closest to the ray under the pointer.
+     * @param {Vector3} origin - A point on the axis.
+     * @param {Vector3} axis - The unit direction of the axis.
+     * @returns {number|null} Signed distance of that point from the origin along the axis,
+     *     or null when the ray is parallel to the axis.
+     */
+    getPointerOnAxis(origin, axis) {
+        const ray = this.scene.createPickingRay(
+            this.scene.pointerX,
+            this.scene.pointerY,
+            Matrix.Identity(),
+            this.camera
+        );
+
+        const b = Vector3.Dot(axis, ray.direction);
+        const denominator = 1 - b * b;
+        if (denominator < 1e-6) return null;
+
+        const w = origin.subtract(ray.origin);
+        const d = Vector3.Dot(axis, w);
+        const e = Vector3.Dot(ray.direction, w);
+        return (b * e - d) / denominator;
+    }
+
+    /**
+     * Projects the current pointer position, or another canvas position, onto a horizontal plane.
+     * @param {number} height - The Y coordinate of the plane.
+     * @param {number} [x] - Canvas X in pixels; defaults to the pointer.
+     * @param {number} [y] - Canvas Y in pixels; defaults to the pointer.
+     * @returns {Vector3|null} The point under the pointer, or null if the ray misses the plane.
+     */
+    getPointerOnPlane(height, x = this.scene.pointerX, y = this.scene.pointerY) {
+        const ray = this.scene.createPickingRay(
+            x,
+            y,
+            Matrix.Identity(),
+            this.camera
+        );
+        const plane = Plane.FromPositionAndNormal(new Vector3(0, height, 0), Vector3.Up());
+        const distance = ray.intersectsPlane(plane);
+        if (distance === null) return null;
+
+        return ray.origin.add(ray.direction.scale(distance));
+    }
+
+    /**
+     * Projects the current pointer position, or another canvas position, onto the plane through the
+     * camera target that faces the orthographic view.
+     * @param {number} [x] - Canvas X in pixels; defaults to the pointer.
+     * @param {number} [y] - Canvas Y in pixels; defaults to the pointer.
+     * @returns {Vector3|null} The point under the pointer, or null if the ray misses the plane.
+     */
+    getPointerOnViewPlane(x = this.scene.pointerX, y = this.scene.pointerY) {
+        const ray = this.scene.createPickingRay(
+            x,
+            y,
+            Matrix.Identity(),
+            this.camera
+        );
+        const plane = Plane.FromPositionAndNormal(this.camera.target, this.getOrthoViewDirection());
+        const distance = ray.intersectsPlane(plane);
+        if (distance === null) return null;
+
+        return ray.origin.add(ray.direction.scale(distance));
+    }
+
+    /**
+     * Returns the size of one screen pixel in world units, used for pick tolerances.
+     * @returns {number} World units per pixel.
+     */
+    getWorldUnitsPerPixel() {
+        const camera = this.camera;
+        const renderWidth = this.scene.getEngine().getRenderWidth() || 1;
+
+        if (this.is2DMode) {
+            return (camera.orthoRight - camera.orthoLeft) / renderWidth;
+        }
+        // Perspective approximation at the camera target distance
+        return (2 * camera.radius * Math.tan(camera.fov / 2)) / renderWidth;
+    }
+
+    /**
+     * Captures the view so it can be saved with a project.
+     * @returns {Object} The 2D mode flag and orthographic view, orbit angles, radius, target and orthographic width.
+     */
+    getState() {
+        return {
+            is2DMode: this.is2DMode,
+            orthoView: this.is2DMode ? this.orthoView : null,
+            alpha: this.camera.alpha,
+            beta: this.camera.beta,
+            radius: this.camera.radius,
+            target: this.camera.target.asArray(),
+            orthoLeft: this.camera.orthoLeft,
+            orthoRight: this.camera.orthoRight
+        };
+    }
+
+    /**
+     * Restores a view captured by getState.
+     * @param {Object} state - The captured camera state.
+     */
+    setState(state) {
+        this.transition = null;
+        if (state.is2DMode) {
+            // States saved before elevation views existed are top views
+            this.setOrthoView(state.orthoView ?? "top");
+        } else if (this.is2DMode) {
+            this.toggle2DMode();
+        }
+
+        this.camera.target = Vector3.FromArray(state.target);
+        this.camera.radius = state.radius;
+        this.oldRadius = state.radius;
+
+        if (this.is2DMode) {
+            this.camera.orthoLeft = state.orthoLeft ?? this.defaultOrthoLeft;
+            this.camera.orthoRight = state.orthoRight ?? this.defaultOrthoRight;
+            this.setOrthoCameraTopBottom();
+        } else {
+            this.camera.alpha = state.alpha;
+            this.camera.beta = state.beta;
+        }
+
+        this.onViewChangedObservable.notifyObservers(this);
+    }
+
+    /**
+     * Saves the current view under a name, replacing any view of that name.
+     * @param {string} name - The view name.
+     * @returns {boolean} True if the view was saved, false if the name is blank.
+     */
+    saveView(name) {
+        const trimmedName = name.trim();
+        if (!trimmedName) return false;
+
+        this.savedViews.set(trimmedName, this.getState());
+        this.onSavedViewsChangedObservable.notifyObservers(this.getViewNames());
+        return true;
+    }
+
+    /**
+     * Deletes a saved view.
+     * @param {string} name - The view name.
+     * @returns {boolean} True if the view existed.
+     */
+    deleteView(name) {
+        if (!this.savedViews.delete(name)) return false;
+
+        this.onSavedViewsChangedObservable.notifyObservers(this.getViewNames());
+        return true;
+    }
+
+    /**
+     * Lists the names of the saved views.
+     * @returns {Array<string>} The names, in the order the views were first saved.
+     */
+    getViewNames() {
+        return [...this.savedViews.keys()];
+    }
+
+    /**
+     * Lists the saved views so they can be stored with a project.
+     * @returns {Array<Object>} The camera states from getState, each with its name.
+     */
+    getSavedViews() {
+        return [...this.savedViews].map(([name, state]) => ({ name, ...state }));
+    }
+
+    /**
+     * Replaces the saved views, e.g. with those of a loaded project.
+     * @param {Array<Object>} views - Named camera states from getSavedViews.
+     */
+    setSavedViews(views) {
+        this.savedViews = new Map(views.map(({ name, ...state }) => [name, state]));
+        this.onSavedViewsChangedObservable.notifyObservers(this.getViewNames());
+    }
+
+    /**
+     * Moves the camera to a saved view with an animated transition.
+     * @param {string} name - The view name.
+     * @param {number} [duration] - Length of the transition in milliseconds; 0 jumps to the view.
+     * @returns {boolean} True if the view exists.
+     */
+    recallView(name, duration = VIEW_TRANSITION_DURATION) {
+        const state = this.savedViews.get(name);
+        if (!state) return false;
+
+        this.animateToState(state, duration);
+        return true;
+    }
+
+    /**
+     * Animates the camera to a state captured by getState. The transition runs in perspective;
+     * an orthographic view is left at the start and entered at the end, at the radius that
+     * shows the same width as its orthographic bounds, so the switch does not jump.
+     * @param {Object} state - The camera state to move to.
+     * @param {number} duration - Length of the transition in milliseconds; 0 jumps to the state.
+     */
+    animateToState(state, duration) {
+        if (duration <= 0) {
+            this.setState(state);
+            return;
+        }
+
+        const from = this.getTransitionPose(this.getState());
+        const to = this.getTransitionPose(state);
+
+        if (this.is2DMode) {
+            this.applyProjection(false);
+            this.onViewChangedObservable.notifyObservers(this);
+        }
+        this.camera.radius = from.radius;
+
+        this.transition = { from, to, state, elapsed: 0, duration };
+    }
+
+    /**
+     * Describes a camera state by the perspective orbit that shows it, used to interpolate between views.
+     * @param {Object} state - A camera state from getState.
+     * @returns {{alpha: number, beta: number, radius: number, target: Vector3}} The orbit.
+     */
+    getTransitionPose(state) {
+        const width = (state.orthoRight ?? this.defaultOrthoRight) - (state.orthoLeft ?? this.defaultOrthoLeft);
+        return {
+            alpha: state.alpha,
+            beta: state.beta,
+            // Inverse of the perspective width used by getWorldUnitsPerPixel
+            radius: state.is2DMode ? width / (2 * Math.tan(this.camera.fov / 2)) : state.radius,
+            target: Vector3.FromArray(state.target)
+        };
+    }
+
+    /**
+     * Advances the running view transition, finishing it with the exact target state.
+     * @param {number} deltaTime - Time since the last frame, in milliseconds.
+     */
+    advanceTransition(deltaTime) {
+        const transition = this.transition;
+        transition.elapsed = Math.min(transition.elapsed + deltaTime, transition.duration);
+        const progress = transition.elapsed / transition.duration;
+        const eased = Scalar.SmoothStep(0, 1, progress);
+        const { from, to } = transition;
+
+        // Turn the short way round, and zoom at an even pace on screen
+        const turn = Scalar.Repeat(to.alpha - from.alpha + Math.PI, 2 * Math.PI) - Math.PI;
+        // Keep the interpolated angles rather than rebuilding them from the previous position
+        this.camera.setTarget(Vector3.Lerp(from.target, to.target, eased), false, false, true);
+        this.camera.alpha = from.alpha + turn * eased;
+        this.camera.beta = Scalar.Lerp(from.beta, to.beta, eased);
+        this.camera.radius = from.radius * Math.pow(to.radius / from.radius, eased);
+
+        if (progress >= 1) {
+            this.setState(transition.state);
+        }
     }
 
     getCamera() {
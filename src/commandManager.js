@@ -0,0 +1,227 @@
+import { Observable } from "@babylonjs/core";
+
+// Spellings accepted for modifiers and named keys, mapped to the names shortcuts are stored with
+const MODIFIER_NAMES = { ctrl: "Ctrl", control: "Ctrl", cmd: "Ctrl", meta: "Ctrl", alt: "Alt", option: "Alt", shift: "Shift" };
+const KEY_ALIASES = { esc: "Escape", del: "Delete", space: "Space", " ": "Space" };
+const MODIFIER_ORDER = ["Ctrl", "Alt", "Shift"];
+
+/**
+ * Writes a shortcut in the canonical form used for matching, e.g. "ctrl+shift+z" becomes "Ctrl+Shift+Z".
+ * Ctrl stands for Cmd on macOS.
+ * @param {string} shortcut - Modifiers and a key joined with "+".
+ * @returns {string} The canonical shortcut.
+ * @throws Will throw an error if the shortcut has no key or an unknown modifier.
+ */
+export const normalizeShortcut = (shortcut) => {
+    const parts = shortcut.split("+").map(part => part.trim());
+    const key = parts.pop();
+    if (!key) {
+        throw new Error(`Shortcut ${shortcut} has no key`);
+    }
+
+    const modifiers = new Set(parts.map(part => {
+        const modifier = MODIFIER_NAMES[part.toLowerCase()];
+        if (!modifier) {
+            throw new Error(`Unknown modifier ${part} in shortcut ${shortcut}`);
+        }
+        return modifier;
+    }));
+
+    const alias = KEY_ALIASES[key.toLowerCase()];
+    const keyName = alias || (key.length === 1 ? key.toUpperCase() : key[0].toUpperCase() + key.slice(1));
+    return [...MODIFIER_ORDER.filter(modifier => modifiers.has(modifier)), keyName].join("+");
+};
+
+/**
+ * Reads the shortcut a key press stands for.
+ * @param {KeyboardEvent} event - The keydown event.
+ * @returns {string|null} The canonical shortcut, or null while only modifiers are pressed.
+ */
+export const getEventShortcut = (event) => {
+    if (["Control", "Alt", "Shift", "Meta"].includes(event.key)) return null;
+
+    const modifiers = [];
+    if (event.ctrlKey || event.metaKey) modifiers.push("Ctrl");
+    if (event.altKey) modifiers.push("Alt");
+    if (event.shiftKey) modifiers.push("Shift");
+    return normalizeShortcut([...modifiers, event.key === "+" ? "Plus" : event.key].join("+"));
+};
+
+// Key presses in form fields belong to the field, not to the shortcuts
+const isEditableTarget = (target) =>
+    Boolean(target?.isContentEditable) || ["INPUT", "TEXTAREA", "SELECT"].includes(target?.tagName);
+
+/**
+ * Keeps the commands that the buttons, keyboard shortcuts and command palette run. Tools register
+ * their own commands, so a new tool shows up in the palette without being wired into the page controls.
+ * Several commands may share a shortcut; a key press runs the first of them that is enabled.
+ */
+export class CommandManager {
+    constructor() {
+        // Registered commands by id, in registration order
+        this.commands = new Map();
+        // Shortcuts the user bound instead of a command's defaults, by command id; kept for commands registered later
+        this.shortcutOverrides = {};
+        // Notifies whenever a command is registered or unregistered, or its shortcuts change
+        this.onChangeObservable = new Observable();
+        // Notifies each command after it ran, e.g. to refresh the controls showing its state
+        this.onCommandExecutedObservable = new Observable();
+    }
+
+    /**
+     * Adds a command.
+     * @param {Object} command - The command.
+     * @param {string} command.id - Unique id, prefixed with its tool, e.g. "edit.undo".
+     * @param {string} command.label - Name shown in the command palette.
+     * @param {Function} command.run - Runs the command.
+     * @param {Array<string>} [command.shortcuts] - Default shortcuts, e.g. ["Ctrl+Z"].
+     * @param {Function} [command.isEnabled] - Tells whether the command can run at the moment.
+     * @throws Will throw an error if the id is taken or a shortcut is invalid.
+     */
+    register({ id, label, run, shortcuts = [], isEnabled = () => true }) {
+        if (this.commands.has(id)) {
+            throw new Error(`Command ${id} is already registered`);
+        }
+
+        this.commands.set(id, { id, label, run, isEnabled, defaultShortcuts: shortcuts.map(normalizeShortcut) });
+        this.onChangeObservable.notifyObservers(this);
+    }
+
+    /**
+     * Removes a command.
+     * @param {string} id - The command id.
+     * @returns {boolean} True if the command was registered.
+     */
+    unregister(id) {
+        if (!this.commands.delete(id)) return false;
+
+        this.onChangeObservable.notifyObservers(this);
+        return true;
+    }
+
+    /**
+     * Lists the registered commands.
+     * @returns {Array<Object>} The commands, in registration order.
+     */
+    getCommands() {
+        return [...this.commands.values()];
+    }
+
+    /**
+     * Tells whether a command is registered and enabled.
+     * @param {string} id - The command id.
+     * @returns {boolean} True if the command can run at the moment.
+     */
+    canExecute(id) {
+        return Boolean(this.commands.get(id)?.isEnabled());
+    }
+
+    /**
+     * Runs a command if it is enabled.
+     * @param {string} id - The command id.
+     * @returns {boolean} True if the command ran.
+     */
+    execute(id) {
+        const command = this.commands.get(id);
+        if (!command) {
+            console.warn(`Unknown command ${id}`);
+            return false;
+        }
+        if (!command.isEnabled()) return false;
+
+        command.run();
+        this.onCommandExecutedObservable.notifyObservers(command);
+        return true;
+    }
+
+    /**
+     * Lists the shortcuts that run a command.
+     * @param {string} id - The command id.
+     * @returns {Array<string>} The user's shortcuts for the command, or else its defaults.
+     */
+    getShortcuts(id) {
+        return this.shortcutOverrides[id] ?? this.commands.get(id)?.defaultShortcuts ?? [];
+    }
+
+    /**
+     * Rebinds a command.
+     * @param {string} id - The command id.
+     * @param {Array<string>} shortcuts - The new shortcuts; empty to leave the command without any.
+     * @throws Will throw an error if a shortcut is invalid.
+     */
+    setShortcuts(id, shortcuts) {
+        this.shortcutOverrides[id] = shortcuts.map(normalizeShortcut);
+        this.onChangeObservable.notifyObservers(this);
+    }
+
+    /**
+     * Gives a command its default shortcuts back.
+     * @param {string} id - The command id.
+     */
+    resetShortcuts(id) {
+        delete this.shortcutOverrides[id];
+        this.onChangeObservable.notifyObservers(this);
+    }
+
+    /**
+     * Lists the user's shortcuts, so they can be stored.
+     * @returns {Object} The shortcuts by command id, for the commands rebound by the user.
+     */
+    getShortcutOverrides() {
+        return { ...this.shortcutOverrides };
+    }
+
+    /**
+     * Restores stored shortcuts of the user, including those of commands that are not registered yet.
+     * Invalid entries are skipped.
+     * @param {Object} overrides - Shortcuts by command id, from getShortcutOverrides.
+     */
+    setShortcutOverrides(overrides) {
+        this.shortcutOverrides = {};
+        Object.entries(overrides).forEach(([id, shortcuts]) => {
+            try {
+                this.shortcutOverrides[id] = shortcuts.map(normalizeShortcut);
+            } catch (error) {
+                console.warn(`Ignoring the stored shortcuts of ${id}:`, error);
+            }
+        });
+        this.onChangeObservable.notifyObservers(this);
+    }
+
+    /**
+     * Runs the first enabled command bound to a key press, unless the press goes to a form field.
+     * @param {KeyboardEvent} event - The keydown event.
+     * @returns {boolean} True if a command ran; its default browser action is then prevented.
+     */
+    handleKeyDown(event) {
+        if (isEditableTarget(event.target)) return false;
+
+        const shortcut = getEventShortcut(event);
+        if (!shortcut) return false;
+
+        const command = this.getCommands()
+            .find(other => this.getShortcuts(other.id).includes(shortcut) && other.isEnabled());
+        if (!command) return false;
+
+        event.preventDefault();
+        return this.execute(command.id);
+    }
+
+    /**
+     * Finds the commands whose label or id contains every word of a query, those whose label
+     * starts with the query first.
+     * @param {string} query - The text typed in the command palette.
+     * @returns {Array<Object>} The matching commands.
+     */
+    search(query) {
+        const text = query.trim().toLowerCase();
+        const words = text.split(/\s+/).filter(Boolean);
+        const matches = this.getCommands().filter(command => {
+            const haystack = `${command.label} ${command.id}`.toLowerCase();
+            return words.every(word => haystack.includes(word));
+        });
+
+        const startsWithQuery = (command) => command.label.toLowerCase().startsWith(text);
+        return [...matches.filter(startsWithQuery), ...matches.filter(command => !startsWithQuery(command))];
+    }
+}
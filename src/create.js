@@ -1,6 +1,8 @@
 import { Color3, Color4, CreateBox, Mesh, StandardMaterial } from "@babylonjs/core";
 import BrepMesh from "mda/mda/Core/Mesh";  // Renamed to avoid conflict
 import Tessellator from "./Tessellator";
+import { orientFootprint } from "./polygonUtils";
+import { createBrep } from "./brepUtils";
 
 export const addMesh = (scene) => {
   let brep = new BrepMesh();
@@ -18,12 +20,12 @@ export const addMesh = (scene) => {
 
   // Fix cell orientations to follow right-hand rule (counter-clockwise when viewed from outside)
   const cells = [
-    [0, 3, 2, 1],    // bottom face (looking from below)
-    [4, 5, 6, 7],    // top face (looking from above)
-    [0, 1, 5, 4],    // front face
-    [1, 2, 6, 5],    // right face
-    [2, 3, 7, 6],    // back face
-    [3, 0, 4, 7],    // left face
+    [0, 1, 2, 3],    // bottom face (looking from below)
+    [4, 7, 6, 5],    // top face (looking from above)
+    [0, 4, 5, 1],    // front face
+    [1, 5, 6, 2],    // right face
+    [2, 6, 7, 3],    // back face
+    [3, 7, 4, 0],    // left face
   ];
 
   brep.setPositions(positions);
@@ -33,7 +35,7 @@ export const addMesh = (scene) => {
   const tessellator = new Tessellator();
   const mesh = new Mesh("box", scene);
 
-  const { geometry } = tessellator.tessellate(brep, scene);
+  const { geometry, faceFacetMapping } = tessellator.tessellate(brep, scene);
   if (!geometry) return;
 
   const material = new StandardMaterial("material", scene);
@@ -46,24 +48,29 @@ export const addMesh = (scene) => {
   mesh.material = material;
   
   mesh.brepData = brep;
+  mesh.faceFacetMapping = faceFacetMapping;
   
   return mesh;
 };
 
-export const addCustomMesh = (scene, basePolygon, height = 5) => {
-  let brep = new BrepMesh();
+export const addCustomMesh = (scene, basePolygon, height = 5, holes = [], uvOptions = {}, base = 0) => {
+  // Clockwise footprints would produce inward facing faces
+  basePolygon = orientFootprint(basePolygon);
+
+  // Holes run the other way round, so their side faces point into the hole
+  holes = holes.map((hole) => orientFootprint(hole).reverse());
 
   // Create positions array by combining base polygon points with their elevated counterparts
   const positions = [];
   
-  // Add base polygon points (y = 0)
+  // Add base polygon points (y = base)
   basePolygon.forEach(([x, z]) => {
-    positions.push([x, 0, z]);
+    positions.push([x, base, z]);
   });
   
-  // Add elevated polygon points (y = height)
+  // Add elevated polygon points (y = base + height)
   basePolygon.forEach(([x, z]) => {
-    positions.push([x, height, z]);
+    positions.push([x, base + height, z]);
   });
 
   // Create cells array
@@ -79,26 +86,58 @@ export const addCustomMesh = (scene, basePolygon, height = 5) => {
   cells.push(topFace);
   
   // Side faces (counter-clockwise when viewed from outside)
-  for (let i = 0; i < numPoints; i++) {
-    const nextI = (i + 1) % numPoints;
-    cells.push([
-      i,                    // current bottom point
-      nextI,                // next bottom point
-      nextI + numPoints,    // next top point
-      i + numPoints         // current top point
-    ]);
-  }
+  const addSideFaces = (offset, count) => {
+    for (let i = 0; i < count; i++) {
+      const nextI = (i + 1) % count;
+      cells.push([
+        offset + i,                   // current bottom point
+        offset + nextI,               // next bottom point
+        offset + nextI + count,       // next top point
+        offset + i + count            // current top point
+      ]);
+    }
+  };
+  addSideFaces(0, numPoints);
+
+  // Each hole adds its own bottom and top points, inner side faces,
+  // and an inner loop in the bottom (face 0) and top (face 1) faces
+  const innerLoops = [];
+  holes.forEach((hole) => {
+    const offset = positions.length;
+    const holePoints = hole.length;
+
+    hole.forEach(([x, z]) => positions.push([x, base, z]));
+    hole.forEach(([x, z]) => positions.push([x, base + height, z]));
+
+    addSideFaces(offset, holePoints);
+
+    const holeBottom = Array.from({ length: holePoints }, (_, i) => offset + i).reverse();
+    const holeTop = Array.from({ length: holePoints }, (_, i) => offset + holePoints + i);
+    innerLoops.push([0, holeBottom], [1, holeTop]);
+  });
 
-  brep.setPositions(positions);
-  brep.setCells(cells);
-  brep.process();
+  return addBrepMesh(scene, positions, cells, innerLoops, uvOptions);
+};
+
+/**
+ * Builds a BRep from positions and face loops and adds it to the scene as a mesh.
+ * addCustomMesh and project loading both create their meshes here.
+ * @param {Scene} scene - The scene to add the mesh to.
+ * @param {Array<Array<number>>} positions - The [x, y, z] vertex positions.
+ * @param {Array<Array<number>>} cells - The outer vertex loop of each face.
+ * @param {Array} [innerLoops=[]] - Pairs of a face index and a vertex loop cut out of that face.
+ * @param {Object} [uvOptions={}] - UV options passed to the Tessellator.
+ * @returns {Mesh|undefined} The mesh, or undefined if tessellation failed.
+ */
+export const addBrepMesh = (scene, positions, cells, innerLoops = [], uvOptions = {}) => {
+  const brep = createBrep(positions, cells, innerLoops);
 
   const tessellator = new Tessellator();
-  const mesh = new Mesh("custom_polygon", scene);
-  
-  const { geometry } = tessellator.tessellate(brep, scene);
+  const { geometry, faceFacetMapping } = tessellator.tessellate(brep, scene, uvOptions);
   if (!geometry) return;
 
+  const mesh = new Mesh("custom_polygon", scene);
+
   const material = new StandardMaterial("material", scene);
   material.diffuseColor = new Color3(0.8, 0.8, 0.8);
   material.backFaceCulling = false;
@@ -108,8 +147,11 @@ export const addCustomMesh = (scene, basePolygon, height = 5) => {
   mesh.edgesColor = new Color4(0, 0, 0, 1);
   mesh.material = material;
 
-  // Store BRep data with the mesh
+  // Store BRep data with the mesh, and the UV options so edits re-tessellate it the same way
   mesh.brepData = brep;
+  mesh.uvOptions = uvOptions;
+  // Triangle (facet) indices of each BRep face, for turning picks into faces
+  mesh.faceFacetMapping = faceFacetMapping;
   
   return mesh;
 };
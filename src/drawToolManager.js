@@ -0,0 +1,224 @@
+import { Color3, MeshBuilder, StandardMaterial, Vector3 } from "@babylonjs/core";
+import { PointerEventTypes } from "@babylonjs/core/Events/pointerEvents";
+import { addCustomMesh } from "./create";
+import { validateFootprint } from "./polygonUtils";
+
+// Lifts the preview slightly above the ground to avoid z-fighting with the grid
+const PREVIEW_OFFSET = new Vector3(0, 0.01, 0);
+
+export class DrawToolManager {
+    constructor(scene, cameraManager, editModeManager, snapManager) {
+        this.scene = scene;
+        this.cameraManager = cameraManager;
+        this.editModeManager = editModeManager;
+        this.snapManager = snapManager;
+        this.isDrawMode = false;
+        this.points = [];
+        this.cursorPoint = null;
+        this.previewMeshes = [];
+        this.defaultHeight = 5;
+        // Pointer distance (in pixels) to the first point within which a click closes the loop
+        this.closeTolerance = 10;
+
+        this.previewMaterial = new StandardMaterial("drawPreviewMaterial", scene);
+        this.previewMaterial.diffuseColor = new Color3(0, 0.4, 1);
+        this.previewMaterial.emissiveColor = new Color3(0, 0.4, 1);
+
+        this.setupPointerObserver();
+    }
+
+    // Toggles the draw tool, switching to the 2D top view while it is active
+    toggleDrawMode() {
+        this.isDrawMode = !this.isDrawMode;
+
+        if (this.isDrawMode) {
+            if (!this.cameraManager.isPlanView()) {
+                this.cameraManager.setOrthoView("top");
+            }
+        } else {
+            this.cancelPolygon();
+            if (this.cameraManager.is2DMode) {
+                this.cameraManager.toggle2DMode();
+            }
+        }
+
+        return this.isDrawMode;
+    }
+
+    /**
+     * Sets the height used for new extrusions.
+     * @param {number} height - The extrusion height, must be positive.
+     * @returns {boolean} True if the height was accepted.
+     */
+    setDefaultHeight(height) {
+        if (!Number.isFinite(height) || height <= 0) {
+            this.editModeManager.notify("Extrusion height must be a positive number");
+            return false;
+        }
+        this.defaultHeight = height;
+        return true;
+    }
+
+    /**
+     * Adds the commands of the footprint being drawn to the command registry.
+     * @param {CommandManager} commandManager - The registry the shortcuts and command palette run.
+     */
+    registerCommands(commandManager) {
+        const isDrawing = () => this.isDrawMode;
+        commandManager.register({
+            id: "draw.finish",
+            label: "Finish footprint",
+            shortcuts: ["Enter"],
+            isEnabled: isDrawing,
+            run: () => this.finishPolygon()
+        });
+        commandManager.register({
+            id: "draw.cancel",
+            label: "Discard footprint",
+            shortcuts: ["Escape"],
+            isEnabled: isDrawing,
+            run: () => this.cancelPolygon()
+        });
+        commandManager.register({
+            id: "draw.removeLastPoint",
+            label: "Remove last footprint point",
+            shortcuts: ["Backspace"],
+            isEnabled: isDrawing,
+            run: () => this.removeLastPoint()
+        });
+    }
+
+    // Adds footprint points on click and updates the rubber-band preview on move
+    setupPointerObserver() {
+        this.scene.onPointerObservable.add((pointerInfo) => {
+            if (!this.isDrawMode || !this.cameraManager.isPlanView()) return;
+
+            if (pointerInfo.type === PointerEventTypes.POINTERTAP && pointerInfo.event.button === 0) {
+                const snapResult = this.snapManager.snapPointer(0, { guides: this.getGuides() });
+                if (snapResult) {
+                    this.addPoint(snapResult.point);
+                }
+            } else if (pointerInfo.type === PointerEventTypes.POINTERMOVE) {
+                this.cursorPoint = this.snapManager.snapPointer(0, { guides: this.getGuides() })?.point || null;
+                this.updatePreview();
+            }
+        });
+    }
+
+    /**
+     * Lists the alignment guides for the next point: the axes through the last point, the last
+     * segment, so the next one can continue it or turn square, and the axes through the first point.
+     * @returns {Array<{origin: Array<number>, direction: Array<number>}>} The [x, z] guides.
+     */
+    getGuides() {
+        if (this.points.length === 0) return [];
+
+        const toPlan = (point) => [point.x, point.z];
+        const last = this.points[this.points.length - 1];
+        const guides = [{ origin: toPlan(last), direction: [1, 0] }];
+
+        if (this.points.length >= 2) {
+            const previous = this.points[this.points.length - 2];
+            guides.push({ origin: toPlan(last), direction: [last.x - previous.x, last.z - previous.z] });
+            guides.push({ origin: toPlan(this.points[0]), direction: [1, 0] });
+        }
+        return guides;
+    }
+
+    /**
+     * Adds a footprint point, or closes the loop when the first point is clicked again.
+     * @param {Vector3} point - The clicked point on the ground.
+     */
+    addPoint(point) {
+        const closeDistance = this.closeTolerance * this.cameraManager.getWorldUnitsPerPixel();
+        if (this.points.length >= 3 && Vector3.Distance(point, this.points[0]) < closeDistance) {
+            this.finishPolygon();
+            return;
+        }
+
+        this.points.push(point);
+        this.updatePreview();
+    }
+
+    removeLastPoint() {
+        this.points.pop();
+        this.updatePreview();
+    }
+
+    cancelPolygon() {
+        this.points = [];
+        this.cursorPoint = null;
+        this.snapManager.hideIndicator();
+        this.updatePreview();
+    }
+
+    /**
+     * Closes the footprint and extrudes it, if it is a valid simple polygon.
+     * @returns {Mesh|null} The new mesh, or null if the footprint was rejected.
+     */
+    finishPolygon() {
+        const footprint = this.points.map(point => [point.x, point.z]);
+
+        const error = validateFootprint(footprint);
+        if (error) {
+            this.editModeManager.notify(`Cannot create extrusion: ${error}`);
+            return null;
+        }
+
+        const mesh = addCustomMesh(this.scene, footprint, this.defaultHeight);
+        if (!mesh) {
+            this.editModeManager.notify("Cannot create extrusion: tessellation failed");
+            return null;
+        }
+
+        this.editModeManager.recordMeshCreation("Draw extrusion", mesh);
+        this.cancelPolygon();
+
+        return mesh;
+    }
+
+    // Rebuilds the preview lines: placed points, rubber band to the cursor and the closing segment
+    updatePreview() {
+        this.previewMeshes.forEach(mesh => mesh.dispose());
+        this.previewMeshes = [];
+
+        if (this.points.length === 0) return;
+
+        const path = this.cursorPoint ? [...this.points, this.cursorPoint] : [...this.points];
+        if (path.length >= 2) {
+            const lines = MeshBuilder.CreateLines(
+                "drawPreview",
+                { points: path.map(point => point.add(PREVIEW_OFFSET)) },
+                this.scene
+            );
+            lines.color = new Color3(0, 0.4, 1);
+            this.previewMeshes.push(lines);
+        }
+
+        if (path.length >= 3) {
+            const closingLine = MeshBuilder.CreateLines(
+                "drawPreviewClosing",
+                { points: [path[path.length - 1], path[0]].map(point => point.add(PREVIEW_OFFSET)) },
+                this.scene
+            );
+            closingLine.color = new Color3(0, 0.4, 1);
+            closingLine.alpha = 0.35;
+            this.previewMeshes.push(closingLine);
+        }
+
+        // Highlight the first point, which closes the loop when clicked
+        const startMarker = MeshBuilder.CreateDisc(
+            "drawPreviewStart",
+            { radius: this.closeTolerance * this.cameraManager.getWorldUnitsPerPixel() / 2 },
+            this.scene
+        );
+        startMarker.rotation.x = Math.PI / 2;
+        startMarker.position = this.points[0].add(PREVIEW_OFFSET);
+        startMarker.material = this.previewMaterial;
+        this.previewMeshes.push(startMarker);
+
+        this.previewMeshes.forEach(mesh => {
+            mesh.isPickable = false;
+        });
+    }
+}
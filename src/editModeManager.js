@@ -1,35 +1,107 @@
 import { HighlightLayer } from "@babylonjs/core/Layers/highlightLayer";
 import { Color3, Color4 } from "@babylonjs/core/Maths/math.color";
 import { ActionManager } from "@babylonjs/core/Actions/actionManager";
-import { ExecuteCodeAction, Mesh, Vector3 } from "@babylonjs/core";
+import { ExecuteCodeAction, Matrix, Mesh, Observable, Vector3, VertexBuffer, VertexData } from "@babylonjs/core";
 import { PointerEventTypes } from "@babylonjs/core/Events/pointerEvents";
 import { StandardMaterial } from "@babylonjs/core/Materials/standardMaterial";
 import { MeshBuilder } from "@babylonjs/core/Meshes/meshBuilder";
 import Tessellator from "./Tessellator";
+import earcut from "earcut";
+import {
+    cloneBrep, computeFaceNormal, computePolygonNormal, getFaceLoops, getLoopHalfEdges, getLoopVertices,
+    getPrismFootprint, projectToDominantPlane, transformBrepPositions
+} from "./brepUtils";
+import { doLoopsIntersect, footprintSignedArea, isSelfIntersecting } from "./polygonUtils";
+import { HistoryManager, MeshStateCommand } from "./historyManager";
+import { computeEulerCharacteristic, validateBrep } from "./brepValidator";
 import Face from "mda/mda/Core/Face";
+import Vertex from "mda/mda/Core/Vertex";
 import HalfEdge from "mda/mda/Core/HalfEdge";
 import Edge from "mda/mda/Core/Edge";
 import VertexHalfEdges from "mda/mda/Queries/VertexHalfEdges";
 import VertexFaces from "mda/mda/Queries/VertexFaces";
 import VertexNeighbors from "mda/mda/Queries/VertexNeighbors";
-import VertexEdges from "mda/mda/Queries/VertexEdges";
 import HalfEdgePrev from "mda/mda/Queries/HalfEdgePrev";
 
 export class EditModeManager {
-    constructor(scene, cameraManager) {
+    constructor(scene, cameraManager, snapManager) {
         this.scene = scene;
         this.cameraManager = cameraManager;
+        this.snapManager = snapManager;
         this.isEditMode = false;
         this.selectedMesh = null;
+        // Meshes added to the selection with Shift-click, in the order they were picked
+        this.additionalMeshes = [];
+        // Which BREP elements can be picked on the selected mesh: "vertex", "edge" or "face"
+        this.selectionMode = "vertex";
+        // The picked BREP face of the selected mesh in face mode, and its highlight overlay
+        this.selectedFace = null;
+        this.faceHighlight = null;
         this.vertexMarkers = new Map();
+        // The mesh each vertex marker belongs to; every selected mesh shows its markers
+        this.vertexMarkerMeshes = new Map();
+        // Vertex markers picked with Shift-click or the selection box, deleted together
+        this.selectedVertexMarkers = new Set();
+        this.edgeMarkers = new Map();
         this.highlightLayer = new HighlightLayer("highlightLayer", scene);
         this.tessellator = new Tessellator();
+        this.history = new HistoryManager();
+        this.nextEntityId = 1;
+        this.vertexDrag = null;
+        // Pointer travel (in pixels) before a press on a vertex marker becomes a drag
+        this.dragThreshold = 4;
+        // Pointer distance (in pixels) within which a click on the selected mesh hits a top edge
+        this.edgePickTolerance = 8;
+        this.heightDrag = null;
+        // The selection box dragged from empty space in the 2D view, in canvas pixels
+        this.boxSelection = null;
+        // Smallest extrusion height while heights do not snap to the grid
+        this.minimumHeight = 0.01;
+        // The elevation view the vertex markers were created for, or null for the top and perspective views
+        this.vertexMarkerView = null;
+        // Smallest cosine between a face normal and the direction to the camera for the face to count as facing it
+        this.facingTolerance = 1e-3;
         
         this.vertexMarkerMaterial = new StandardMaterial("vertexMarkerMaterial", scene);
         this.vertexMarkerMaterial.diffuseColor = new Color3(1, 0, 0);
         this.vertexMarkerMaterial.specularColor = new Color3(0.1, 0.1, 0.1);
+
+        this.selectedVertexMarkerMaterial = new StandardMaterial("selectedVertexMarkerMaterial", scene);
+        this.selectedVertexMarkerMaterial.diffuseColor = new Color3(1, 0.9, 0);
+        this.selectedVertexMarkerMaterial.specularColor = new Color3(0.1, 0.1, 0.1);
+
+        this.edgeMarkerMaterial = new StandardMaterial("edgeMarkerMaterial", scene);
+        this.edgeMarkerMaterial.diffuseColor = new Color3(0, 0.4, 1);
+        this.edgeMarkerMaterial.specularColor = new Color3(0.1, 0.1, 0.1);
+
+        this.faceHighlightMaterial = new StandardMaterial("faceHighlightMaterial", scene);
+        this.faceHighlightMaterial.diffuseColor = new Color3(1, 0.6, 0);
+        this.faceHighlightMaterial.emissiveColor = new Color3(0.4, 0.25, 0);
+        this.faceHighlightMaterial.alpha = 0.6;
+        this.faceHighlightMaterial.backFaceCulling = false;
+        // Draws the overlay in front of the coplanar mesh triangles
+        this.faceHighlightMaterial.zOffset = -2;
+
+        // Notifies user-facing messages, e.g. when an edit is refused
+        this.onMessageObservable = new Observable();
+        // Notifies the selected BREP face in face mode, or null when the face selection is cleared
+        this.onFaceSelectedObservable = new Observable();
+        // Notifies the selected mesh (or null) whenever the selection or the selected mesh's geometry changes
+        this.onSelectedMeshChangedObservable = new Observable();
+        // Notifies a live value readout ({ text, x, y } in canvas pixels) during drags, or null to hide it
+        this.onReadoutObservable = new Observable();
+        // Notifies the selection box ({ x, y, width, height } in canvas pixels) while it is dragged, or null to hide it
+        this.onSelectionBoxObservable = new Observable();
         
         this.setupPointerObserver();
+
+        // Turning to another elevation changes which walls face the camera, so their markers are rebuilt
+        this.cameraManager.onViewChangedObservable.add(() => {
+            if (this.selectionMode === "vertex" && this.selectedMesh
+                && this.cameraManager.getElevationView() !== this.vertexMarkerView) {
+                this.createVertexMarkers();
+            }
+        });
     }
 
     // Toggles between edit and view modes, synchronizing camera state
@@ -46,7 +118,7 @@ export class EditModeManager {
         if (this.cameraManager.is2DMode) {
             this.cameraManager.toggle2DMode();
         }
-        this.removeAllVertexMarkers();
+        this.removeAllMarkers();
     }
 
         return this.isEditMode;
@@ -56,36 +128,43 @@ export class EditModeManager {
     setupMeshInteraction() {
         this.scene.meshes.forEach(mesh => {
             if (mesh.name === "ground1") return;
-            
-            if (!mesh.actionManager) {
-                mesh.actionManager = new ActionManager(this.scene);
-            }
+            this.registerMeshInteraction(mesh);
+        });
+    }
 
-            mesh.actionManager.registerAction(
-                new ExecuteCodeAction(
-                    ActionManager.OnPointerOverTrigger,
-                    () => {
-                        if (this.isEditMode && !this.selectedMesh) {
-                            this.highlightLayer.addMesh(mesh, Color3.Green());
-                        }
+    /**
+     * Registers the edit mode hover highlighting on a single mesh.
+     * @param {Mesh} mesh - The mesh to register the hover actions on.
+     */
+    registerMeshInteraction(mesh) {
+        if (!mesh.actionManager) {
+            mesh.actionManager = new ActionManager(this.scene);
+        }
+
+        mesh.actionManager.registerAction(
+            new ExecuteCodeAction(
+                ActionManager.OnPointerOverTrigger,
+                () => {
+                    if (this.isEditMode && !this.selectedMesh) {
+                        this.highlightLayer.addMesh(mesh, Color3.Green());
                     }
-                )
-            );
+                }
+            )
+        );
 
-            mesh.actionManager.registerAction(
-                new ExecuteCodeAction(
-                    ActionManager.OnPointerOutTrigger,
-                    () => {
-                        if (this.isEditMode && !this.selectedMesh) {
-                            this.highlightLayer.removeMesh(mesh);
-                        }
+        mesh.actionManager.registerAction(
+            new ExecuteCodeAction(
+                ActionManager.OnPointerOutTrigger,
+                () => {
+                    if (this.isEditMode && !this.selectedMesh) {
+                        this.highlightLayer.removeMesh(mesh);
                     }
-                )
-            );
-        });
+                }
+            )
+        );
     }
 
-    // Handles clicks on meshes and vertex markers in edit mode
+    // Handles clicks on meshes, clicks/drags on vertex markers and the selection box in edit mode
     setupPointerObserver() {
         this.scene.onPointerObservable.add((pointerInfo) => {
             if (!this.isEditMode) return;
@@ -95,59 +174,803 @@ export class EditModeManager {
                 if (pickedMesh && pickedMesh.name !== "ground1") {
                     if (pickedMesh.name === "vertexMarker") {
                         const brepVertex = this.vertexMarkers.get(pickedMesh);
-                        if (brepVertex) {
-                            this.handleVertexSelection(brepVertex);
+                        if (!brepVertex) {
+                            // Not a marker of the current selection
+                        } else if (pointerInfo.event.shiftKey) {
+                            this.toggleVertexMarker(pickedMesh);
+                        } else if (this.vertexMarkerMeshes.get(pickedMesh) === this.selectedMesh
+                            && this.isPrism(this.selectedMesh)) {
+                            this.startVertexDrag(pickedMesh, brepVertex);
+                        } else {
+                            // Only the footprint vertices of the first selected mesh can be dragged
+                            this.handleVertexMarkerClick(pickedMesh);
                         }
+                    } else if (pickedMesh.name === "edgeMarker") {
+                        const brepEdge = this.edgeMarkers.get(pickedMesh);
+                        if (brepEdge) {
+                            this.handleEdgeSelection(brepEdge);
+                        }
+                    } else if (pointerInfo.event.shiftKey && this.selectedMesh && pickedMesh !== this.selectedMesh) {
+                        this.toggleAdditionalMesh(pickedMesh);
+                    } else if (pickedMesh === this.selectedMesh && this.selectionMode === "face") {
+                        this.handleFaceSelection(pointerInfo.pickInfo.faceId);
+                    } else if (pickedMesh === this.selectedMesh && this.isTopFacePick(pointerInfo.pickInfo)) {
+                        this.startHeightDrag(pointerInfo.pickInfo.pickedPoint);
+                    } else if (pickedMesh === this.selectedMesh && this.selectionMode === "vertex") {
+                        this.handleEdgeInsertion(pointerInfo.pickInfo.pickedPoint);
                     } else {
                         this.selectMesh(pickedMesh);
                     }
+                } else if (this.cameraManager.is2DMode && pointerInfo.event.button === 0) {
+                    this.startBoxSelection(pointerInfo.event.shiftKey);
+                }
+            } else if (pointerInfo.type === PointerEventTypes.POINTERMOVE) {
+                if (this.vertexDrag) {
+                    this.updateVertexDrag();
+                } else if (this.heightDrag) {
+                    this.updateHeightDrag();
+                } else if (this.boxSelection) {
+                    this.updateBoxSelection();
                 }
+            } else if (pointerInfo.type === PointerEventTypes.POINTERUP) {
+                if (this.vertexDrag) {
+                    this.endVertexDrag();
+                } else if (this.heightDrag) {
+                    this.endHeightDrag();
+                } else if (this.boxSelection) {
+                    this.endBoxSelection();
+                }
+            }
+        });
+    }
+
+    /**
+     * Starts tracking a press on a vertex marker. The press becomes a drag once the
+     * pointer moves past the drag threshold; otherwise releasing it counts as a click on the marker.
+     * @param {Mesh} marker - The pressed vertex marker.
+     * @param {Vertex} vertex - The BREP vertex the marker represents.
+     */
+    startVertexDrag(marker, vertex) {
+        const brep = this.selectedMesh.brepData;
+        const positions = brep.getPositions();
+
+        // The partner vertex moves along so the walls stay vertical
+        const vertexBelow = this.findVertexBelow(vertex, brep);
+        const vertices = vertexBelow ? [vertex, vertexBelow] : [vertex];
+
+        this.vertexDrag = {
+            marker,
+            vertex,
+            vertices,
+            originalPositions: vertices.map(v => [...positions[v.getIndex()]]),
+            guides: this.getVertexDragGuides(vertex),
+            startPointerX: this.scene.pointerX,
+            startPointerY: this.scene.pointerY,
+            isDragging: false
+        };
+
+        this.cameraManager.setControlsEnabled(false);
+    }
+
+    // Moves the dragged vertex pair under the pointer and re-tessellates the mesh
+    updateVertexDrag() {
+        const drag = this.vertexDrag;
+
+        if (!drag.isDragging) {
+            const travel = Math.hypot(
+                this.scene.pointerX - drag.startPointerX,
+                this.scene.pointerY - drag.startPointerY
+            );
+            // Moving vertices is only supported in the 2D top view
+            if (travel < this.dragThreshold || !this.cameraManager.isPlanView()) return;
+            drag.isDragging = true;
+            drag.isRefused = !this.canEditPositions(this.selectedMesh);
+        }
+        if (drag.isRefused) return;
+
+        // The dragged vertices and their edges move along, so they must not attract the pointer
+        const snapResult = this.snapManager.snapPointer(drag.marker.position.y, {
+            guides: drag.guides,
+            exclude: { mesh: this.selectedMesh, vertexIndices: new Set(drag.vertices.map(v => v.getIndex())) }
+        });
+        if (!snapResult) return;
+        const { point } = snapResult;
+
+        const positions = this.selectedMesh.brepData.getPositions();
+        drag.vertices.forEach(v => {
+            const position = positions[v.getIndex()];
+            position[0] = point.x;
+            position[2] = point.z;
+        });
+
+        drag.marker.position.x = point.x;
+        drag.marker.position.z = point.z;
+        this.refreshMeshGeometry(this.selectedMesh);
+    }
+
+    // Finishes a press on a vertex marker, either deleting vertex pairs or committing the move
+    endVertexDrag() {
+        const drag = this.vertexDrag;
+        this.vertexDrag = null;
+        this.cameraManager.setControlsEnabled(true);
+        this.snapManager.hideIndicator();
+
+        if (!drag.isDragging) {
+            this.handleVertexMarkerClick(drag.marker);
+            return;
+        }
+        if (drag.isRefused) return;
+
+        const positions = this.selectedMesh.brepData.getPositions();
+        const movedPositions = drag.vertices.map(v => [...positions[v.getIndex()]]);
+
+        // Put the original positions back so the move is applied and recorded as a single edit
+        drag.vertices.forEach((v, i) => {
+            positions[v.getIndex()] = drag.originalPositions[i];
+        });
+
+        const hasMoved = movedPositions.some((position, i) =>
+            position.some((value, axis) => value !== drag.originalPositions[i][axis])
+        );
+        if (!hasMoved) {
+            this.refreshMeshGeometry(this.selectedMesh);
+            return;
+        }
+
+        const [x, , z] = movedPositions[0];
+        this.moveFootprintVertex(drag.vertex, x, z);
+    }
+
+    /**
+     * Moves a top vertex of the selected mesh, and the vertex below it so the walls stay vertical,
+     * to a new plan position as one edit.
+     * @param {Vertex} vertex - A top vertex of the selected mesh.
+     * @param {number} x - The new X coordinate.
+     * @param {number} z - The new Z coordinate.
+     * @returns {boolean} True if the vertex was moved.
+     */
+    moveFootprintVertex(vertex, x, z) {
+        if (!this.selectedMesh?.brepData) return false;
+        if (!Number.isFinite(x) || !Number.isFinite(z)) {
+            this.notify("Vertex coordinates must be numbers");
+            return false;
+        }
+        if (!this.canEditPositions(this.selectedMesh)) return false;
+
+        const brep = this.selectedMesh.brepData;
+        const position = brep.getPositions()[vertex.getIndex()];
+        if (position[0] === x && position[2] === z) return false;
+
+        const topFace = this.findTopFace(brep);
+        const movedLoops = topFace ? getFaceLoops(topFace).map(start => getLoopVertices(start).map(v =>
+            v === vertex ? [x, z] : [brep.getPositions()[v.getIndex()][0], brep.getPositions()[v.getIndex()][2]]
+        )) : [];
+        if (doLoopsIntersect(movedLoops)) {
+            this.notify("The move would make the footprint intersect itself");
+            return false;
+        }
+
+        const vertexBelow = this.findVertexBelow(vertex, brep);
+        const vertices = vertexBelow ? [vertex, vertexBelow] : [vertex];
+        return this.applyBrepEdit("Move vertex", (brep) => {
+            vertices.forEach(v => {
+                const [, y] = brep.getPositions()[v.getIndex()];
+                brep.getPositions()[v.getIndex()] = [x, y, z];
+            });
+        });
+    }
+
+    /**
+     * Lists the alignment guides for dragging a top vertex: through each neighbor of the vertex
+     * along the neighbor's other edge, so the moved edges can be made parallel or perpendicular
+     * to the walls next to them, and along the X axis.
+     * @param {Vertex} vertex - The dragged top vertex.
+     * @returns {Array<{origin: Array<number>, direction: Array<number>}>} The [x, z] guides.
+     */
+    getVertexDragGuides(vertex) {
+        const brep = this.selectedMesh.brepData;
+        const topFace = this.findTopFace(brep);
+        const halfEdge = topFace && this.getFaceHalfEdges(topFace).find(he => he.getVertex() === vertex);
+        if (!halfEdge) return [];
+
+        const worldMatrix = this.selectedMesh.computeWorldMatrix(true);
+        const toPlan = (v) => {
+            const world = Vector3.TransformCoordinates(Vector3.FromArray(brep.getPositions()[v.getIndex()]), worldMatrix);
+            return [world.x, world.z];
+        };
+
+        const next = halfEdge.getNextHalfEdge();
+        const previous = HalfEdgePrev(halfEdge);
+        return [
+            [next.getVertex(), next.getNextHalfEdge().getVertex()],
+            [previous.getVertex(), HalfEdgePrev(previous).getVertex()]
+        ].flatMap(([neighbor, farNeighbor]) => {
+            const origin = toPlan(neighbor);
+            const far = toPlan(farNeighbor);
+            return [
+                { origin, direction: [far[0] - origin[0], far[1] - origin[1]] },
+                { origin, direction: [1, 0] }
+            ];
+        });
+    }
+
+    /**
+     * Checks whether a pick hit the top face of the selected mesh in the 3D view.
+     * The top face is the one at the highest Y of the BREP positions, before the mesh transform.
+     * @param {PickingInfo} pickInfo - The pick to check.
+     * @returns {boolean} True if the top face was picked.
+     */
+    isTopFacePick(pickInfo) {
+        if (this.cameraManager.is2DMode || !pickInfo?.pickedPoint) return false;
+
+        const normal = pickInfo.getNormal(false, false);
+        if (!normal || normal.y < 0.99) return false;
+
+        const positions = this.selectedMesh.brepData.getPositions();
+        const maxY = Math.max(...positions.map(pos => pos[1]));
+        return Math.abs(this.toBrepPosition(this.selectedMesh, pickInfo.pickedPoint).y - maxY) < 0.001;
+    }
+
+    /**
+     * Starts a push/pull drag of the top face along its normal.
+     * @param {Vector3} pickedPoint - The picked point on the top face.
+     */
+    startHeightDrag(pickedPoint) {
+        if (!this.canEditPositions(this.selectedMesh)) return;
+
+        const brep = this.selectedMesh.brepData;
+        const topFace = this.findTopFace(brep);
+        if (!topFace) return;
+
+        const positions = brep.getPositions();
+        const vertices = this.getFaceHalfEdges(topFace).map(he => he.getVertex());
+        const topY = positions[vertices[0].getIndex()][1];
+        const bottomY = Math.min(...positions.map(pos => pos[1]));
+
+        this.heightDrag = {
+            vertices,
+            anchor: pickedPoint.clone(),
+            startOffset: this.cameraManager.getPointerOnAxis(pickedPoint, Vector3.Up()),
+            bottomY,
+            startHeight: topY - bottomY,
+            height: topY - bottomY
+        };
+
+        this.removeAllMarkers();
+        this.cameraManager.setControlsEnabled(false);
+    }
+
+    // Moves the top face to the snapped height under the pointer and re-tessellates the mesh
+    updateHeightDrag() {
+        const drag = this.heightDrag;
+
+        const offset = this.cameraManager.getPointerOnAxis(drag.anchor, Vector3.Up());
+        if (offset === null) return;
+
+        // Heights snap to the grid, and never go below one grid step
+        const rawHeight = drag.startHeight + offset - drag.startOffset;
+        const height = Math.max(this.snapManager.getLengthStep() || this.minimumHeight, this.snapManager.snapLength(rawHeight));
+
+        this.onReadoutObservable.notifyObservers({
+            text: `Height: ${height.toFixed(2)}`,
+            x: this.scene.pointerX,
+            y: this.scene.pointerY
+        });
+
+        if (height === drag.height) return;
+        drag.height = height;
+
+        const positions = this.selectedMesh.brepData.getPositions();
+        drag.vertices.forEach(v => {
+            positions[v.getIndex()][1] = drag.bottomY + height;
+        });
+        this.refreshMeshGeometry(this.selectedMesh);
+    }
+
+    // Finishes a push/pull drag, committing the new height as a single edit
+    endHeightDrag() {
+        const drag = this.heightDrag;
+        this.heightDrag = null;
+        this.cameraManager.setControlsEnabled(true);
+        this.onReadoutObservable.notifyObservers(null);
+
+        // Put the original height back so the change is applied and recorded as a single edit
+        const positions = this.selectedMesh.brepData.getPositions();
+        drag.vertices.forEach(v => {
+            positions[v.getIndex()][1] = drag.bottomY + drag.startHeight;
+        });
+
+        if (drag.height === drag.startHeight) {
+            this.refreshMeshGeometry(this.selectedMesh);
+            this.createMarkers();
+            return;
+        }
+
+        this.setExtrusionHeight(drag.height);
+    }
+
+    /**
+     * Moves the top face of the selected mesh to a height above its lowest point, as one edit.
+     * @param {number} height - The new height, must be positive.
+     * @returns {boolean} True if the height was changed.
+     */
+    setExtrusionHeight(height) {
+        const brep = this.selectedMesh?.brepData;
+        const topFace = brep && this.findTopFace(brep);
+        if (!topFace) return false;
+        if (!Number.isFinite(height) || height <= 0) {
+            this.notify("Extrusion height must be a positive number");
+            return false;
+        }
+        if (!this.canEditPositions(this.selectedMesh)) return false;
+
+        const positions = brep.getPositions();
+        const vertices = this.getFaceHalfEdges(topFace).map(he => he.getVertex());
+        const bottomY = Math.min(...positions.map(pos => pos[1]));
+        if (positions[vertices[0].getIndex()][1] - bottomY === height) return false;
+
+        return this.applyBrepEdit("Change height", (brep) => {
+            vertices.forEach(v => {
+                brep.getPositions()[v.getIndex()][1] = bottomY + height;
+            });
+        });
+    }
+
+    /**
+     * Gives the selected mesh a new material color, as one edit. The previous material is kept for undo.
+     * @param {Color3} color - The new diffuse color.
+     * @returns {boolean} True if the color was changed.
+     */
+    setMeshColor(color) {
+        const mesh = this.selectedMesh;
+        if (!mesh || mesh.material?.diffuseColor?.equals(color)) return false;
+
+        const entityId = this.getEntityId(mesh);
+        const before = this.captureMeshState(mesh);
+        const material = this.cloneOrCreateMaterial();
+        material.diffuseColor = color.clone();
+        mesh.material = material;
+
+        const after = this.captureMeshState(mesh);
+        this.history.record(
+            new MeshStateCommand("Change color", this, [{ entityId, before, after }], entityId, entityId)
+        );
+        this.onSelectedMeshChangedObservable.notifyObservers(mesh);
+        return true;
+    }
+
+    /**
+     * Describes a mesh for the properties panel: its element counts and color and, for prisms,
+     * the footprint loops and the extrusion height.
+     * @param {Mesh} mesh - A mesh with BREP data.
+     * @returns {{faces: number, edges: number, vertices: number, color: Color3, hasUnbakedTransform: boolean,
+     *     loops: Array<Array<{vertex: Vertex, position: Array<number>}>>|null, height: number|null}}
+     *     The properties; the top vertex loops (outer loop first, then the holes) and height are null for other
+     *     solids and for meshes whose transform is not baked, as their positions cannot be edited.
+     */
+    getMeshProperties(mesh) {
+        const brep = mesh.brepData;
+        const properties = {
+            faces: brep.getFaces().length,
+            edges: brep.getEdges().length,
+            vertices: brep.getVertices().length,
+            color: (mesh.material?.diffuseColor || new Color3(0.8, 0.8, 0.8)).clone(),
+            hasUnbakedTransform: this.hasUnbakedTransform(mesh),
+            loops: null,
+            height: null
+        };
+        if (properties.hasUnbakedTransform || !this.isPrism(mesh)) return properties;
+
+        const positions = brep.getPositions();
+        const topFace = this.findTopFace(brep);
+        properties.loops = getFaceLoops(topFace).map(start => getLoopVertices(start).map(vertex => ({
+            vertex,
+            position: [...positions[vertex.getIndex()]]
+        })));
+        properties.height = properties.loops[0][0].position[1] - Math.min(...positions.map(pos => pos[1]));
+        return properties;
+    }
+
+    /**
+     * Starts a selection box at the pointer. It selects once the pointer moves past the drag threshold.
+     * @param {boolean} isAdditive - True to add to the current selection instead of replacing it.
+     */
+    startBoxSelection(isAdditive) {
+        this.boxSelection = {
+            startPointerX: this.scene.pointerX,
+            startPointerY: this.scene.pointerY,
+            isAdditive,
+            isDragging: false
+        };
+
+        this.cameraManager.setControlsEnabled(false);
+    }
+
+    // Resizes the selection box to the pointer
+    updateBoxSelection() {
+        const box = this.boxSelection;
+        const { pointerX, pointerY } = this.scene;
+
+        if (!box.isDragging) {
+            const travel = Math.hypot(pointerX - box.startPointerX, pointerY - box.startPointerY);
+            if (travel < this.dragThreshold) return;
+            box.isDragging = true;
+        }
+
+        this.onSelectionBoxObservable.notifyObservers({
+            x: Math.min(box.startPointerX, pointerX),
+            y: Math.min(box.startPointerY, pointerY),
+            width: Math.abs(pointerX - box.startPointerX),
+            height: Math.abs(pointerY - box.startPointerY)
+        });
+    }
+
+    // Finishes a selection box, selecting what lies inside it on the plane of the orthographic view
+    endBoxSelection() {
+        const box = this.boxSelection;
+        this.boxSelection = null;
+        this.cameraManager.setControlsEnabled(true);
+        this.onSelectionBoxObservable.notifyObservers(null);
+
+        if (!box.isDragging) return;
+
+        const start = this.cameraManager.getPointerOnViewPlane(box.startPointerX, box.startPointerY);
+        const end = this.cameraManager.getPointerOnViewPlane();
+        if (!start || !end) return;
+
+        const [u, v] = this.cameraManager.getViewPlaneAxes();
+        const [startCoordinates, endCoordinates] = [start.asArray(), end.asArray()];
+        this.selectInBox([startCoordinates[u], startCoordinates[v]], [endCoordinates[u], endCoordinates[v]], box.isAdditive);
+    }
+
+    /**
+     * Selects the vertex markers inside a rectangle of the view plane, or the meshes lying
+     * entirely inside it if it holds no vertex markers. The rectangle spans the world axes of the
+     * orthographic view, e.g. x and z in the top view or x and y in the front view.
+     * @param {Array<number>} corner1 - A corner of the rectangle, in the view plane axes.
+     * @param {Array<number>} corner2 - The opposite corner.
+     * @param {boolean} isAdditive - True to add to the current selection instead of replacing it.
+     * @returns {number} The number of vertex markers or meshes that were inside the rectangle.
+     */
+    selectInBox(corner1, corner2, isAdditive) {
+        const [u, v] = this.cameraManager.getViewPlaneAxes();
+        const [minU, maxU] = [Math.min(corner1[0], corner2[0]), Math.max(corner1[0], corner2[0])];
+        const [minV, maxV] = [Math.min(corner1[1], corner2[1]), Math.max(corner1[1], corner2[1])];
+        const isInside = (point) => {
+            const coordinates = point.asArray();
+            return coordinates[u] >= minU && coordinates[u] <= maxU && coordinates[v] >= minV && coordinates[v] <= maxV;
+        };
+
+        const markers = [...this.vertexMarkers.keys()]
+            .filter(marker => isInside(marker.position));
+        if (markers.length > 0) {
+            if (!isAdditive) {
+                this.clearVertexMarkerSelection();
             }
+            markers
+                .filter(marker => !this.selectedVertexMarkers.has(marker))
+                .forEach(marker => this.toggleVertexMarker(marker));
+            return markers.length;
+        }
+
+        const meshes = this.scene.meshes.filter(mesh => {
+            if (!mesh.brepData || mesh.isDisposed()) return false;
+            const worldMatrix = mesh.computeWorldMatrix(true);
+            return mesh.brepData.getPositions().every(position =>
+                isInside(Vector3.TransformCoordinates(Vector3.FromArray(position), worldMatrix))
+            );
+        });
+
+        if (!isAdditive) {
+            this.clearSelection();
+        }
+        meshes.forEach(mesh => {
+            if (!this.selectedMesh) {
+                this.selectMesh(mesh);
+            } else if (mesh !== this.selectedMesh && !this.additionalMeshes.includes(mesh)) {
+                this.toggleAdditionalMesh(mesh);
+            }
+        });
+        return meshes.length;
+    }
+
+    /**
+     * Frames the selected meshes in the view.
+     * @returns {boolean} True if there was a selection to frame.
+     */
+    frameSelected() {
+        if (!this.selectedMesh) {
+            this.notify("Select a mesh to frame");
+            return false;
+        }
+        return this.cameraManager.frameMeshes(this.getSelectedMeshes());
+    }
+
+    /**
+     * Adds the selection and editing commands to the command registry. Entering and leaving edit mode
+     * is left to the page, which keeps it apart from the other tools.
+     * @param {CommandManager} commandManager - The registry the shortcuts and command palette run.
+     */
+    registerCommands(commandManager) {
+        commandManager.register({
+            id: "edit.clearSelection",
+            label: "Clear selection",
+            shortcuts: ["Escape"],
+            isEnabled: () => this.isEditMode && this.selectedMesh !== null,
+            run: () => this.clearSelection()
+        });
+        commandManager.register({
+            id: "edit.deleteVertices",
+            label: "Delete selected vertices",
+            shortcuts: ["Delete", "Backspace"],
+            isEnabled: () => this.isEditMode && this.selectedVertexMarkers.size > 0,
+            run: () => this.deleteSelectedVertices()
+        });
+        // Without a selection, F is left to the commands registered after this one, such as zoom to fit
+        commandManager.register({
+            id: "edit.frameSelected",
+            label: "Frame selected",
+            shortcuts: ["F"],
+            isEnabled: () => this.selectedMesh !== null,
+            run: () => this.frameSelected()
+        });
+        ["vertex", "edge", "face"].forEach(mode => {
+            commandManager.register({
+                id: `edit.select${mode[0].toUpperCase()}${mode.slice(1)}s`,
+                label: `Select ${mode}s`,
+                run: () => this.setSelectionMode(mode)
+            });
         });
+        commandManager.register({
+            id: "edit.bakeTransform",
+            label: "Bake transform",
+            isEnabled: () => this.selectedMesh !== null,
+            run: () => this.bakeTransform()
+        });
+        commandManager.register({
+            id: "edit.undo",
+            label: "Undo",
+            shortcuts: ["Ctrl+Z"],
+            isEnabled: () => this.history.canUndo(),
+            run: () => this.undo()
+        });
+        commandManager.register({
+            id: "edit.redo",
+            label: "Redo",
+            shortcuts: ["Ctrl+Shift+Z", "Ctrl+Y"],
+            isEnabled: () => this.history.canRedo(),
+            run: () => this.redo()
+        });
+    }
+
+    /**
+     * Re-tessellates a mesh in place from its BREP, without replacing the mesh.
+     * Used for live previews while an edit is in progress.
+     * @param {Mesh} mesh - The mesh to refresh.
+     */
+    refreshMeshGeometry(mesh) {
+        const { geometry, faceFacetMapping } = this.tessellator.tessellate(mesh.brepData, this.scene, mesh.uvOptions);
+        if (!geometry) return;
+
+        const oldGeometry = mesh.geometry;
+        geometry.applyToMesh(mesh);
+        oldGeometry?.dispose();
+
+        // Edge lines are computed once, so rebuild them for the new geometry
+        mesh.disableEdgesRendering();
+        mesh.enableEdgesRendering();
+        mesh.edgesColor = new Color4(0, 0, 0, 1);
+        mesh.faceFacetMapping = faceFacetMapping;
+
+        if (mesh === this.selectedMesh) {
+            this.onSelectedMeshChangedObservable.notifyObservers(mesh);
+        }
     }
 
     selectMesh(mesh) {
         this.clearSelection();
         this.selectedMesh = mesh;
         this.highlightLayer.addMesh(mesh, Color3.Green());
-        this.createVertexMarkers();
+        this.createMarkers();
+        this.onSelectedMeshChangedObservable.notifyObservers(mesh);
     }
 
     clearSelection() {
+        this.additionalMeshes.forEach(mesh => this.highlightLayer.removeMesh(mesh));
+        this.additionalMeshes = [];
+
         if (this.selectedMesh) {
             this.highlightLayer.removeMesh(this.selectedMesh);
             this.selectedMesh = null;
-            this.removeAllVertexMarkers();
+            this.removeAllMarkers();
+            this.onSelectedMeshChangedObservable.notifyObservers(null);
+        }
+    }
+
+    /**
+     * Adds a mesh to the selection after the selected mesh, or removes it if it is already there.
+     * @param {Mesh} mesh - The Shift-clicked mesh.
+     */
+    toggleAdditionalMesh(mesh) {
+        if (this.additionalMeshes.includes(mesh)) {
+            this.additionalMeshes = this.additionalMeshes.filter(other => other !== mesh);
+            this.highlightLayer.removeMesh(mesh);
+        } else {
+            this.additionalMeshes.push(mesh);
+            this.highlightLayer.addMesh(mesh, Color3.Yellow());
+        }
+
+        // Every selected mesh shows its vertex markers
+        if (this.selectionMode === "vertex") {
+            this.createVertexMarkers();
+        }
+    }
+
+    /**
+     * Lists the selected meshes, starting with the one whose markers are shown.
+     * @returns {Array<Mesh>} The selected meshes in the order they were picked.
+     */
+    getSelectedMeshes() {
+        return this.selectedMesh ? [this.selectedMesh, ...this.additionalMeshes] : [];
+    }
+
+    /**
+     * Switches which BREP elements of the selected mesh can be picked.
+     * @param {string} mode - "vertex", "edge" or "face".
+     */
+    setSelectionMode(mode) {
+        this.selectionMode = mode;
+        this.createMarkers();
+    }
+
+    // Creates the markers for the current selection mode; faces are picked on the mesh itself
+    createMarkers() {
+        this.removeAllMarkers();
+
+        if (this.selectionMode === "edge") {
+            this.createEdgeMarkers();
+        } else if (this.selectionMode === "vertex") {
+            this.createVertexMarkers();
+        }
+    }
+
+    // Removes the vertex and edge markers and the face selection, which all refer to the current BREP
+    removeAllMarkers() {
+        this.removeAllVertexMarkers();
+        this.removeAllEdgeMarkers();
+        this.clearFaceSelection();
+    }
+
+    /**
+     * Selects the BREP face of the selected mesh that a picked triangle belongs to.
+     * @param {number} facetId - The index of the picked triangle, as in a pick's faceId.
+     */
+    handleFaceSelection(facetId) {
+        const face = this.findFaceByFacet(this.selectedMesh, facetId);
+        if (!face || face === this.selectedFace) return;
+
+        this.clearFaceSelection();
+        this.selectedFace = face;
+        this.createFaceHighlight(this.selectedMesh, face);
+        this.onFaceSelectedObservable.notifyObservers(face);
+    }
+
+    /**
+     * Finds the BREP face a triangle of a mesh was tessellated from.
+     * @param {Mesh} mesh - A mesh with BREP data and a face to facet mapping.
+     * @param {number} facetId - The index of the triangle in the mesh.
+     * @returns {Face|null} The BREP face, or null if the triangle is not mapped.
+     */
+    findFaceByFacet(mesh, facetId) {
+        if (!mesh?.brepData || !mesh.faceFacetMapping || facetId < 0) return null;
+
+        const entry = Object.entries(mesh.faceFacetMapping)
+            .find(([, facets]) => facets.includes(facetId));
+        return entry ? mesh.brepData.getFaces()[Number(entry[0])] || null : null;
+    }
+
+    /**
+     * Overlays the triangles of a BREP face on a mesh.
+     * @param {Mesh} mesh - The mesh the face belongs to.
+     * @param {Face} face - The face to highlight.
+     */
+    createFaceHighlight(mesh, face) {
+        const facets = mesh.faceFacetMapping[face.getIndex()] || [];
+        const meshIndices = mesh.getIndices();
+
+        const vertexData = new VertexData();
+        vertexData.positions = mesh.getVerticesData(VertexBuffer.PositionKind);
+        vertexData.indices = facets.flatMap(facet => [
+            meshIndices[3 * facet], meshIndices[3 * facet + 1], meshIndices[3 * facet + 2]
+        ]);
+
+        this.faceHighlight = new Mesh("faceHighlight", this.scene);
+        vertexData.applyToMesh(this.faceHighlight);
+        this.faceHighlight.material = this.faceHighlightMaterial;
+        this.faceHighlight.isPickable = false;
+        // Follows the mesh transform, as the positions are in its local space
+        this.faceHighlight.parent = mesh;
+    }
+
+    clearFaceSelection() {
+        this.faceHighlight?.dispose();
+        this.faceHighlight = null;
+
+        if (this.selectedFace) {
+            this.selectedFace = null;
+            this.onFaceSelectedObservable.notifyObservers(null);
         }
     }
 
+    /**
+     * Sends a message meant for the user, e.g. why an edit was refused.
+     * @param {string} message - The message to show.
+     */
+    notify(message) {
+        console.warn(message);
+        this.onMessageObservable.notifyObservers(message);
+    }
+
+    /**
+     * Marks the top vertices of prisms, which stand for vertex pairs, and every vertex of other solids.
+     * In an elevation view only the vertices of walls facing the camera are marked.
+     * Markers sit at the world positions of the vertices, like the snap targets and picks.
+     */
     createVertexMarkers() {
         this.removeAllVertexMarkers();
-        
-        if (!this.selectedMesh?.brepData) return;
+        this.vertexMarkerView = this.cameraManager.getElevationView();
+
+        this.getSelectedMeshes().forEach(mesh => {
+            if (!mesh.brepData) return;
+
+            const brep = mesh.brepData;
+            const positions = brep.getPositions();
+            const vertices = brep.getVertices();
+
+            const worldMatrix = mesh.computeWorldMatrix(true);
+            const maxY = Math.max(...positions.map(pos => pos[1]));
+            const isPrism = this.isPrism(mesh);
+            const facingVertices = this.vertexMarkerView ? this.getCameraFacingVertices(brep, worldMatrix) : null;
+
+            vertices.forEach(vertex => {
+                const pos = positions[vertex.getIndex()];
+                if (facingVertices && !facingVertices.has(vertex)) return;
+                if (!isPrism || Math.abs(pos[1] - maxY) < 0.001) {
+                    const marker = MeshBuilder.CreateSphere(
+                        "vertexMarker",
+                        { diameter: 0.3 },
+                        this.scene
+                    );
+
+                    marker.position = Vector3.TransformCoordinates(Vector3.FromArray(pos), worldMatrix);
+                    marker.material = this.vertexMarkerMaterial;
+                    marker.isPickable = true;
+
+                    this.vertexMarkers.set(marker, vertex);
+                    this.vertexMarkerMeshes.set(marker, mesh);
+                }
+            });
+        });
+    }
 
-        const brep = this.selectedMesh.brepData;
-        const positions = brep.getPositions();
-        const vertices = brep.getVertices();
-        
-        const maxY = Math.max(...positions.map(pos => pos[1]));
-        
-        vertices.forEach(vertex => {
-            const pos = positions[vertex.getIndex()];
-            if (Math.abs(pos[1] - maxY) < 0.001) {
-                const marker = MeshBuilder.CreateSphere(
-                    "vertexMarker",
-                    { diameter: 0.3 },
-                    this.scene
-                );
-                
-                marker.position.set(pos[0], pos[1], pos[2]);
-                marker.material = this.vertexMarkerMaterial;
-                marker.isPickable = true;
-                
-                this.vertexMarkers.set(marker, vertex);
-            }
+    /**
+     * Collects the vertices of the faces turned towards the camera of the orthographic view.
+     * @param {Object} brep - The BREP data.
+     * @param {Matrix} worldMatrix - The world matrix of the mesh, which turns the face normals.
+     * @returns {Set<Vertex>} The vertices of the camera-facing faces.
+     */
+    getCameraFacingVertices(brep, worldMatrix) {
+        const towardsCamera = this.cameraManager.getOrthoViewDirection().negate();
+        // Normals take the inverse transpose, which keeps them perpendicular to scaled faces
+        const normalMatrix = Matrix.Transpose(Matrix.Invert(worldMatrix));
+        const vertices = new Set();
+
+        brep.getFaces().forEach(face => {
+            const normal = Vector3.TransformNormal(computeFaceNormal(brep, face), normalMatrix).normalize();
+            if (Vector3.Dot(normal, towardsCamera) < this.facingTolerance) return;
+            getLoopVertices(face.getHalfEdge()).forEach(vertex => vertices.add(vertex));
         });
+        return vertices;
     }
 
     removeAllVertexMarkers() {
@@ -155,6 +978,138 @@ export class EditModeManager {
             marker.dispose();
         }
         this.vertexMarkers.clear();
+        this.vertexMarkerMeshes.clear();
+        this.selectedVertexMarkers.clear();
+    }
+
+    /**
+     * Adds a vertex marker to the vertex selection, or removes it if it is already selected.
+     * @param {Mesh} marker - The Shift-clicked vertex marker.
+     */
+    toggleVertexMarker(marker) {
+        if (this.selectedVertexMarkers.has(marker)) {
+            this.selectedVertexMarkers.delete(marker);
+            marker.material = this.vertexMarkerMaterial;
+        } else {
+            this.selectedVertexMarkers.add(marker);
+            marker.material = this.selectedVertexMarkerMaterial;
+        }
+    }
+
+    clearVertexMarkerSelection() {
+        this.selectedVertexMarkers.forEach(marker => {
+            marker.material = this.vertexMarkerMaterial;
+        });
+        this.selectedVertexMarkers.clear();
+    }
+
+    /**
+     * Checks whether a mesh is an upright prism, whose vertices are edited in pairs.
+     * @param {Mesh} mesh - A mesh with BREP data.
+     * @returns {boolean} True if the mesh is a prism with a flat top face.
+     */
+    isPrism(mesh) {
+        try {
+            getPrismFootprint(mesh);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Checks whether a mesh has a transform that is not baked into its BREP positions.
+     * @param {Mesh} mesh - A mesh with BREP data.
+     * @returns {boolean} True if the BREP positions differ from the world positions.
+     */
+    hasUnbakedTransform(mesh) {
+        return !mesh.computeWorldMatrix(true).isIdentity();
+    }
+
+    /**
+     * Checks that the vertex positions of a mesh can be edited, telling the user to bake its
+     * transform first if they cannot. Moves work on world points, which only match the BREP
+     * positions once the transform is baked.
+     * @param {Mesh} mesh - The mesh to edit.
+     * @returns {boolean} True if the positions can be edited.
+     */
+    canEditPositions(mesh) {
+        if (!this.hasUnbakedTransform(mesh)) return true;
+
+        this.notify("Bake the transform of the mesh before moving its vertices or faces");
+        return false;
+    }
+
+    /**
+     * Converts a world point into the BREP coordinates of a mesh, undoing its transform.
+     * @param {Mesh} mesh - A mesh with BREP data.
+     * @param {Vector3} point - The world point.
+     * @returns {Vector3} The point in BREP coordinates.
+     */
+    toBrepPosition(mesh, point) {
+        return Vector3.TransformCoordinates(point, Matrix.Invert(mesh.computeWorldMatrix(true)));
+    }
+
+    /**
+     * Handles a plain click on a vertex marker: a selected marker deletes the whole vertex
+     * selection, any other marker deletes just its own vertex.
+     * @param {Mesh} marker - The clicked vertex marker.
+     */
+    handleVertexMarkerClick(marker) {
+        if (this.selectedVertexMarkers.has(marker)) {
+            this.deleteSelectedVertices();
+            return;
+        }
+
+        this.deleteVertices([{ mesh: this.vertexMarkerMeshes.get(marker), vertex: this.vertexMarkers.get(marker) }]);
+    }
+
+    /**
+     * Deletes the vertices of all selected vertex markers as one edit.
+     * @returns {boolean} True if the vertices were deleted.
+     */
+    deleteSelectedVertices() {
+        if (this.selectedVertexMarkers.size === 0) return false;
+
+        return this.deleteVertices([...this.selectedVertexMarkers].map(marker => ({
+            mesh: this.vertexMarkerMeshes.get(marker),
+            vertex: this.vertexMarkers.get(marker)
+        })));
+    }
+
+    createEdgeMarkers() {
+        this.removeAllEdgeMarkers();
+
+        if (!this.selectedMesh?.brepData) return;
+
+        const brep = this.selectedMesh.brepData;
+        const worldMatrix = this.selectedMesh.computeWorldMatrix(true);
+        const toWorld = (vertex) =>
+            Vector3.TransformCoordinates(Vector3.FromArray(brep.getPositions()[vertex.getIndex()]), worldMatrix);
+
+        brep.getEdges().forEach(edge => {
+            const halfEdge = edge.getHalfEdge();
+            const start = toWorld(halfEdge.getVertex());
+            const end = toWorld(halfEdge.getNextHalfEdge().getVertex());
+
+            const marker = MeshBuilder.CreateTube(
+                "edgeMarker",
+                { path: [start, end], radius: 0.1, cap: Mesh.CAP_ALL },
+                this.scene
+            );
+
+            marker.material = this.edgeMarkerMaterial;
+            marker.isPickable = true;
+
+            this.edgeMarkers.set(marker, edge);
+        });
+    }
+
+    removeAllEdgeMarkers() {
+        for (const marker of this.edgeMarkers.keys()) {
+            marker.dispose();
+        }
+        this.edgeMarkers.clear();
     }
 
     /**
@@ -197,84 +1152,602 @@ export class EditModeManager {
             }
         }
 
-        if (!point2 || !point3) {
-            console.error("Could not find three non-collinear points");
-            return new Vector3(0, 1, 0); // Fallback to up vector
+        if (!point2 || !point3) {
+            console.error("Could not find three non-collinear points");
+            return new Vector3(0, 1, 0); // Fallback to up vector
+        }
+
+        // Calculate normal using cross product
+        const v1 = point2.subtract(point1);
+        const v2 = point3.subtract(point1);
+        const normal = Vector3.Cross(v1, v2).normalize();
+        
+        return normal;
+    }
+
+    /**
+     * Orders vertices based on their angle around the centroid in the plane.
+     * @param {Array<number>} vertexIndices - Indices of the vertices to order.
+     * @param {Array<Array<number>>} positions - Array of [x, y, z] coordinates.
+     * @returns {Array<number>} Ordered array of vertex indices.
+     */
+    orderVerticesByAngle(vertexIndices, positions) {
+        if (vertexIndices.length < 3) return vertexIndices;
+
+        // Convert vertex indices to Vector3 positions
+        const vertexPositions = vertexIndices.map(idx => Vector3.FromArray(positions[idx]));
+        
+        // Calculate plane normal
+        const normal = this.calculatePlaneNormal(vertexPositions.map(v => [v.x, v.y, v.z]));
+        
+        // Calculate centroid
+        const centroid = vertexPositions.reduce((acc, pos) => acc.add(pos), new Vector3(0, 0, 0))
+            .scale(1 / vertexPositions.length);
+
+        // Create orthonormal basis for the plane
+        let basisX = vertexPositions[0].subtract(centroid).normalize();
+        const basisY = Vector3.Cross(normal, basisX).normalize();
+
+        // Calculate angles for each vertex relative to the centroid and basis vectors
+        const verticesWithAngles = vertexIndices.map((vertexIndex, i) => {
+            const pos = vertexPositions[i];
+            const relativePos = pos.subtract(centroid);
+            
+            const x = Vector3.Dot(relativePos, basisX);
+            const y = Vector3.Dot(relativePos, basisY);
+            
+            const angle = Math.atan2(y, x);
+            
+            return { index: vertexIndex, angle };
+        });
+
+        // Sort vertices by angle
+        verticesWithAngles.sort((a, b) => a.angle - b.angle);
+        
+        return verticesWithAngles.map(v => v.index);
+    }
+    
+    /**
+     * Handles the selection of a vertex, performing necessary mesh updates.
+     * @param {Vertex} selectedVertex - The selected vertex.
+     */
+    handleVertexSelection(selectedVertex) {
+        if (!this.selectedMesh?.brepData) return;
+
+        this.deleteVertices([{ mesh: this.selectedMesh, vertex: selectedVertex }]);
+    }
+
+    /**
+     * Deletes vertices of one or more meshes as a single edit. Prisms lose the picked top vertices
+     * together with the vertices below them; other solids lose just the picked vertices.
+     * Nothing is changed if any deletion would leave a footprint or hole with fewer than 3 vertices,
+     * fails, or leaves an invalid solid.
+     * @param {Array<{mesh: Mesh, vertex: Vertex}>} targets - The vertices to delete and their meshes.
+     * @returns {boolean} True if the vertices were deleted.
+     */
+    deleteVertices(targets) {
+        const isPairs = targets.every(({ mesh }) => mesh && this.isPrism(mesh));
+        const [singular, plural] = isPairs ? ["vertex pair", "vertex pairs"] : ["vertex", "vertices"];
+        const label = `Delete ${targets.length > 1 ? plural : singular}`;
+        const verticesByMesh = new Map();
+        targets.forEach(({ mesh, vertex }) => {
+            if (!mesh?.brepData || !vertex) return;
+            if (!verticesByMesh.has(mesh)) {
+                verticesByMesh.set(mesh, []);
+            }
+            verticesByMesh.get(mesh).push(vertex);
+        });
+        if (verticesByMesh.size === 0) return false;
+
+        for (const [mesh, vertices] of verticesByMesh) {
+            const refusal = this.isPrism(mesh) ? this.getVertexPairsDeletionError(mesh.brepData, vertices) : null;
+            if (refusal) {
+                this.notify(`${label} was refused: ${refusal}`);
+                return false;
+            }
+        }
+
+        // Edit copies, so a failure on any mesh leaves every mesh untouched
+        const edits = [];
+        for (const [mesh, vertices] of verticesByMesh) {
+            const brep = cloneBrep(mesh.brepData);
+            // Indices shift with every deletion, so resolve the copied vertices first
+            const copies = vertices.map(vertex => brep.getVertices()[vertex.getIndex()]);
+            const isPrism = this.isPrism(mesh);
+
+            try {
+                copies.forEach(vertex => {
+                    if (!isPrism) {
+                        this.removeVertexAndUpdateBREP(brep, vertex);
+                        return;
+                    }
+                    const vertexBelow = this.findVertexBelow(vertex, brep);
+                    if (!vertexBelow) {
+                        throw new Error("Could not find corresponding vertex below");
+                    }
+                    this.deleteVertexPairAndUpdateBREP(brep, vertex, vertexBelow);
+                });
+            } catch (error) {
+                console.error('Error modifying mesh:', error);
+                this.notify(`${label} failed: ${error.message}`);
+                return false;
+            }
+
+            const validation = validateBrep(brep, {
+                eulerCharacteristic: computeEulerCharacteristic(mesh.brepData)
+            });
+            if (!validation.valid) {
+                const [failure] = validation.failures;
+                console.error(`${label} produced an invalid BREP:`, validation.failures);
+                this.notify(`${label} was rolled back: ${failure.check} check failed (${failure.message})`);
+                return false;
+            }
+
+            edits.push({ mesh, brep });
+        }
+
+        const selection = this.getSelectedEntityIds();
+        const changes = edits.map(({ mesh, brep }) => {
+            const entityId = this.getEntityId(mesh);
+            const before = this.captureMeshState(mesh);
+            const after = { ...before, brep };
+            this.restoreMeshState(entityId, after);
+            return { entityId, before, after };
+        });
+
+        this.restoreSelection(selection);
+        this.history.record(new MeshStateCommand(label, this, changes, selection, selection));
+        return true;
+    }
+
+    /**
+     * Checks whether the vertex pairs below top vertices can all be deleted from a prism.
+     * @param {BREP} brep - The BREP data.
+     * @param {Array<Vertex>} vertices - The top vertices to delete.
+     * @returns {string|null} Why the vertex pairs cannot be deleted, or null if they can.
+     */
+    getVertexPairsDeletionError(brep, vertices) {
+        const topFace = this.findTopFace(brep);
+        if (!topFace) return "the mesh has no top face";
+
+        const loops = getFaceLoops(topFace).map(start => getLoopVertices(start));
+        if (vertices.some(vertex => !loops.some(loop => loop.includes(vertex)))) {
+            return "only top vertices can be deleted";
+        }
+
+        const tooFew = loops.findIndex(loop => loop.filter(vertex => !vertices.includes(vertex)).length < 3);
+        if (tooFew === -1) return null;
+        return tooFew === 0
+            ? "a prism needs at least 3 footprint vertices"
+            : "a hole needs at least 3 vertices";
+    }
+
+    /**
+     * Runs an edit on the selected mesh's BREP, rebuilds the mesh and records the edit in the history.
+     * The edited BREP is validated; if the edit throws or leaves an invalid solid, it is rolled back
+     * to the snapshot taken before it ran and the user is told why.
+     * @param {string} label - Name of the edit, used by the history.
+     * @param {function(BREP): void} operation - Modifies the BREP in place.
+     * @returns {boolean} True if the edit was applied.
+     */
+    applyBrepEdit(label, operation) {
+        const mesh = this.selectedMesh;
+        if (!mesh?.brepData) return false;
+
+        const entityId = this.getEntityId(mesh);
+        const before = this.captureMeshState(mesh);
+
+        try {
+            operation(mesh.brepData);
+
+            // Edits must keep the solid closed and manifold, with the same topology type
+            const validation = validateBrep(mesh.brepData, {
+                eulerCharacteristic: computeEulerCharacteristic(before.brep)
+            });
+            if (!validation.valid) {
+                const [failure] = validation.failures;
+                console.error(`${label} produced an invalid BREP:`, validation.failures);
+                this.rollbackEdit(mesh, before);
+                this.notify(`${label} was rolled back: ${failure.check} check failed (${failure.message})`);
+                return false;
+            }
+
+            const newMesh = this.createUpdatedMesh(mesh.brepData);
+            this.replaceOldMesh(newMesh);
+        } catch (error) {
+            console.error('Error modifying mesh:', error);
+            this.rollbackEdit(mesh, before);
+            this.notify(`${label} failed: ${error.message}`);
+            return false;
+        }
+
+        const after = this.captureMeshState(this.selectedMesh);
+        this.history.record(
+            new MeshStateCommand(label, this, [{ entityId, before, after }], entityId, entityId)
+        );
+        return true;
+    }
+
+    /**
+     * Restores a mesh's BREP from a snapshot after a failed edit and refreshes what depends on it.
+     * @param {Mesh} mesh - The edited mesh.
+     * @param {Object} before - State captured before the edit.
+     */
+    rollbackEdit(mesh, before) {
+        mesh.brepData = cloneBrep(before.brep);
+        this.refreshMeshGeometry(mesh);
+
+        // Markers reference elements of the discarded BREP
+        if (mesh === this.selectedMesh) {
+            this.createMarkers();
+        }
+    }
+
+    /**
+     * Records newly created meshes in the history as one edit, so their creation can be undone.
+     * Meshes created while edit mode is on are made interactive.
+     * @param {string} label - Name of the edit, used by the history.
+     * @param {Mesh|Array<Mesh>} meshes - The created mesh or meshes.
+     */
+    recordMeshCreation(label, meshes) {
+        const selection = this.selectedMesh ? this.getEntityId(this.selectedMesh) : null;
+        const changes = [].concat(meshes).map(mesh => {
+            if (this.isEditMode) {
+                this.registerMeshInteraction(mesh);
+            }
+            return { entityId: this.getEntityId(mesh), before: null, after: this.captureMeshState(mesh) };
+        });
+
+        this.history.record(new MeshStateCommand(label, this, changes, selection, selection));
+    }
+
+    /**
+     * Replaces meshes with new ones as one edit, e.g. the operands of a boolean operation
+     * with its result, and selects the first new mesh.
+     * @param {string} label - Name of the edit, used by the history.
+     * @param {Array<Mesh>} oldMeshes - The meshes to remove from the scene.
+     * @param {Array<Mesh>} newMeshes - The meshes already added in their place.
+     */
+    replaceMeshes(label, oldMeshes, newMeshes) {
+        const selectionBefore = this.selectedMesh ? this.getEntityId(this.selectedMesh) : null;
+        const changes = oldMeshes.map(mesh => ({
+            entityId: this.getEntityId(mesh),
+            before: this.captureMeshState(mesh),
+            after: null
+        }));
+
+        this.clearSelection();
+        oldMeshes.forEach(mesh => mesh.dispose());
+
+        newMeshes.forEach(mesh => {
+            if (this.isEditMode) {
+                this.registerMeshInteraction(mesh);
+            }
+            changes.push({ entityId: this.getEntityId(mesh), before: null, after: this.captureMeshState(mesh) });
+        });
+
+        const selectionAfter = newMeshes.length > 0 ? this.getEntityId(newMeshes[0]) : null;
+        this.restoreSelection(selectionAfter);
+        this.history.record(new MeshStateCommand(label, this, changes, selectionBefore, selectionAfter));
+    }
+
+    /**
+     * Records a change to a mesh's position, rotation or scaling, e.g. from the transform gizmo,
+     * as one edit. With baking, the transform is moved into the BREP positions and the mesh is
+     * reset to the identity transform, so markers, measurements and edits stay in world space.
+     * @param {string} label - Name of the edit, used by the history.
+     * @param {Mesh} mesh - The transformed mesh.
+     * @param {Object} before - State captured before the transform changed.
+     * @param {boolean} [bake=false] - True to bake the transform into the BREP.
+     * @returns {boolean} True if the change was recorded.
+     */
+    commitTransform(label, mesh, before, bake = false) {
+        const entityId = this.getEntityId(mesh);
+        const selection = this.getSelectedEntityIds();
+        let after = this.captureMeshState(mesh);
+        const isTransformed = !after.position.equals(before.position)
+            || !after.rotation.equals(before.rotation)
+            || !after.scaling.equals(before.scaling);
+        // A gizmo click that moves nothing leaves an already baked mesh as it is
+        if (!isTransformed && !this.hasUnbakedTransform(mesh)) return false;
+
+        const baked = bake ? this.createBakedState(mesh) : null;
+        if (baked) {
+            after = baked;
+            this.restoreMeshState(entityId, after);
+            this.restoreSelection(selection);
+        } else if (!isTransformed) {
+            return false;
+        } else if (this.getSelectedMeshes().includes(mesh)) {
+            // The markers follow the world positions, and the properties panel whether the mesh is baked
+            this.createMarkers();
+            this.onSelectedMeshChangedObservable.notifyObservers(this.selectedMesh);
+        }
+
+        this.history.record(new MeshStateCommand(label, this, [{ entityId, before, after }], selection, selection));
+        return true;
+    }
+
+    /**
+     * Bakes the transform of a mesh into its BREP positions as one edit.
+     * @param {Mesh} [mesh=this.selectedMesh] - The mesh to bake.
+     * @returns {boolean} True if the transform was baked.
+     */
+    bakeTransform(mesh = this.selectedMesh) {
+        if (!mesh?.brepData) return false;
+
+        if (mesh.computeWorldMatrix(true).isIdentity()) return false;
+
+        const before = this.captureMeshState(mesh);
+        return this.commitTransform("Bake transform", mesh, before, true);
+    }
+
+    /**
+     * Builds the state of a mesh with its transform baked into the BREP positions.
+     * @param {Mesh} mesh - The mesh to bake.
+     * @returns {Object|null} The baked state, or null if the transform mirrors or flattens the mesh.
+     */
+    createBakedState(mesh) {
+        const worldMatrix = mesh.computeWorldMatrix(true);
+        if (worldMatrix.determinant() <= 1e-9) {
+            this.notify("Cannot bake a mirrored or flattened transform into the mesh");
+            return null;
+        }
+
+        const state = this.captureMeshState(mesh);
+        transformBrepPositions(state.brep, worldMatrix);
+        return {
+            ...state,
+            position: Vector3.Zero(),
+            rotation: Vector3.Zero(),
+            scaling: Vector3.One()
+        };
+    }
+
+    undo() {
+        return this.history.undo();
+    }
+
+    redo() {
+        return this.history.redo();
+    }
+
+    /**
+     * Returns the id that identifies a mesh across the rebuilds caused by edits.
+     * @param {Mesh} mesh - The mesh to identify.
+     * @returns {number} The entity id, assigned on first use.
+     */
+    getEntityId(mesh) {
+        if (mesh.entityId === undefined) {
+            mesh.entityId = this.nextEntityId++;
+        }
+        return mesh.entityId;
+    }
+
+    /**
+     * Finds the live mesh currently representing an entity.
+     * @param {number} entityId - The entity id.
+     * @returns {Mesh|null} The mesh, or null if the entity is not in the scene.
+     */
+    findMeshByEntityId(entityId) {
+        return this.scene.meshes.find(mesh => mesh.entityId === entityId) || null;
+    }
+
+    /**
+     * Captures everything needed to rebuild a mesh: a copy of its BREP, its material, transform and UV options.
+     * @param {Mesh} mesh - The mesh to capture.
+     * @returns {Object} The captured mesh state.
+     */
+    captureMeshState(mesh) {
+        return {
+            entityId: this.getEntityId(mesh),
+            brep: cloneBrep(mesh.brepData),
+            material: mesh.material,
+            position: mesh.position.clone(),
+            rotation: mesh.rotation.clone(),
+            scaling: mesh.scaling.clone(),
+            uvOptions: mesh.uvOptions
+        };
+    }
+
+    /**
+     * Replaces the mesh of an entity with one rebuilt from a captured state.
+     * @param {number} entityId - The entity to restore.
+     * @param {Object|null} state - State from captureMeshState, or null to remove the entity.
+     * @returns {Mesh|null} The rebuilt mesh, or null if the entity was removed.
+     */
+    restoreMeshState(entityId, state) {
+        const currentMesh = this.findMeshByEntityId(entityId);
+        if (currentMesh) {
+            if (currentMesh === this.selectedMesh) {
+                this.clearSelection();
+            } else if (this.additionalMeshes.includes(currentMesh)) {
+                this.toggleAdditionalMesh(currentMesh);
+            }
+            currentMesh.dispose();
+        }
+
+        if (!state) return null;
+
+        const brep = cloneBrep(state.brep);
+        const tessellationResult = this.tessellator.tessellate(brep, this.scene, state.uvOptions);
+        if (!tessellationResult?.geometry) {
+            throw new Error("Failed to restore geometry");
+        }
+
+        const mesh = new Mesh("modified_mesh", this.scene);
+        tessellationResult.geometry.applyToMesh(mesh);
+        mesh.brepData = brep;
+        mesh.faceFacetMapping = tessellationResult.faceFacetMapping;
+        mesh.material = state.material;
+        this.copyMeshProperties(state, mesh);
+
+        if (this.isEditMode) {
+            this.registerMeshInteraction(mesh);
+        }
+
+        return mesh;
+    }
+
+    /**
+     * Lists the entity ids of the selected meshes.
+     * @returns {Array<number>} The ids, starting with the mesh whose vertices can be dragged.
+     */
+    getSelectedEntityIds() {
+        return this.getSelectedMeshes().map(mesh => this.getEntityId(mesh));
+    }
+
+    /**
+     * Selects the meshes of entities, or clears the selection.
+     * @param {number|Array<number>|null} entityIds - The entity or entities to select, the first one
+     *     as the selected mesh and the others as additional meshes, or null for no selection.
+     */
+    restoreSelection(entityIds) {
+        if (!this.isEditMode) return;
+
+        const meshes = [].concat(entityIds ?? [])
+            .map(entityId => this.findMeshByEntityId(entityId))
+            .filter(Boolean);
+        if (meshes.length === 0) {
+            this.clearSelection();
+            return;
+        }
+
+        this.selectMesh(meshes[0]);
+        meshes.slice(1).forEach(mesh => this.toggleAdditionalMesh(mesh));
+    }
+
+    /**
+     * Handles the selection of an edge, removing it and merging the faces on either side.
+     * @param {Edge} selectedEdge - The selected edge.
+     */
+    handleEdgeSelection(selectedEdge) {
+        if (!this.selectedMesh?.brepData) return;
+
+        const refusal = this.getEdgeRemovalError(selectedEdge, this.selectedMesh.brepData);
+        if (refusal) {
+            this.notify(`Cannot remove edge: ${refusal}`);
+            return;
+        }
+
+        this.applyBrepEdit("Remove edge", (brep) => {
+            this.removeEdgeAndMergeFaces(brep, selectedEdge);
+        });
+    }
+
+    /**
+     * Checks whether an edge can be removed by merging the two faces it separates.
+     * @param {Edge} edge - The edge to check.
+     * @param {BREP} brep - The BREP data.
+     * @returns {string|null} Why the edge cannot be removed, or null if it can.
+     */
+    getEdgeRemovalError(edge, brep) {
+        const halfEdge = edge.getHalfEdge();
+        const flipHalfEdge = halfEdge.getFlipHalfEdge();
+        const face = halfEdge.getFace();
+        const otherFace = flipHalfEdge?.getFace();
+
+        if (!face || !otherFace) {
+            return "it is a boundary edge";
+        }
+        if (face === otherFace) {
+            return "it has the same face on both sides";
+        }
+        if ((face.innerLoops || []).concat(otherFace.innerLoops || [])
+            .some(start => getLoopHalfEdges(start).includes(halfEdge) || getLoopHalfEdges(start).includes(flipHalfEdge))) {
+            return "it lies on the boundary of a hole";
+        }
+
+        const sharedEdges = new Set(this.getFaceHalfEdges(face).map(he => he.getEdge()));
+        const sharedCount = this.getFaceHalfEdges(otherFace)
+            .filter(he => sharedEdges.has(he.getEdge())).length;
+        if (sharedCount > 1) {
+            return "the faces on either side share more than one edge";
+        }
+
+        const normal = computeFaceNormal(brep, face);
+        const otherNormal = computeFaceNormal(brep, otherFace);
+        if (Vector3.Dot(normal, otherNormal) < 1 - 1e-6) {
+            return "the faces on either side are not coplanar";
         }
 
-        // Calculate normal using cross product
-        const v1 = point2.subtract(point1);
-        const v2 = point3.subtract(point1);
-        const normal = Vector3.Cross(v1, v2).normalize();
-        
-        return normal;
+        const positions = brep.getPositions();
+        const origin = Vector3.FromArray(positions[halfEdge.getVertex().getIndex()]);
+        const isOnPlane = this.getFaceVertices(otherFace).every(v =>
+            Math.abs(Vector3.Dot(Vector3.FromArray(positions[v.getIndex()]).subtract(origin), normal)) < 0.001
+        );
+        if (!isOnPlane) {
+            return "the faces on either side are not coplanar";
+        }
+
+        return null;
     }
 
     /**
-     * Orders vertices based on their angle around the centroid in the plane.
-     * @param {Array<number>} vertexIndices - Indices of the vertices to order.
-     * @param {Array<Array<number>>} positions - Array of [x, y, z] coordinates.
-     * @returns {Array<number>} Ordered array of vertex indices.
+     * Handles a click on the selected mesh, inserting a vertex pair if the click hits a top edge.
+     * @param {Vector3} pickedPoint - The picked point on the selected mesh.
      */
-    orderVerticesByAngle(vertexIndices, positions) {
-        if (vertexIndices.length < 3) return vertexIndices;
+    handleEdgeInsertion(pickedPoint) {
+        if (!this.selectedMesh?.brepData || !pickedPoint) return;
 
-        // Convert vertex indices to Vector3 positions
-        const vertexPositions = vertexIndices.map(idx => Vector3.FromArray(positions[idx]));
-        
-        // Calculate plane normal
-        const normal = this.calculatePlaneNormal(vertexPositions.map(v => [v.x, v.y, v.z]));
-        
-        // Calculate centroid
-        const centroid = vertexPositions.reduce((acc, pos) => acc.add(pos), new Vector3(0, 0, 0))
-            .scale(1 / vertexPositions.length);
+        const brep = this.selectedMesh.brepData;
+        const hit = this.findNearestTopEdge(brep, this.toBrepPosition(this.selectedMesh, pickedPoint));
+        if (!hit || hit.distance > this.edgePickTolerance * this.cameraManager.getWorldUnitsPerPixel()) return;
+        if (!this.canEditPositions(this.selectedMesh)) return;
 
-        // Create orthonormal basis for the plane
-        let basisX = vertexPositions[0].subtract(centroid).normalize();
-        const basisY = Vector3.Cross(normal, basisX).normalize();
+        this.applyBrepEdit("Insert vertex pair", (brep) => {
+            this.insertVertexPairAndUpdateBREP(brep, hit.halfEdge, hit.t);
+        });
+    }
 
-        // Calculate angles for each vertex relative to the centroid and basis vectors
-        const verticesWithAngles = vertexIndices.map((vertexIndex, i) => {
-            const pos = vertexPositions[i];
-            const relativePos = pos.subtract(centroid);
-            
-            const x = Vector3.Dot(relativePos, basisX);
-            const y = Vector3.Dot(relativePos, basisY);
-            
-            const angle = Math.atan2(y, x);
-            
-            return { index: vertexIndex, angle };
+    /**
+     * Finds the top face half-edge closest to a point.
+     * @param {BREP} brep - The BREP data of the selected mesh.
+     * @param {Vector3} point - The point to measure from, in BREP coordinates.
+     * @returns {{halfEdge: HalfEdge, t: number, distance: number}|null} The closest half-edge,
+     *     the parameter of the closest point along it and the distance to it.
+     */
+    findNearestTopEdge(brep, point) {
+        const topFace = this.findTopFace(brep);
+        if (!topFace) return null;
+
+        const positions = brep.getPositions();
+        let nearest = null;
+
+        // Hole edges of the top face can take a vertex pair too
+        this.getFaceHalfEdges(topFace).forEach(halfEdge => {
+            const start = positions[halfEdge.getVertex().getIndex()];
+            const end = positions[halfEdge.getNextHalfEdge().getVertex().getIndex()];
+
+            const startPoint = Vector3.FromArray(start);
+            const direction = Vector3.FromArray(end).subtract(startPoint);
+            const lengthSquared = direction.lengthSquared();
+            if (lengthSquared > 1e-10) {
+                const t = Math.min(Math.max(
+                    Vector3.Dot(point.subtract(startPoint), direction) / lengthSquared, 0), 1);
+                const distance = Vector3.Distance(startPoint.add(direction.scale(t)), point);
+
+                if (!nearest || distance < nearest.distance) {
+                    nearest = { halfEdge, t, distance };
+                }
+            }
         });
 
-        // Sort vertices by angle
-        verticesWithAngles.sort((a, b) => a.angle - b.angle);
-        
-        return verticesWithAngles.map(v => v.index);
+        return nearest;
     }
-    
+
     /**
-     * Handles the selection of a vertex, performing necessary mesh updates.
-     * @param {Vertex} selectedVertex - The selected vertex.
+     * Finds the face whose vertices all lie at the maximum Y of the BREP.
+     * @param {BREP} brep - The BREP data.
+     * @returns {Face|undefined} The top face, if there is one.
      */
-    handleVertexSelection(selectedVertex) {
-        if (!this.selectedMesh?.brepData) return;
-        
-        const brep = this.selectedMesh.brepData;
+    findTopFace(brep) {
         const positions = brep.getPositions();
-        
-        const vertexBelow = this.findVertexBelow(selectedVertex, brep);
-        if (!vertexBelow) {
-            console.error('Could not find corresponding vertex below');
-            return;
-        }
+        const maxY = Math.max(...positions.map(pos => pos[1]));
 
-        try {
-            this.deleteVertexPairAndUpdateBREP(brep, selectedVertex, vertexBelow);
-            const newMesh = this.createUpdatedMesh(brep);
-            this.replaceOldMesh(newMesh);
-        } catch (error) {
-            console.error('Error modifying mesh:', error);
-        }
+        return brep.getFaces().find(face =>
+            this.getFaceVertices(face).every(v => Math.abs(positions[v.getIndex()][1] - maxY) < 0.001)
+        );
     }
 
     /**
@@ -313,7 +1786,7 @@ export class EditModeManager {
      */
     createUpdatedMesh(brep) {
         const newMesh = new Mesh("modified_mesh", this.scene);
-        const tessellationResult = this.tessellator.tessellate(brep, this.scene);
+        const tessellationResult = this.tessellator.tessellate(brep, this.scene, this.selectedMesh.uvOptions);
         
         if (!tessellationResult?.geometry) {
             throw new Error("Failed to create new geometry");
@@ -321,6 +1794,7 @@ export class EditModeManager {
         
         tessellationResult.geometry.applyToMesh(newMesh);
         newMesh.brepData = brep;
+        newMesh.faceFacetMapping = tessellationResult.faceFacetMapping;
         
         // Clone material from original mesh or create a default one
         newMesh.material = this.cloneOrCreateMaterial();
@@ -347,16 +1821,18 @@ export class EditModeManager {
     }
 
     /**
-     * Copies transformation properties from the source mesh to the target mesh.
-     * @param {Mesh} sourceMesh - The mesh to copy properties from.
+     * Copies transformation properties and the entity id from the source mesh to the target mesh.
+     * @param {Mesh|Object} sourceMesh - The mesh, or captured mesh state, to copy properties from.
      * @param {Mesh} targetMesh - The mesh to copy properties to.
      */
     copyMeshProperties(sourceMesh, targetMesh) {
+        targetMesh.entityId = sourceMesh.entityId;
         targetMesh.enableEdgesRendering();
         targetMesh.edgesColor = new Color4(0, 0, 0, 1);
         targetMesh.position = sourceMesh.position.clone();
         targetMesh.rotation = sourceMesh.rotation.clone();
         targetMesh.scaling = sourceMesh.scaling.clone();
+        targetMesh.uvOptions = sourceMesh.uvOptions;
     }
 
     /**
@@ -365,8 +1841,9 @@ export class EditModeManager {
      */
     replaceOldMesh(newMesh) {
         const oldMesh = this.selectedMesh;
+        const additionalMeshes = this.additionalMeshes;
         this.selectedMesh = null;
-        this.removeAllVertexMarkers();
+        this.removeAllMarkers();
         oldMesh.dispose();
         
         if (!newMesh.actionManager) {
@@ -375,6 +1852,8 @@ export class EditModeManager {
         
         this.selectMesh(newMesh);
         this.highlightLayer.addMesh(newMesh, Color3.Green());
+        // Editing the first selected mesh keeps the rest of the selection
+        additionalMeshes.forEach(mesh => this.toggleAdditionalMesh(mesh));
     }
 
     /**
@@ -410,253 +1889,512 @@ export class EditModeManager {
 
     /**
      * Deletes a pair of vertices and updates the BREP accordingly.
+     * The edge joining the pair is removed, merging the two side faces, and both vertices
+     * are then dissolved, so the top and bottom faces each lose one vertex.
      * @param {BREP} brep - The BREP data.
      * @param {Vertex} vertex1 - The first vertex to delete.
      * @param {Vertex} vertex2 - The second vertex to delete.
+     * @throws Will throw an error if the pair cannot be deleted without breaking the solid.
      */
     deleteVertexPairAndUpdateBREP(brep, vertex1, vertex2) {
-        // Gather faces connected to each vertex
-        const vertex1Faces = new Set(VertexFaces(vertex1));
-        const vertex2Faces = new Set(VertexFaces(vertex2));
-
-        // Gather edges connected to each vertex
-        // Directly initialize allVertexEdges as a Set without spreading into an array
-        const allVertexEdges = new Set([...VertexEdges(vertex1), ...VertexEdges(vertex2)]);
+        const connectingHalfEdge = VertexHalfEdges(vertex1)
+            .find(he => he.getNextHalfEdge().getVertex() === vertex2);
+        if (!connectingHalfEdge) {
+            throw new Error("The vertices are not joined by an edge");
+        }
 
-        
-        // Determine top and bottom Y positions
-        const positions = brep.getPositions();
-        const vertex1Y = positions[vertex1.getIndex()][1];
-        const vertex2Y = positions[vertex2.getIndex()][1];
-        
-        // Identify top face (all vertices at higher Y)
-        const topFace = Array.from(vertex1Faces).find(face => {
-            const faceVertices = this.getFaceVertices(face);
-            return faceVertices.every(v => 
-                Math.abs(positions[v.getIndex()][1] - Math.max(vertex1Y, vertex2Y)) < 0.001
-            );
-        });
-        
-        // Identify bottom face (all vertices at lower Y)
-        const bottomFace = Array.from(vertex2Faces).find(face => {
-            const faceVertices = this.getFaceVertices(face);
-            return faceVertices.every(v => 
-                Math.abs(positions[v.getIndex()][1] - Math.min(vertex1Y, vertex2Y)) < 0.001
-            );
+        const sideFaces = new Set([connectingHalfEdge.getFace(), connectingHalfEdge.getFlipHalfEdge().getFace()]);
+        [vertex1, vertex2].forEach(vertex => {
+            const faces = VertexFaces(vertex);
+            if (faces.length !== 3) {
+                throw new Error("Only vertices shared by exactly three faces can be deleted");
+            }
+            // The top and bottom faces lose a vertex from one of their loops, which must keep at least 3
+            VertexHalfEdges(vertex)
+                .filter(he => !sideFaces.has(he.getFace()))
+                .forEach(he => {
+                    if (getLoopHalfEdges(he).length > 3) return;
+                    const isOuterLoop = getLoopHalfEdges(he.getFace().getHalfEdge()).includes(he);
+                    throw new Error(isOuterLoop
+                        ? "A prism needs at least 3 footprint vertices"
+                        : "A hole needs at least 3 vertices");
+                });
         });
 
-        // Determine which faces to delete (non-top/bottom)
-        const facesToDelete = new Set([...vertex1Faces, ...vertex2Faces]);
-        facesToDelete.delete(topFace);
-        facesToDelete.delete(bottomFace);
+        const indicesToDelete = new Set([vertex1.getIndex(), vertex2.getIndex()]);
+
+        // Merge the side faces, leaving both vertices between just two edges
+        this.removeEdgeAndMergeFaces(brep, connectingHalfEdge.getEdge());
+        this.dissolveVertex(brep, vertex1);
+        this.dissolveVertex(brep, vertex2);
 
-        // Collect half-edges connected to both vertices
-        const vertex1HalfEdges = VertexHalfEdges(vertex1);
-        const vertex2HalfEdges = VertexHalfEdges(vertex2);
+        // Remove corresponding positions
+        brep.positions = brep.positions.filter((_, index) => !indicesToDelete.has(index));
 
-        const disjointHalfEdges = new Set();
-        
-        // Update top face without vertex1
-        if (topFace) {
-            const updatedHE = this.updateFaceWithoutVertex(topFace, vertex1, brep);
-            if (updatedHE) disjointHalfEdges.add(updatedHE);
-        }
+        // Update indices for vertices, edges, and faces
+        brep.vertices.forEach((v, i) => v.setIndex(i));
+        brep.edges.forEach((e, i) => e.setIndex(i));
+        brep.faces.forEach((f, i) => f.setIndex(i));
+
+        // Rebuild cells and edge map
+        brep.cells = brep.getCells();
+        brep.buildEdgeMap();
+    }
 
-        // Update bottom face without vertex2
-        if (bottomFace) {
-            const updatedHE = this.updateFaceWithoutVertex(bottomFace, vertex2, brep);
-            if (updatedHE) disjointHalfEdges.add(updatedHE);
+    /**
+     * Removes a vertex of a closed polyhedral BREP and fills the gap it leaves.
+     * Each face around the vertex is cut along the chord between the vertex's neighbors in it, and the
+     * cut-off triangles are merged into one face spanning the neighbors. That face is re-triangulated
+     * if it is not planar; then it (or its triangles) is merged with every coplanar face next to it.
+     * @param {BREP} brep - The BREP data.
+     * @param {Vertex} vertex - The vertex to remove.
+     * @throws Will throw an error if the vertex cannot be removed without breaking the solid.
+     */
+    removeVertexAndUpdateBREP(brep, vertex) {
+        const outgoingHalfEdges = VertexHalfEdges(vertex);
+        if (outgoingHalfEdges.length === 2) {
+            // A vertex inside a straight edge: both faces just lose it
+            this.dissolveVertex(brep, vertex);
+            this.reindexBrep(brep);
+            return;
         }
 
-        // Collect edges and half-edges to delete
-        const edgesToDelete = new Set();
-        const halfEdgesToDelete = new Set();
+        const faces = outgoingHalfEdges.map(he => he.getFace());
+        if (brep.getVertices().length <= 4) {
+            throw new Error("A solid needs at least 4 vertices");
+        }
+        if (outgoingHalfEdges.length < 3 || new Set(faces).size !== faces.length) {
+            throw new Error("Only vertices joining distinct faces can be removed");
+        }
+        if (outgoingHalfEdges.some(he => getFaceLoops(he.getFace()).slice(1)
+            .some(start => getLoopHalfEdges(start).includes(he)))) {
+            throw new Error("Vertices on the boundary of a hole cannot be removed");
+        }
 
-        allVertexEdges.forEach(edge => {
-            const halfEdge = edge.getHalfEdge();
-            const flipHalfEdge = halfEdge.getFlipHalfEdge();
-            edgesToDelete.add(edge);
-            halfEdgesToDelete.add(halfEdge);
-            halfEdgesToDelete.add(flipHalfEdge);
-        });
-
-        // Process each half-edge connected to the vertices
-        [...vertex1HalfEdges, ...vertex2HalfEdges].forEach(he => {
-            const face = he.getFace();
-            halfEdgesToDelete.add(he);
-            edgesToDelete.add(he.getEdge());
-            if (he.getFlipHalfEdge()) {
-                halfEdgesToDelete.add(he.getFlipHalfEdge());
+        // Cut the corner at the vertex off every face that is more than that corner
+        const gapHalfEdges = outgoingHalfEdges.map(he => {
+            const previous = HalfEdgePrev(he);
+            const next = he.getNextHalfEdge();
+            if (next.getNextHalfEdge() === previous) {
+                return next;
             }
 
-            if (face !== topFace && face !== bottomFace) {
-                // Collect all half-edges of the face
-                let currentHE = he;
-                do {
-                    currentHE = currentHE.getNextHalfEdge();
-                    halfEdgesToDelete.add(currentHE);
-                } while (currentHE !== he);
-
-                // Handle orphan half-edge
-                const orphanHalfEdge = he.getNextHalfEdge().getNextHalfEdge().getFlipHalfEdge();
-                if (orphanHalfEdge && orphanHalfEdge.getVertex() !== vertex1 && orphanHalfEdge.getVertex() !== vertex2) {
-                    disjointHalfEdges.add(orphanHalfEdge);
-                }
-            }
+            this.checkCornerCut(brep, he);
+            this.splitFace(brep, previous, next);
+            return HalfEdgePrev(previous);
         });
 
-        // Create a cycle from the new half-edges' vertices
-        const newVertices = Array.from(disjointHalfEdges).map(he => he.getVertex());
-        const orderedVertexIndices = this.orderVerticesByAngle(newVertices.map(v => v.getIndex()), positions);
+        // Merge the corner triangles into one face, dropping the vertex
+        while (VertexHalfEdges(vertex).length > 2) {
+            this.removeEdgeAndMergeFaces(brep, VertexHalfEdges(vertex)[0].getEdge());
+        }
+        const [, toPrevious] = VertexHalfEdges(vertex);
+        const lastEdge = toPrevious.getFlipHalfEdge().getEdge();
+        this.dissolveVertex(brep, vertex);
+        this.removeEdgeAndMergeFaces(brep, lastEdge);
 
-        // Create a new face
-        const newFace = new Face();
-        newFace.setIndex(brep.faces.length);
-        brep.faces.push(newFace);
+        const gap = gapHalfEdges[0].getFace();
+        const fillFaces = this.isFacePlanar(brep, gap) ? [gap] : this.triangulateFace(brep, gap);
+        this.mergeCoplanarFaces(brep, fillFaces);
 
-        // Define a helper to retrieve half-edges by vertex indices
-        brep.getHalfEdge = function(vStart, vEnd) {
-            return this.halfEdges.find(he => 
-                he.getVertex().getIndex() === vStart && he.getNextHalfEdge().getVertex().getIndex() === vEnd
-            ) || null;
-        };
+        this.reindexBrep(brep);
+    }
 
-        let previousHE = null;
-        orderedVertexIndices.forEach((vIndex, i) => {
-            const nextVIndex = orderedVertexIndices[(i + 1) % orderedVertexIndices.length];
-            let edge = brep.getEdge(vIndex, nextVIndex);
-            if (!edge) {
-                edge = new Edge();
-                edge.setIndex(brep.edges.length);
-                brep.edges.push(edge);
-            }
+    /**
+     * Checks that cutting the corner at a vertex off a face leaves a simple polygon, e.g. that the
+     * vertex is not a reflex corner whose chord would leave the face.
+     * @param {BREP} brep - The BREP data.
+     * @param {HalfEdge} halfEdge - The half-edge of the face leaving the corner vertex.
+     * @throws Will throw an error if the cut would fold the face.
+     */
+    checkCornerCut(brep, halfEdge) {
+        const positions = brep.getPositions();
+        const loop = getLoopVertices(halfEdge).map(v => positions[v.getIndex()]);
+        const normal = computePolygonNormal(loop);
+        const before = projectToDominantPlane(loop, normal);
+        const after = before.slice(1);
+
+        if (footprintSignedArea(before) * footprintSignedArea(after) <= 0
+            || Math.abs(footprintSignedArea(after)) < 1e-9 || isSelfIntersecting(after)) {
+            throw new Error("The gap cannot be filled without folding a neighboring face");
+        }
+    }
 
-            const newHalfEdge = new HalfEdge();
-            newHalfEdge.setVertex(brep.vertices[vIndex]);
-            newHalfEdge.setEdge(edge);
-            newHalfEdge.setFace(newFace);
-            edge.setHalfEdge(newHalfEdge);
-            brep.halfEdges.push(newHalfEdge);
-            
-            if (previousHE) {
-                previousHE.setNextHalfEdge(newHalfEdge);
-            }
+    /**
+     * Checks whether all vertices of a face lie in the plane through its first vertex.
+     * @param {BREP} brep - The BREP data.
+     * @param {Face} face - The face to check.
+     * @returns {boolean} True if the face is planar.
+     */
+    isFacePlanar(brep, face) {
+        const positions = brep.getPositions();
+        const normal = computeFaceNormal(brep, face);
+        const vertices = this.getFaceHalfEdges(face).map(he => he.getVertex());
+        const origin = Vector3.FromArray(positions[vertices[0].getIndex()]);
 
-            // Assign flip half-edges
-            const existingFlipHE = brep.getHalfEdge(nextVIndex, vIndex);
-            if (existingFlipHE) {
-                newHalfEdge.setFlipHalfEdge(existingFlipHE);
-                existingFlipHE.setFlipHalfEdge(newHalfEdge);
-            } else {
-                const flipHE = new HalfEdge();
-                flipHE.setVertex(brep.vertices[nextVIndex]);
-                flipHE.setEdge(edge);
-                flipHE.setFace(null); // Assign the correct face if known
-                flipHE.setFlipHalfEdge(newHalfEdge);
-                newHalfEdge.setFlipHalfEdge(flipHE);
-                brep.halfEdges.push(flipHE);
-            }
+        return vertices.every(v =>
+            Math.abs(Vector3.Dot(Vector3.FromArray(positions[v.getIndex()]).subtract(origin), normal)) < 0.001
+        );
+    }
 
-            previousHE = newHalfEdge;
-        });
+    /**
+     * Splits a face without holes into triangles, projected onto the plane it faces most.
+     * @param {BREP} brep - The BREP data.
+     * @param {Face} face - The face to split.
+     * @returns {Array<Face>} The triangles, the first one being the original face.
+     * @throws Will throw an error if the face has holes or its projection cannot be triangulated.
+     */
+    triangulateFace(brep, face) {
+        if (face.innerLoops?.length) {
+            throw new Error("Faces with holes cannot be re-triangulated");
+        }
 
-        // Close the loop for next pointers
-        if (orderedVertexIndices.length > 0) {
-            const firstHE = brep.halfEdges[brep.halfEdges.length - orderedVertexIndices.length];
-            const lastHE = brep.halfEdges[brep.halfEdges.length - 1];
-            lastHE.setNextHalfEdge(firstHE);
+        const positions = brep.getPositions();
+        const halfEdges = getLoopHalfEdges(face.getHalfEdge());
+        const points = halfEdges.map(he => positions[he.getVertex().getIndex()]);
+        const triangles = earcut(projectToDominantPlane(points, computePolygonNormal(points)).flat());
+        if (triangles.length / 3 !== halfEdges.length - 2) {
+            throw new Error("The gap cannot be triangulated");
         }
 
-        // Assign half-edge to the new face
-        newFace.setHalfEdge(brep.halfEdges[brep.halfEdges.length - 1]);
+        // Every triangle side that is not a loop edge is a diagonal to split along
+        const count = halfEdges.length;
+        const diagonals = new Map();
+        for (let i = 0; i < triangles.length; i += 3) {
+            [[0, 1], [1, 2], [2, 0]].forEach(([a, b]) => {
+                const [from, to] = [triangles[i + a], triangles[i + b]].sort((x, y) => x - y);
+                if (to - from !== 1 && to - from !== count - 1) {
+                    diagonals.set(`${from},${to}`, [from, to]);
+                }
+            });
+        }
 
-        // Remove unwanted edges and half-edges
-        brep.edges = brep.edges.filter(e => !edgesToDelete.has(e));
-        brep.halfEdges = brep.halfEdges.filter(he => !halfEdgesToDelete.has(he));
+        const pieces = [face];
+        diagonals.forEach(([from, to]) => {
+            const [fromVertex, toVertex] = [halfEdges[from].getVertex(), halfEdges[to].getVertex()];
+            const piece = pieces.find(candidate => {
+                const vertices = this.getFaceVertices(candidate);
+                return vertices.includes(fromVertex) && vertices.includes(toVertex);
+            });
+            const loop = getLoopHalfEdges(piece.getHalfEdge());
+            pieces.push(this.splitFace(
+                brep,
+                loop.find(he => he.getVertex() === fromVertex),
+                loop.find(he => he.getVertex() === toVertex)
+            ));
+        });
 
-        // Remove deleted vertices from BREP
-        const verticesToDelete = new Set([vertex1, vertex2]);
-        brep.vertices = brep.vertices.filter(v => !verticesToDelete.has(v));
+        return pieces;
+    }
 
-        // Remove corresponding positions
-        const indicesToDelete = new Set([vertex1.getIndex(), vertex2.getIndex()]);
-        brep.positions = brep.positions.filter((_, index) => !indicesToDelete.has(index));
+    /**
+     * Merges faces with every coplanar face next to them, as long as the edge between them can be removed.
+     * @param {BREP} brep - The BREP data.
+     * @param {Array<Face>} faces - The faces to merge outward from.
+     */
+    mergeCoplanarFaces(brep, faces) {
+        let remaining = [...faces];
+        while (remaining.length > 0) {
+            const face = remaining.pop();
+            if (!brep.faces.includes(face)) continue;
+
+            const edge = this.getFaceHalfEdges(face)
+                .map(he => he.getEdge())
+                .find(candidate => this.getEdgeRemovalError(candidate, brep) === null);
+            if (!edge) continue;
+
+            // The merged face may be coplanar with further faces, so look at it again
+            const keptFace = edge.getHalfEdge().getFace();
+            this.removeEdgeAndMergeFaces(brep, edge);
+            remaining = remaining.filter(other => brep.faces.includes(other));
+            remaining.push(keptFace);
+        }
+    }
 
-        // Delete side faces
-        brep.faces = brep.faces.filter(face => !facesToDelete.has(face));
+    // Renumbers the BREP elements after edits that removed some of them
+    reindexBrep(brep) {
+        // Removed vertices are gone from the list but the others still carry their old indices
+        brep.positions = brep.vertices.map(v => brep.positions[v.getIndex()]);
 
-        // Update indices for vertices, edges, and faces
         brep.vertices.forEach((v, i) => v.setIndex(i));
         brep.edges.forEach((e, i) => e.setIndex(i));
         brep.faces.forEach((f, i) => f.setIndex(i));
 
-        // Rebuild cells and edge map
         brep.cells = brep.getCells();
         brep.buildEdgeMap();
     }
 
     /**
-     * Retrieves all vertices of a face.
-     * @param {Face} face - The face to retrieve vertices from.
-     * @returns {Array<Vertex>} Array of vertices in the face.
+     * Removes a vertex that joins exactly two edges, replacing those edges by a single one.
+     * Vertex indices and positions are left for the caller to update.
+     * @param {BREP} brep - The BREP data.
+     * @param {Vertex} vertex - The vertex to remove.
+     * @throws Will throw an error if the vertex does not join exactly two edges.
      */
-    getFaceVertices(face) {
-        const vertices = [];
-        let startHalfEdge = face.getHalfEdge();
-        let currentHalfEdge = startHalfEdge;
-        
-        do {
-            vertices.push(currentHalfEdge.getVertex());
-            currentHalfEdge = currentHalfEdge.getNextHalfEdge();
-        } while (currentHalfEdge !== startHalfEdge);
-        
-        return vertices;
+    dissolveVertex(brep, vertex) {
+        const outgoingHalfEdges = VertexHalfEdges(vertex);
+        if (outgoingHalfEdges.length !== 2) {
+            throw new Error("Only vertices between two edges can be dissolved");
+        }
+
+        // previous → vertex → next in one face, next → vertex → previous in the other
+        const [toNext, toPrevious] = outgoingHalfEdges;
+        const fromPrevious = toPrevious.getFlipHalfEdge();
+        const fromNext = toNext.getFlipHalfEdge();
+
+        // Both half-edges that end at the vertex now skip it
+        fromPrevious.setNextHalfEdge(toNext.getNextHalfEdge());
+        fromNext.setNextHalfEdge(toPrevious.getNextHalfEdge());
+
+        // They form the new edge, reusing the edge of the first one
+        fromNext.setEdge(fromPrevious.getEdge());
+        fromPrevious.setFlipHalfEdge(fromNext);
+        fromNext.setFlipHalfEdge(fromPrevious);
+        fromPrevious.getEdge().setHalfEdge(fromPrevious);
+
+        // Faces may still start a loop at the removed half-edges
+        this.replaceLoopStart(fromPrevious.getFace(), toNext, fromPrevious);
+        this.replaceLoopStart(fromNext.getFace(), toPrevious, fromNext);
+
+        brep.halfEdges = brep.halfEdges.filter(he => he !== toNext && he !== toPrevious);
+        brep.edges = brep.edges.filter(e => e !== toNext.getEdge());
+        brep.vertices = brep.vertices.filter(v => v !== vertex);
+    }
+
+    /**
+     * Makes a face start its outer or inner loop at another half-edge of the same loop.
+     * @param {Face} face - The face owning the loop.
+     * @param {HalfEdge} halfEdge - The half-edge the loop may start at.
+     * @param {HalfEdge} replacement - The half-edge to start the loop at instead.
+     */
+    replaceLoopStart(face, halfEdge, replacement) {
+        if (face.getHalfEdge() === halfEdge) {
+            face.setHalfEdge(replacement);
+        }
+        if (face.innerLoops) {
+            face.innerLoops = face.innerLoops.map(start => start === halfEdge ? replacement : start);
+        }
     }
 
     /**
-     * Updates a face by removing a specified vertex.
-     * @param {Face} face - The face to update.
-     * @param {Vertex} vertexToRemove - The vertex to remove from the face.
+     * Inserts a vertex pair on a top edge of a prism and splits the side face below it.
+     * The new top vertex is added to the top face loop, the new bottom vertex to the
+     * bottom face loop, and the side quad is split into two quads by a vertical edge.
      * @param {BREP} brep - The BREP data.
-     * @returns {HalfEdge|null} The newly created half-edge or null on failure.
+     * @param {HalfEdge} topHalfEdge - Half-edge of the top face on the edge to split.
+     * @param {number} t - Parameter along the half-edge (0..1) where the vertex is inserted.
+     * @throws Will throw an error if the face below the edge is not a quad.
      */
-    updateFaceWithoutVertex(face, vertexToRemove, brep) {
-        // Find the half-edge of the face that has the vertex to remove
-        const halfEdgeToRemove = VertexHalfEdges(vertexToRemove).find(he => he.getFace() === face);
-        if (!halfEdgeToRemove) {
-            console.error('Could not find half-edge to remove');
-            return null;
+    insertVertexPairAndUpdateBREP(brep, topHalfEdge, t) {
+        // The side face half-edge runs against the top one: top end → top start → bottom start → bottom end
+        const sideTopHalfEdge = topHalfEdge.getFlipHalfEdge();
+        if (!sideTopHalfEdge?.getFace() || this.getFaceVertices(sideTopHalfEdge.getFace()).length !== 4) {
+            throw new Error("Vertex pairs can only be inserted above quad side faces");
         }
+        const sideBottomHalfEdge = sideTopHalfEdge.getNextHalfEdge().getNextHalfEdge();
+
+        // Keep the new vertices strictly inside the edge
+        const clampedT = Math.min(Math.max(t, 0.01), 0.99);
+        const interpolate = (halfEdge, factor) => {
+            const positions = brep.getPositions();
+            const start = positions[halfEdge.getVertex().getIndex()];
+            const end = positions[halfEdge.getNextHalfEdge().getVertex().getIndex()];
+            return start.map((value, axis) => value + (end[axis] - value) * factor);
+        };
+
+        // The side half-edges run opposite to the top half-edge, so the parameter is mirrored on top
+        const topPosition = interpolate(sideTopHalfEdge, 1 - clampedT);
+        const bottomPosition = interpolate(sideBottomHalfEdge, clampedT);
+
+        const newTopHalfEdge = this.splitEdge(brep, sideTopHalfEdge, topPosition);
+        const newBottomHalfEdge = this.splitEdge(brep, sideBottomHalfEdge, bottomPosition);
+
+        // Connect the new bottom vertex to the new top vertex across the side face
+        this.splitFace(brep, newBottomHalfEdge, newTopHalfEdge);
+
+        // Update indices for edges and faces
+        brep.edges.forEach((e, i) => e.setIndex(i));
+        brep.faces.forEach((f, i) => f.setIndex(i));
+
+        // Rebuild cells and edge map
+        brep.cells = brep.getCells();
+        brep.buildEdgeMap();
+    }
 
-        // Get previous and next half-edges
-        const previousHalfEdge = HalfEdgePrev(halfEdgeToRemove);
-        const nextHalfEdge = halfEdgeToRemove.getNextHalfEdge();
+    /**
+     * Splits an edge by inserting a new vertex, updating both faces that share it.
+     * The given half-edge keeps its start and ends at the new vertex.
+     * @param {BREP} brep - The BREP data.
+     * @param {HalfEdge} halfEdge - One of the two half-edges of the edge to split.
+     * @param {Array<number>} position - Position of the new vertex.
+     * @returns {HalfEdge} The new half-edge starting at the new vertex, in the face of `halfEdge`.
+     */
+    splitEdge(brep, halfEdge, position) {
+        const flipHalfEdge = halfEdge.getFlipHalfEdge();
 
-        // Get the vertex before the one to remove
-        const previousVertex = previousHalfEdge.getVertex();
+        const newVertex = new Vertex();
+        newVertex.setIndex(brep.vertices.length);
+        brep.vertices.push(newVertex);
+        brep.positions.push(position);
 
-        // Create a new edge and half-edge
         const newEdge = new Edge();
         newEdge.setIndex(brep.edges.length);
         brep.edges.push(newEdge);
 
+        // Second half of the edge, on the side of `halfEdge`
         const newHalfEdge = new HalfEdge();
-        newHalfEdge.setVertex(previousVertex);
+        newHalfEdge.setVertex(newVertex);
         newHalfEdge.setEdge(newEdge);
-        newHalfEdge.setFace(face);
-        newEdge.setHalfEdge(newHalfEdge);
+        newHalfEdge.setFace(halfEdge.getFace());
+        newHalfEdge.setNextHalfEdge(halfEdge.getNextHalfEdge());
+        halfEdge.setNextHalfEdge(newHalfEdge);
         brep.halfEdges.push(newHalfEdge);
 
-        // Re-link the half-edges
-        HalfEdgePrev(previousHalfEdge).setNextHalfEdge(newHalfEdge);
-        newHalfEdge.setNextHalfEdge(nextHalfEdge);
+        // Second half of the edge, on the side of the flip half-edge
+        const newFlipHalfEdge = new HalfEdge();
+        newFlipHalfEdge.setVertex(newVertex);
+        newFlipHalfEdge.setEdge(halfEdge.getEdge());
+        newFlipHalfEdge.setFace(flipHalfEdge.getFace());
+        newFlipHalfEdge.setNextHalfEdge(flipHalfEdge.getNextHalfEdge());
+        flipHalfEdge.setNextHalfEdge(newFlipHalfEdge);
+        brep.halfEdges.push(newFlipHalfEdge);
+
+        // Re-pair the flips: start → new vertex keeps the original edge, new vertex → end uses the new one
+        halfEdge.setFlipHalfEdge(newFlipHalfEdge);
+        newFlipHalfEdge.setFlipHalfEdge(halfEdge);
+        flipHalfEdge.setEdge(newEdge);
+        flipHalfEdge.setFlipHalfEdge(newHalfEdge);
+        newHalfEdge.setFlipHalfEdge(flipHalfEdge);
+
+        halfEdge.getEdge().setHalfEdge(halfEdge);
+        newEdge.setHalfEdge(newHalfEdge);
+        newVertex.setHalfEdge(newHalfEdge);
 
-        // Update the face's half-edge reference
-        face.setHalfEdge(newHalfEdge);
+        return newHalfEdge;
+    }
 
-        // Update the vertex's half-edge reference
-        previousVertex.setHalfEdge(newHalfEdge);
+    /**
+     * Splits a face in two by connecting the start vertices of two of its half-edges.
+     * The original face keeps the loop running from `fromHalfEdge`'s vertex to `toHalfEdge`;
+     * a new face takes the loop starting at `fromHalfEdge`.
+     * @param {BREP} brep - The BREP data.
+     * @param {HalfEdge} fromHalfEdge - Half-edge starting at the first vertex of the new edge.
+     * @param {HalfEdge} toHalfEdge - Half-edge of the same face starting at the second vertex.
+     * @returns {Face} The newly created face.
+     */
+    splitFace(brep, fromHalfEdge, toHalfEdge) {
+        const face = fromHalfEdge.getFace();
+        const previousFrom = HalfEdgePrev(fromHalfEdge);
+        const previousTo = HalfEdgePrev(toHalfEdge);
 
-        return newHalfEdge;
+        const newEdge = new Edge();
+        newEdge.setIndex(brep.edges.length);
+        brep.edges.push(newEdge);
+
+        const newFace = new Face();
+        newFace.setIndex(brep.faces.length);
+        brep.faces.push(newFace);
+
+        // from → to, closing the loop that stays in the original face
+        const diagonal = new HalfEdge();
+        diagonal.setVertex(fromHalfEdge.getVertex());
+        diagonal.setEdge(newEdge);
+        diagonal.setFace(face);
+        diagonal.setNextHalfEdge(toHalfEdge);
+        previousFrom.setNextHalfEdge(diagonal);
+        brep.halfEdges.push(diagonal);
+
+        // to → from, closing the loop of the new face
+        const flipDiagonal = new HalfEdge();
+        flipDiagonal.setVertex(toHalfEdge.getVertex());
+        flipDiagonal.setEdge(newEdge);
+        flipDiagonal.setNextHalfEdge(fromHalfEdge);
+        previousTo.setNextHalfEdge(flipDiagonal);
+        brep.halfEdges.push(flipDiagonal);
+
+        diagonal.setFlipHalfEdge(flipDiagonal);
+        flipDiagonal.setFlipHalfEdge(diagonal);
+        newEdge.setHalfEdge(diagonal);
+
+        // Move the half-edges of the new loop to the new face
+        let currentHalfEdge = flipDiagonal;
+        do {
+            currentHalfEdge.setFace(newFace);
+            currentHalfEdge = currentHalfEdge.getNextHalfEdge();
+        } while (currentHalfEdge !== flipDiagonal);
+
+        face.setHalfEdge(diagonal);
+        newFace.setHalfEdge(flipDiagonal);
+
+        return newFace;
+    }
+
+    /**
+     * Removes an edge and merges the two faces it separates into one.
+     * The face of the edge's half-edge is kept; the face on the other side is deleted.
+     * @param {BREP} brep - The BREP data.
+     * @param {Edge} edge - The edge to remove.
+     */
+    removeEdgeAndMergeFaces(brep, edge) {
+        const halfEdge = edge.getHalfEdge();
+        const flipHalfEdge = halfEdge.getFlipHalfEdge();
+        const keptFace = halfEdge.getFace();
+        const removedFace = flipHalfEdge.getFace();
+
+        // Move the half-edges and holes of the removed face to the kept face
+        this.getFaceHalfEdges(removedFace).forEach(he => he.setFace(keptFace));
+        if (removedFace.innerLoops?.length) {
+            keptFace.innerLoops = [...(keptFace.innerLoops || []), ...removedFace.innerLoops];
+        }
+
+        // Bypass the edge in both loops, joining them into one
+        HalfEdgePrev(halfEdge).setNextHalfEdge(flipHalfEdge.getNextHalfEdge());
+        HalfEdgePrev(flipHalfEdge).setNextHalfEdge(halfEdge.getNextHalfEdge());
+
+        keptFace.setHalfEdge(halfEdge.getNextHalfEdge());
+
+        // The end vertices may still point at the removed half-edges
+        halfEdge.getVertex().setHalfEdge(flipHalfEdge.getNextHalfEdge());
+        flipHalfEdge.getVertex().setHalfEdge(halfEdge.getNextHalfEdge());
+
+        // Remove the edge, its half-edges and the merged face
+        brep.edges = brep.edges.filter(e => e !== edge);
+        brep.halfEdges = brep.halfEdges.filter(he => he !== halfEdge && he !== flipHalfEdge);
+        brep.faces = brep.faces.filter(f => f !== removedFace);
+
+        // Update indices for edges and faces
+        brep.edges.forEach((e, i) => e.setIndex(i));
+        brep.faces.forEach((f, i) => f.setIndex(i));
+
+        // Rebuild cells and edge map
+        brep.cells = brep.getCells();
+        brep.buildEdgeMap();
+    }
+
+    /**
+     * Retrieves all half-edges of a face in loop order, the outer loop first and then its holes.
+     * @param {Face} face - The face to retrieve half-edges from.
+     * @returns {Array<HalfEdge>} Array of half-edges in the face.
+     */
+    getFaceHalfEdges(face) {
+        return getFaceLoops(face).flatMap(start => getLoopHalfEdges(start));
+    }
+
+    /**
+     * Retrieves all vertices of a face.
+     * @param {Face} face - The face to retrieve vertices from.
+     * @returns {Array<Vertex>} Array of vertices in the face.
+     */
+    getFaceVertices(face) {
+        const vertices = [];
+        let startHalfEdge = face.getHalfEdge();
+        let currentHalfEdge = startHalfEdge;
+        
+        do {
+            vertices.push(currentHalfEdge.getVertex());
+            currentHalfEdge = currentHalfEdge.getNextHalfEdge();
+        } while (currentHalfEdge !== startHalfEdge);
+        
+        return vertices;
     }
-}
+}
\ No newline at end of file
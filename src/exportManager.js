@@ -0,0 +1,84 @@
+import { exportGLTF, exportOBJ, exportSTLAscii, exportSTLBinary } from "./exporters";
+
+// File extension, MIME type and writer of each export format
+const EXPORT_FORMATS = {
+    obj: { extension: "obj", type: "text/plain", write: (meshes) => exportOBJ(meshes) },
+    stl: { extension: "stl", type: "model/stl", write: (meshes) => exportSTLBinary(meshes) },
+    "stl-ascii": { extension: "stl", type: "model/stl", write: (meshes) => exportSTLAscii(meshes) },
+    gltf: { extension: "gltf", type: "model/gltf+json", write: (meshes) => JSON.stringify(exportGLTF(meshes), null, 2) }
+};
+
+/**
+ * Exports the selected meshes or the whole scene to OBJ, STL or glTF files.
+ */
+export class ExportManager {
+    constructor(scene, editModeManager) {
+        this.scene = scene;
+        this.editModeManager = editModeManager;
+        this.fileName = "scene";
+    }
+
+    /**
+     * Lists the meshes to export, in scene order.
+     * @param {Object} [options]
+     * @param {boolean} [options.selectionOnly=false] - Export only the selected mesh.
+     * @param {boolean} [options.includeGround=false] - Add the ground plane.
+     * @returns {Array<Mesh>} The meshes to export.
+     */
+    getExportMeshes({ selectionOnly = false, includeGround = false } = {}) {
+        const meshes = selectionOnly
+            ? [this.editModeManager.selectedMesh].filter(Boolean)
+            : this.scene.meshes.filter(mesh => mesh.brepData && !mesh.isDisposed());
+
+        const ground = this.scene.getMeshByName("ground1");
+        return includeGround && ground ? [ground, ...meshes] : meshes;
+    }
+
+    /**
+     * Writes the meshes in an export format.
+     * @param {string} format - "obj", "stl" (binary), "stl-ascii" or "gltf".
+     * @param {Object} [options] - Which meshes to export, see getExportMeshes.
+     * @returns {string|ArrayBuffer} The file contents.
+     * @throws Will throw an error if the format is unknown or there is nothing to export.
+     */
+    write(format, options = {}) {
+        const exportFormat = EXPORT_FORMATS[format];
+        if (!exportFormat) {
+            throw new Error(`Unknown export format "${format}"`);
+        }
+
+        const meshes = this.getExportMeshes(options);
+        if (meshes.length === 0) {
+            throw new Error(options.selectionOnly ? "No mesh is selected" : "The scene has no meshes");
+        }
+
+        return exportFormat.write(meshes);
+    }
+
+    /**
+     * Downloads the meshes as a file, reporting failures to the user.
+     * @param {string} format - "obj", "stl" (binary), "stl-ascii" or "gltf".
+     * @param {Object} [options] - Which meshes to export, see getExportMeshes.
+     * @returns {boolean} True if the file was written.
+     */
+    download(format, options = {}) {
+        let contents;
+        try {
+            contents = this.write(format, options);
+        } catch (error) {
+            console.error("Error exporting:", error);
+            this.editModeManager.notify(`Export failed: ${error.message}`);
+            return false;
+        }
+
+        const { extension, type } = EXPORT_FORMATS[format];
+        const url = URL.createObjectURL(new Blob([contents], { type }));
+
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = `${this.fileName}.${extension}`;
+        link.click();
+        URL.revokeObjectURL(url);
+        return true;
+    }
+}
@@ -0,0 +1,292 @@
+import { Vector3, VertexBuffer } from "@babylonjs/core";
+import { computePolygonNormal, getFaceLoops, getLoopVertices } from "./brepUtils";
+
+// Writers for OBJ, STL and glTF 2.0. Coordinates are written as they are in the scene,
+// with mesh transforms baked in, and every face winds counter-clockwise around its
+// outward normal. The output only depends on the meshes, so exports can be diffed.
+
+const DEFAULT_COLOR = [0.8, 0.8, 0.8];
+
+// Fixed precision keeps the output stable against floating point noise
+const formatNumber = (value) => {
+    const rounded = Number(value.toFixed(6));
+    return Object.is(rounded, -0) ? "0" : String(rounded);
+};
+
+const formatVector = (vector) => vector.map(formatNumber).join(" ");
+
+const subtract = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+// Reverses a triangle whose right-hand normal points away from the given normal
+const orientTriangle = (triangle, positions, normal) => {
+    const [a, b, c] = triangle.map(index => positions[index]);
+    return dot(cross(subtract(b, a), subtract(c, a)), normal) < 0
+        ? [triangle[0], triangle[2], triangle[1]]
+        : triangle;
+};
+
+/**
+ * Collects the world-space geometry of a mesh for export.
+ * BREP meshes keep their faces as polygons next to the triangles the Tessellator made for them;
+ * other meshes, such as the ground, export each triangle as a face.
+ * @param {Mesh} mesh - The mesh to collect.
+ * @returns {{name: string, color: Array<number>, positions: Array<Array<number>>,
+ *     faces: Array<{normal: Array<number>, polygon: Array<number>|null, triangles: Array<Array<number>>}>}}
+ *     Shared vertex positions and the faces indexing them; polygon is null for faces with holes.
+ */
+export const collectMeshGeometry = (mesh) => {
+    const worldMatrix = mesh.computeWorldMatrix(true);
+    const toWorld = (position) => Vector3.TransformCoordinates(Vector3.FromArray(position), worldMatrix).asArray();
+    const color = mesh.material?.diffuseColor?.asArray() || DEFAULT_COLOR;
+    const meshIndices = mesh.getIndices() || [];
+
+    if (!mesh.brepData) {
+        const localPositions = mesh.getVerticesData(VertexBuffer.PositionKind) || [];
+        const localNormals = mesh.getVerticesData(VertexBuffer.NormalKind) || [];
+        const positions = [];
+        for (let i = 0; i < localPositions.length; i += 3) {
+            positions.push(toWorld([localPositions[i], localPositions[i + 1], localPositions[i + 2]]));
+        }
+
+        const faces = [];
+        for (let i = 0; i < meshIndices.length; i += 3) {
+            const triangle = [meshIndices[i], meshIndices[i + 1], meshIndices[i + 2]];
+            // The vertex normals tell which side of the triangle is the front
+            const vertexNormal = triangle.reduce((sum, index) => sum.addInPlace(
+                Vector3.FromArray(localNormals, 3 * index)), Vector3.Zero());
+            const normal = Vector3.TransformNormal(vertexNormal, worldMatrix).normalize().asArray();
+
+            const oriented = orientTriangle(triangle, positions, normal);
+            faces.push({ normal, polygon: oriented, triangles: [oriented] });
+        }
+
+        return { name: mesh.name, color, positions, faces };
+    }
+
+    const brep = mesh.brepData;
+    const positions = brep.getPositions().map(toWorld);
+    const facetMapping = mesh.faceFacetMapping || {};
+
+    // The Tessellator writes the loop vertices of every face in turn, so each
+    // geometry vertex maps back to a BREP vertex
+    let vertexOffset = 0;
+    const faces = brep.getFaces().map(face => {
+        const loopVertexIndices = getFaceLoops(face)
+            .flatMap(start => getLoopVertices(start).map(vertex => vertex.getIndex()));
+        const outerLoop = getLoopVertices(face.getHalfEdge()).map(vertex => vertex.getIndex());
+        const normal = computePolygonNormal(outerLoop.map(index => positions[index])).asArray();
+
+        const triangles = (facetMapping[face.getIndex()] || []).map(facet => orientTriangle(
+            [0, 1, 2].map(corner => loopVertexIndices[meshIndices[3 * facet + corner] - vertexOffset]),
+            positions,
+            normal
+        ));
+        vertexOffset += loopVertexIndices.length;
+
+        return { normal, polygon: face.innerLoops?.length ? null : outerLoop, triangles };
+    });
+
+    return { name: mesh.name, color, positions, faces };
+};
+
+/**
+ * Writes meshes as a Wavefront OBJ file, keeping BREP faces as n-gons.
+ * Faces with holes, which OBJ cannot describe, are written as their triangles.
+ * @param {Array<Mesh>} meshes - The meshes to export.
+ * @returns {string} The OBJ file contents.
+ */
+export const exportOBJ = (meshes) => {
+    const lines = ["# OBJ export"];
+    let vertexOffset = 1;
+
+    meshes.map(collectMeshGeometry).forEach(({ name, positions, faces }, i) => {
+        lines.push(`o ${name}_${i}`);
+        positions.forEach(position => lines.push(`v ${formatVector(position)}`));
+
+        faces.forEach(({ polygon, triangles }) => {
+            (polygon ? [polygon] : triangles).forEach(loop => {
+                lines.push(`f ${loop.map(index => index + vertexOffset).join(" ")}`);
+            });
+        });
+
+        vertexOffset += positions.length;
+    });
+
+    return `${lines.join("\n")}\n`;
+};
+
+// Lists every exported triangle with its face normal
+const collectTriangles = (meshes) => meshes.map(collectMeshGeometry).flatMap(({ positions, faces }) =>
+    faces.flatMap(({ normal, triangles }) => triangles.map(triangle => ({
+        normal,
+        vertices: triangle.map(index => positions[index])
+    })))
+);
+
+/**
+ * Writes meshes as an ASCII STL file.
+ * @param {Array<Mesh>} meshes - The meshes to export.
+ * @param {string} [name="scene"] - The solid name.
+ * @returns {string} The STL file contents.
+ */
+export const exportSTLAscii = (meshes, name = "scene") => {
+    const lines = [`solid ${name}`];
+
+    collectTriangles(meshes).forEach(({ normal, vertices }) => {
+        lines.push(`  facet normal ${formatVector(normal)}`);
+        lines.push("    outer loop");
+        vertices.forEach(vertex => lines.push(`      vertex ${formatVector(vertex)}`));
+        lines.push("    endloop");
+        lines.push("  endfacet");
+    });
+
+    lines.push(`endsolid ${name}`);
+    return `${lines.join("\n")}\n`;
+};
+
+/**
+ * Writes meshes as a binary STL file.
+ * @param {Array<Mesh>} meshes - The meshes to export.
+ * @returns {ArrayBuffer} The STL file contents.
+ */
+export const exportSTLBinary = (meshes) => {
+    const triangles = collectTriangles(meshes);
+    const buffer = new ArrayBuffer(84 + 50 * triangles.length);
+    const view = new DataView(buffer);
+
+    // The 80 byte header is free text, padded with zeros
+    const header = "Binary STL export";
+    for (let i = 0; i < header.length; i++) {
+        view.setUint8(i, header.charCodeAt(i));
+    }
+    view.setUint32(80, triangles.length, true);
+
+    triangles.forEach(({ normal, vertices }, i) => {
+        const offset = 84 + 50 * i;
+        [normal, ...vertices].flat().forEach((value, j) => {
+            view.setFloat32(offset + 4 * j, value, true);
+        });
+        view.setUint16(offset + 48, 0, true);
+    });
+
+    return buffer;
+};
+
+// Encodes bytes as base64 without depending on browser-only helpers
+const toBase64 = (bytes) => {
+    const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+    let result = "";
+
+    for (let i = 0; i < bytes.length; i += 3) {
+        const chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+        result += alphabet[(chunk >> 18) & 63] + alphabet[(chunk >> 12) & 63];
+        result += i + 1 < bytes.length ? alphabet[(chunk >> 6) & 63] : "=";
+        result += i + 2 < bytes.length ? alphabet[chunk & 63] : "=";
+    }
+
+    return result;
+};
+
+const GLTF_FLOAT = 5126;
+const GLTF_UNSIGNED_INT = 5125;
+const GLTF_ARRAY_BUFFER = 34962;
+const GLTF_ELEMENT_ARRAY_BUFFER = 34963;
+
+/**
+ * Writes meshes as a glTF 2.0 file with the binary data embedded as a data URI.
+ * Each mesh becomes a node with flat shaded faces and a material of its color.
+ * @param {Array<Mesh>} meshes - The meshes to export.
+ * @returns {Object} The glTF document, ready for JSON.stringify.
+ */
+export const exportGLTF = (meshes) => {
+    const gltf = {
+        asset: { version: "2.0", generator: "BREP editor" },
+        scene: 0,
+        scenes: [{ nodes: [] }],
+        nodes: [],
+        meshes: [],
+        materials: [],
+        accessors: [],
+        bufferViews: [],
+        buffers: []
+    };
+    const chunks = [];
+    let byteLength = 0;
+
+    const addBufferView = (typedArray, target) => {
+        chunks.push(new Uint8Array(typedArray.buffer));
+        gltf.bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: typedArray.byteLength, target });
+        byteLength += typedArray.byteLength;
+        return gltf.bufferViews.length - 1;
+    };
+
+    const addAccessor = (accessor) => {
+        gltf.accessors.push(accessor);
+        return gltf.accessors.length - 1;
+    };
+
+    meshes.map(collectMeshGeometry).forEach(({ name, color, positions, faces }, i) => {
+        // Every face gets its own vertices, so the normals stay flat
+        const vertexData = [];
+        const normalData = [];
+        const indexData = [];
+        faces.forEach(({ normal, triangles }) => {
+            const faceVertices = new Map();
+            triangles.flat().forEach(index => {
+                if (faceVertices.has(index)) return;
+                faceVertices.set(index, vertexData.length / 3);
+                vertexData.push(...positions[index]);
+                normalData.push(...normal);
+            });
+            triangles.flat().forEach(index => indexData.push(faceVertices.get(index)));
+        });
+        if (indexData.length === 0) return;
+
+        const vertices = new Float32Array(vertexData);
+        const min = [0, 1, 2].map(axis => Math.min(...vertices.filter((_, j) => j % 3 === axis)));
+        const max = [0, 1, 2].map(axis => Math.max(...vertices.filter((_, j) => j % 3 === axis)));
+
+        const positionAccessor = addAccessor({
+            bufferView: addBufferView(vertices, GLTF_ARRAY_BUFFER),
+            componentType: GLTF_FLOAT, count: vertexData.length / 3, type: "VEC3", min, max
+        });
+        const normalAccessor = addAccessor({
+            bufferView: addBufferView(new Float32Array(normalData), GLTF_ARRAY_BUFFER),
+            componentType: GLTF_FLOAT, count: normalData.length / 3, type: "VEC3"
+        });
+        const indexAccessor = addAccessor({
+            bufferView: addBufferView(new Uint32Array(indexData), GLTF_ELEMENT_ARRAY_BUFFER),
+            componentType: GLTF_UNSIGNED_INT, count: indexData.length, type: "SCALAR"
+        });
+
+        gltf.materials.push({
+            name: `${name}_${i}_material`,
+            pbrMetallicRoughness: { baseColorFactor: [...color, 1], metallicFactor: 0, roughnessFactor: 1 }
+        });
+        gltf.meshes.push({
+            name: `${name}_${i}`,
+            primitives: [{
+                attributes: { POSITION: positionAccessor, NORMAL: normalAccessor },
+                indices: indexAccessor,
+                material: gltf.materials.length - 1
+            }]
+        });
+        gltf.nodes.push({ name: `${name}_${i}`, mesh: gltf.meshes.length - 1 });
+        gltf.scenes[0].nodes.push(gltf.nodes.length - 1);
+    });
+
+    if (byteLength > 0) {
+        const bytes = new Uint8Array(byteLength);
+        chunks.reduce((offset, chunk) => {
+            bytes.set(chunk, offset);
+            return offset + chunk.length;
+        }, 0);
+        gltf.buffers.push({ byteLength, uri: `data:application/octet-stream;base64,${toBase64(bytes)}` });
+    }
+
+    return gltf;
+};
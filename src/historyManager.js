@@ -0,0 +1,98 @@
+import { Observable } from "@babylonjs/core/Misc/observable";
+
+/**
+ * Command that swaps meshes between two recorded states.
+ * Each change pairs the state of one mesh before and after an edit; a null
+ * state means the mesh did not exist on that side of the edit.
+ */
+export class MeshStateCommand {
+    /**
+     * @param {string} label - Human readable name of the edit.
+     * @param {EditModeManager} editModeManager - Manager that owns the meshes.
+     * @param {Array<{entityId: number, before: Object|null, after: Object|null}>} changes - Per-mesh states.
+     * @param {number|null} selectionBefore - Entity id selected before the edit.
+     * @param {number|null} selectionAfter - Entity id selected after the edit.
+     */
+    constructor(label, editModeManager, changes, selectionBefore, selectionAfter) {
+        this.label = label;
+        this.editModeManager = editModeManager;
+        this.changes = changes;
+        this.selectionBefore = selectionBefore;
+        this.selectionAfter = selectionAfter;
+    }
+
+    undo() {
+        this.changes.forEach(({ entityId, before }) => {
+            this.editModeManager.restoreMeshState(entityId, before);
+        });
+        this.editModeManager.restoreSelection(this.selectionBefore);
+    }
+
+    redo() {
+        this.changes.forEach(({ entityId, after }) => {
+            this.editModeManager.restoreMeshState(entityId, after);
+        });
+        this.editModeManager.restoreSelection(this.selectionAfter);
+    }
+}
+
+/**
+ * Undo/redo stacks of already executed commands.
+ * A command is any object exposing `undo()` and `redo()`.
+ */
+export class HistoryManager {
+    constructor(limit = 100) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.onChangeObservable = new Observable();
+    }
+
+    /**
+     * Records a command that has already been applied.
+     * Recording a new command discards everything that could be redone.
+     * @param {Object} command - The applied command.
+     */
+    record(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.onChangeObservable.notifyObservers(this);
+    }
+
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+
+        command.undo();
+        this.redoStack.push(command);
+        this.onChangeObservable.notifyObservers(this);
+        return command;
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+
+        command.redo();
+        this.undoStack.push(command);
+        this.onChangeObservable.notifyObservers(this);
+        return command;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.onChangeObservable.notifyObservers(this);
+    }
+}
@@ -0,0 +1,114 @@
+import { addBrepMesh, addCustomMesh } from "./create";
+import { createBrep } from "./brepUtils";
+import { computeSignedVolume, validateBrep } from "./brepValidator";
+import { parseDXF, parseOBJ, parseSVG } from "./importers";
+
+/**
+ * Imports DXF and SVG footprints as extrusions, and OBJ polyhedra as BREP meshes.
+ */
+export class ImportManager {
+    constructor(scene, editModeManager) {
+        this.scene = scene;
+        this.editModeManager = editModeManager;
+    }
+
+    /**
+     * Imports the contents of a file, picking the reader from its extension.
+     * Everything created is recorded as a single edit, and skipped loops or objects are reported.
+     * @param {string} fileName - The file name, e.g. "site.dxf".
+     * @param {string} text - The file contents.
+     * @param {Object} [options]
+     * @param {number} [options.unitScale=1] - Scene units per file unit.
+     * @param {number} [options.height=5] - Extrusion height for DXF and SVG footprints.
+     * @returns {{meshes: Array<Mesh>, skipped: Array<{source: string, reason: string}>}}
+     *     The created meshes and what was skipped.
+     * @throws Will throw an error if the file type is not supported or the file cannot be read.
+     */
+    importText(fileName, text, { unitScale = 1, height = 5 } = {}) {
+        const extension = fileName.split(".").pop().toLowerCase();
+        if (!Number.isFinite(unitScale) || unitScale <= 0) {
+            throw new Error("The unit scale must be a positive number");
+        }
+
+        let result;
+        if (extension === "dxf" || extension === "svg") {
+            const { footprints, skipped } = extension === "dxf" ? parseDXF(text, unitScale) : parseSVG(text, unitScale);
+            const meshes = footprints.map(footprint => addCustomMesh(this.scene, footprint, height)).filter(Boolean);
+            result = { meshes, skipped };
+        } else if (extension === "obj") {
+            result = this.importPolyhedra(parseOBJ(text, unitScale));
+        } else {
+            throw new Error(`.${extension} files are not supported`);
+        }
+
+        if (result.meshes.length > 0) {
+            this.editModeManager.recordMeshCreation(`Import ${fileName}`, result.meshes);
+        }
+        return result;
+    }
+
+    /**
+     * Turns polyhedra into BREP meshes, skipping those that are not closed manifold solids.
+     * Polyhedra whose faces all point inward are turned inside out.
+     * @param {Array<{name: string, positions: Array<Array<number>>, cells: Array<Array<number>>}>} polyhedra
+     * @returns {{meshes: Array<Mesh>, skipped: Array<{source: string, reason: string}>}}
+     */
+    importPolyhedra(polyhedra) {
+        const meshes = [];
+        const skipped = [];
+
+        polyhedra.forEach(({ name, positions, cells }) => {
+            try {
+                const brep = createBrep(positions, cells);
+                let validation = validateBrep(brep);
+                if (validation.failures.some(failure => failure.check === "orientation") &&
+                    computeSignedVolume(brep) < 0) {
+                    cells = cells.map(cell => [...cell].reverse());
+                    validation = validateBrep(createBrep(positions, cells));
+                }
+
+                if (!validation.valid) {
+                    skipped.push({ source: name, reason: `it is not a closed manifold solid (${validation.failures[0].message})` });
+                    return;
+                }
+
+                const mesh = addBrepMesh(this.scene, positions, cells);
+                if (mesh) {
+                    mesh.name = name;
+                    meshes.push(mesh);
+                } else {
+                    skipped.push({ source: name, reason: "tessellation failed" });
+                }
+            } catch (error) {
+                console.error(`Error importing ${name}:`, error);
+                skipped.push({ source: name, reason: "it is not a closed manifold polyhedron" });
+            }
+        });
+
+        return { meshes, skipped };
+    }
+
+    /**
+     * Imports an uploaded file and tells the user what was created and skipped.
+     * @param {File} file - The DXF, SVG or OBJ file.
+     * @param {Object} [options] - The unit scale and extrusion height, see importText.
+     * @returns {Promise<Array<Mesh>>} The created meshes.
+     */
+    async importFile(file, options = {}) {
+        try {
+            const { meshes, skipped } = this.importText(file.name, await file.text(), options);
+
+            skipped.forEach(({ source, reason }) => console.warn(`Skipped ${source}: ${reason}`));
+            const skippedText = skipped.length > 0
+                ? `, skipped ${skipped.length}: ${skipped.map(({ source, reason }) => `${source} (${reason})`).join("; ")}`
+                : "";
+            this.editModeManager.notify(`Imported ${meshes.length} mesh${meshes.length === 1 ? "" : "es"} from ${file.name}${skippedText}`);
+
+            return meshes;
+        } catch (error) {
+            console.error("Error importing file:", error);
+            this.editModeManager.notify(`Could not import ${file.name}: ${error.message}`);
+            return [];
+        }
+    }
+}
@@ -0,0 +1,275 @@
+import { removeDuplicatePoints, validateFootprint } from "./polygonUtils";
+
+// Parsers turning DXF and SVG drawings into [x, z] footprints, and OBJ files into
+// polyhedra. Drawing Y maps to scene Z; SVG Y points down, so it is flipped.
+// Every loop that cannot become a footprint is reported in `skipped` with the reason.
+
+/**
+ * Checks a parsed loop and adds it to the footprints, or reports why it was skipped.
+ * @param {Object} result - The { footprints, skipped } being collected.
+ * @param {string} source - Human readable description of the loop, e.g. "LWPOLYLINE 3".
+ * @param {Array<Array<number>>} points - The [x, z] points of the loop.
+ * @param {boolean} isClosed - Whether the drawing closes the loop.
+ */
+const addLoop = (result, source, points, isClosed) => {
+    const first = points[0];
+    const last = points[points.length - 1];
+    const endsAtStart = points.length > 2 && Math.hypot(first[0] - last[0], first[1] - last[1]) < 1e-6;
+
+    if (!isClosed && !endsAtStart) {
+        result.skipped.push({ source, reason: "the loop is open" });
+        return;
+    }
+
+    const footprint = removeDuplicatePoints(points);
+    const error = validateFootprint(footprint);
+    if (error) {
+        result.skipped.push({ source, reason: error });
+        return;
+    }
+
+    result.footprints.push(footprint);
+};
+
+/**
+ * Reads closed LWPOLYLINE and POLYLINE entities from a DXF file.
+ * Bulges (arc segments) are read as straight segments.
+ * @param {string} text - The DXF file contents.
+ * @param {number} [unitScale=1] - Scene units per drawing unit.
+ * @returns {{footprints: Array<Array<Array<number>>>, skipped: Array<{source: string, reason: string}>}}
+ *     The footprints and the skipped loops.
+ */
+export const parseDXF = (text, unitScale = 1) => {
+    const result = { footprints: [], skipped: [] };
+
+    // A DXF file is a list of group code / value line pairs
+    const lines = text.split(/\r?\n/);
+    const pairs = [];
+    for (let i = 0; i + 1 < lines.length; i += 2) {
+        pairs.push([parseInt(lines[i].trim(), 10), lines[i + 1].trim()]);
+    }
+
+    let count = 0;
+    let current = null;
+    const finish = () => {
+        if (current) {
+            count++;
+            addLoop(result, `${current.type} ${count}`, current.points, current.isClosed);
+        }
+        current = null;
+    };
+
+    // POLYLINE entities list their points as VERTEX entities, up to SEQEND
+    let inPolyline = false;
+    pairs.forEach(([code, value]) => {
+        if (code === 0) {
+            if (value === "LWPOLYLINE") {
+                finish();
+                current = { type: value, points: [], isClosed: false };
+                inPolyline = false;
+            } else if (value === "POLYLINE") {
+                finish();
+                current = { type: value, points: [], isClosed: false };
+                inPolyline = true;
+            } else if (value === "VERTEX" && inPolyline) {
+                current.points.push([0, 0]);
+            } else {
+                inPolyline = false;
+                finish();
+            }
+            return;
+        }
+        if (!current) return;
+
+        const isVertexRecord = current.type === "LWPOLYLINE" || current.points.length > 0;
+        if (code === 70 && current.points.length === 0) {
+            current.isClosed = (parseInt(value, 10) & 1) === 1;
+        } else if (code === 10 && current.type === "LWPOLYLINE") {
+            current.points.push([parseFloat(value) * unitScale, 0]);
+        } else if (code === 10 && isVertexRecord) {
+            current.points[current.points.length - 1][0] = parseFloat(value) * unitScale;
+        } else if (code === 20 && isVertexRecord && current.points.length > 0) {
+            current.points[current.points.length - 1][1] = parseFloat(value) * unitScale;
+        }
+    });
+    finish();
+
+    return result;
+};
+
+const getAttribute = (attributes, name) => {
+    const match = attributes.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*("([^"]*)"|'([^']*)')`));
+    return match ? (match[2] ?? match[3]) : null;
+};
+
+const parseNumbers = (text) => (text.match(/[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || []).map(Number);
+
+/**
+ * Splits SVG path data into subpaths of absolute points.
+ * Only straight segments (M, L, H, V, Z) are supported.
+ * @param {string} data - The value of a path's d attribute.
+ * @returns {{subpaths: Array<{points: Array<Array<number>>, isClosed: boolean}>, hasCurves: boolean}}
+ */
+const parsePathData = (data) => {
+    const subpaths = [];
+    let hasCurves = false;
+    let current = null;
+    let position = [0, 0];
+    let start = [0, 0];
+
+    // Exponents (e, E) are part of numbers, not commands
+    (data.match(/[MmLlHhVvZzCcSsQqTtAa][^MmLlHhVvZzCcSsQqTtAa]*/g) || []).forEach(segment => {
+        const command = segment[0];
+        const numbers = parseNumbers(segment.slice(1));
+        const isRelative = command === command.toLowerCase();
+
+        switch (command.toUpperCase()) {
+            case "M":
+                for (let i = 0; i + 1 < numbers.length; i += 2) {
+                    position = isRelative
+                        ? [position[0] + numbers[i], position[1] + numbers[i + 1]]
+                        : [numbers[i], numbers[i + 1]];
+                    // Further pairs after a moveto are linetos
+                    if (i === 0) {
+                        current = { points: [position], isClosed: false };
+                        subpaths.push(current);
+                        start = position;
+                    } else {
+                        current.points.push(position);
+                    }
+                }
+                break;
+            case "L":
+                for (let i = 0; i + 1 < numbers.length; i += 2) {
+                    position = isRelative
+                        ? [position[0] + numbers[i], position[1] + numbers[i + 1]]
+                        : [numbers[i], numbers[i + 1]];
+                    current?.points.push(position);
+                }
+                break;
+            case "H":
+                numbers.forEach(x => {
+                    position = [isRelative ? position[0] + x : x, position[1]];
+                    current?.points.push(position);
+                });
+                break;
+            case "V":
+                numbers.forEach(y => {
+                    position = [position[0], isRelative ? position[1] + y : y];
+                    current?.points.push(position);
+                });
+                break;
+            case "Z":
+                if (current) {
+                    current.isClosed = true;
+                }
+                position = start;
+                current = null;
+                break;
+            default:
+                hasCurves = true;
+        }
+    });
+
+    return { subpaths, hasCurves };
+};
+
+/**
+ * Reads polygon, polyline, rect and path elements from an SVG file.
+ * Element transforms are ignored, and paths with curves are skipped.
+ * @param {string} text - The SVG file contents.
+ * @param {number} [unitScale=1] - Scene units per SVG user unit.
+ * @returns {{footprints: Array<Array<Array<number>>>, skipped: Array<{source: string, reason: string}>}}
+ *     The footprints and the skipped loops.
+ */
+export const parseSVG = (text, unitScale = 1) => {
+    const result = { footprints: [], skipped: [] };
+    const toFootprint = ([x, y]) => [x * unitScale, -y * unitScale];
+    const counts = {};
+
+    const elementPattern = /<(polygon|polyline|path|rect)\b([^>]*)>/g;
+    let match;
+    while ((match = elementPattern.exec(text)) !== null) {
+        const [, type, attributes] = match;
+        counts[type] = (counts[type] || 0) + 1;
+        const source = `${type} ${counts[type]}`;
+
+        if (type === "polygon" || type === "polyline") {
+            const numbers = parseNumbers(getAttribute(attributes, "points") || "");
+            const points = [];
+            for (let i = 0; i + 1 < numbers.length; i += 2) {
+                points.push(toFootprint([numbers[i], numbers[i + 1]]));
+            }
+            addLoop(result, source, points, type === "polygon");
+        } else if (type === "rect") {
+            const [x, y, width, height] = ["x", "y", "width", "height"]
+                .map(name => parseFloat(getAttribute(attributes, name) || "0"));
+            addLoop(result, source, [[x, y], [x + width, y], [x + width, y + height], [x, y + height]]
+                .map(toFootprint), true);
+        } else {
+            const { subpaths, hasCurves } = parsePathData(getAttribute(attributes, "d") || "");
+            if (hasCurves) {
+                result.skipped.push({ source, reason: "curved path segments are not supported" });
+                continue;
+            }
+            subpaths.forEach((subpath, i) => {
+                const subpathSource = subpaths.length > 1 ? `${source}, subpath ${i + 1}` : source;
+                addLoop(result, subpathSource, subpath.points.map(toFootprint), subpath.isClosed);
+            });
+        }
+    }
+
+    return result;
+};
+
+/**
+ * Reads the polyhedra of an OBJ file, one per object or group.
+ * Face indices may be negative (relative) and carry texture and normal indices, which are ignored.
+ * @param {string} text - The OBJ file contents.
+ * @param {number} [unitScale=1] - Scene units per file unit.
+ * @returns {Array<{name: string, positions: Array<Array<number>>, cells: Array<Array<number>>}>}
+ *     The polyhedra, with vertex indices local to each one.
+ */
+export const parseOBJ = (text, unitScale = 1) => {
+    const vertices = [];
+    const objects = [];
+    let current = null;
+
+    const startObject = (name) => {
+        current = { name, positions: [], cells: [], indexMap: new Map() };
+        objects.push(current);
+    };
+
+    text.split(/\r?\n/).forEach(line => {
+        const [keyword, ...values] = line.trim().split(/\s+/);
+
+        if (keyword === "v") {
+            vertices.push(values.slice(0, 3).map(value => parseFloat(value) * unitScale));
+        } else if (keyword === "o" || keyword === "g") {
+            startObject(values.join(" ") || `object ${objects.length + 1}`);
+        } else if (keyword === "f") {
+            if (!current) {
+                startObject("object 1");
+            }
+            const cell = values.map(value => {
+                const index = parseInt(value.split("/")[0], 10);
+                const globalIndex = index < 0 ? vertices.length + index : index - 1;
+                if (!vertices[globalIndex]) {
+                    throw new Error(`a face of ${current.name} references the missing vertex ${value}`);
+                }
+
+                // Each object gets its own vertex numbering
+                if (!current.indexMap.has(globalIndex)) {
+                    current.indexMap.set(globalIndex, current.positions.length);
+                    current.positions.push([...vertices[globalIndex]]);
+                }
+                return current.indexMap.get(globalIndex);
+            });
+            current.cells.push(cell);
+        }
+    });
+
+    return objects
+        .filter(object => object.cells.length > 0)
+        .map(({ name, positions, cells }) => ({ name, positions, cells }));
+};
@@ -1,12 +1,25 @@
 import { Engine } from "@babylonjs/core/Engines/engine";
 import { HemisphericLight } from "@babylonjs/core/Lights/hemisphericLight";
 import { Vector3 } from "@babylonjs/core/Maths/math.vector";
+import { Color3 } from "@babylonjs/core/Maths/math.color";
 import { CreateGround } from "@babylonjs/core/Meshes/Builders/groundBuilder";
 import { Scene } from "@babylonjs/core/scene";
 import { GridMaterial } from "@babylonjs/materials/grid/gridMaterial";
-import { CameraManager } from "./CameraManager";  // Updated import
+import { CameraManager, ORTHO_VIEWS } from "./CameraManager";  // Updated import
 import { addExampleMeshes, addMesh } from "./create";
 import { EditModeManager } from "./editModeManager";
+import { DrawToolManager } from "./drawToolManager";
+import { ProjectManager } from "./projectManager";
+import { ExportManager } from "./exportManager";
+import { ImportManager } from "./importManager";
+import { BooleanManager } from "./booleanManager";
+import { AnnotationManager } from "./annotationManager";
+import { SnapManager } from "./snapManager";
+import { TransformManager } from "./transformManager";
+import { CommandManager, getEventShortcut } from "./commandManager";
+
+// localStorage key of the keyboard shortcuts rebound by the user
+const SHORTCUTS_KEY = 'brep-scene-shortcuts';
 
 // Get the canvas element from the DOM.
 const canvas = document.getElementById("renderCanvas");
@@ -35,12 +48,84 @@ var ground = CreateGround("ground1", { width: 60, height: 60, subdivisions: 2 },
 // Affect a material
 ground.material = material;
 
-addMesh(scene)
-
-const meshes = addExampleMeshes(scene);
+// Initialize the snapping shared by the edit, draw and measure tools
+const snapManager = new SnapManager(scene, cameraManager);
 
 // Initialize edit mode manager
-const editModeManager = new EditModeManager(scene, cameraManager);
+const editModeManager = new EditModeManager(scene, cameraManager, snapManager);
+
+// Initialize the footprint drawing tool
+const drawToolManager = new DrawToolManager(scene, cameraManager, editModeManager, snapManager);
+
+// Initialize project save/load, picking up the autosaved project or starting from the examples
+const projectManager = new ProjectManager(scene, cameraManager, editModeManager);
+if (!projectManager.restoreAutosave()) {
+    addMesh(scene);
+    addExampleMeshes(scene);
+}
+projectManager.startAutosave();
+
+// Initialize geometry export
+const exportManager = new ExportManager(scene, editModeManager);
+
+// Initialize DXF/SVG footprint and OBJ mesh import
+const importManager = new ImportManager(scene, editModeManager);
+
+// Initialize union/subtract/intersect of prism footprints
+const booleanManager = new BooleanManager(scene, editModeManager);
+
+// Initialize footprint dimension labels and the measuring tool of the 2D view
+const annotationManager = new AnnotationManager(scene, cameraManager, editModeManager, snapManager);
+
+// Initialize the move/rotate/scale gizmo of the selected mesh
+const transformManager = new TransformManager(scene, editModeManager, snapManager);
+
+// Initialize the command registry run by the buttons, keyboard shortcuts and command palette
+const commandManager = new CommandManager();
+registerCommands();
+
+// Registers the commands of every tool, and those switching between the tools, which exclude each other
+function registerCommands() {
+    commandManager.register({
+        id: 'edit.toggle',
+        label: 'Toggle edit mode',
+        shortcuts: ['E'],
+        isEnabled: () => !drawToolManager.isDrawMode && !annotationManager.isMeasureMode,
+        run: () => editModeManager.toggleEditMode()
+    });
+    commandManager.register({
+        id: 'draw.toggle',
+        label: 'Toggle draw tool',
+        isEnabled: () => !editModeManager.isEditMode && !annotationManager.isMeasureMode,
+        run: () => drawToolManager.toggleDrawMode()
+    });
+    commandManager.register({
+        id: 'measure.toggle',
+        label: 'Toggle measuring tool',
+        isEnabled: () => !editModeManager.isEditMode && !drawToolManager.isDrawMode,
+        run: () => annotationManager.toggleMeasureMode()
+    });
+    commandManager.register({
+        id: 'project.save',
+        label: 'Save project',
+        run: () => projectManager.save()
+    });
+
+    // A key runs the first enabled command bound to it, so the selection commands come before
+    // the view commands sharing their keys, e.g. F frames the selection, or else zooms to fit
+    [editModeManager, cameraManager, drawToolManager, annotationManager, transformManager]
+        .forEach(manager => manager.registerCommands(commandManager));
+
+    // Shortcuts rebound by the user are kept in the browser
+    try {
+        commandManager.setShortcutOverrides(JSON.parse(localStorage.getItem(SHORTCUTS_KEY)) || {});
+    } catch (error) {
+        console.error("Error restoring keyboard shortcuts:", error);
+    }
+    commandManager.onChangeObservable.add(() => {
+        localStorage.setItem(SHORTCUTS_KEY, JSON.stringify(commandManager.getShortcutOverrides()));
+    });
+}
 
 function setupControls() {
     const controlsContainer = document.createElement('div');
@@ -48,38 +133,606 @@ function setupControls() {
 
     // Create toggle button for 2D/3D
     const toggleButton = document.createElement('button');
-    toggleButton.textContent = '2D View';
     toggleButton.addEventListener('click', () => {
-        if (!editModeManager.isEditMode) {
-            cameraManager.toggle2DMode();
-            toggleButton.textContent = toggleButton.textContent === '2D View' ? '3D View' : '2D View';
-        }
+        commandManager.execute('view.toggle2D');
     });
 
     // Create reset button
     const resetButton = document.createElement('button');
     resetButton.textContent = 'Reset View';
     resetButton.addEventListener('click', () => {
-        cameraManager.resetCamera();
+        commandManager.execute('view.reset');
+    });
+
+    // Create zoom to fit and frame selection buttons
+    const zoomToFitButton = document.createElement('button');
+    zoomToFitButton.textContent = 'Zoom to Fit';
+    zoomToFitButton.addEventListener('click', () => {
+        commandManager.execute('view.zoomToFit');
+    });
+
+    const frameSelectedButton = document.createElement('button');
+    frameSelectedButton.textContent = 'Frame Selected';
+    frameSelectedButton.addEventListener('click', () => {
+        commandManager.execute('edit.frameSelected');
+    });
+
+    // Create named view controls: a name to save the current view under, and a list recalling saved views
+    const viewNameInput = document.createElement('input');
+    viewNameInput.type = 'text';
+    viewNameInput.placeholder = 'View name';
+
+    const saveViewButton = document.createElement('button');
+    saveViewButton.textContent = 'Save View';
+    saveViewButton.addEventListener('click', () => {
+        const name = viewNameInput.value.trim();
+        if (!cameraManager.saveView(name)) {
+            editModeManager.notify('Enter a name for the view');
+            return;
+        }
+        viewNameInput.value = '';
+        viewSelect.value = name;
+    });
+
+    const viewSelect = document.createElement('select');
+    viewSelect.title = 'Saved views';
+    viewSelect.addEventListener('change', () => {
+        cameraManager.recallView(viewSelect.value);
+    });
+
+    const deleteViewButton = document.createElement('button');
+    deleteViewButton.textContent = 'Delete View';
+    deleteViewButton.addEventListener('click', () => {
+        cameraManager.deleteView(viewSelect.value);
+    });
+
+    const updateViewList = (names) => {
+        const selected = viewSelect.value;
+        viewSelect.replaceChildren(...names.map(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            return option;
+        }));
+        viewSelect.value = names.includes(selected) ? selected : (names[0] ?? '');
+        viewSelect.disabled = names.length === 0;
+        deleteViewButton.disabled = names.length === 0;
+    };
+    cameraManager.onSavedViewsChangedObservable.add(updateViewList);
+    updateViewList(cameraManager.getViewNames());
+
+    // Create the orthographic view picker: the top plan and the four elevations
+    const orthoViewSelect = document.createElement('select');
+    orthoViewSelect.title = 'Orthographic view';
+    [['', 'Ortho View'], ...Object.keys(ORTHO_VIEWS).map(view => [view, view[0].toUpperCase() + view.slice(1)])]
+        .forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            option.disabled = value === '';
+            orthoViewSelect.appendChild(option);
+        });
+    orthoViewSelect.addEventListener('change', () => {
+        commandManager.execute(`view.${orthoViewSelect.value}`);
     });
 
     // Create edit mode toggle button
+    // Edit mode starts in the 2D view; the 3D view stays available for push/pull
     const editModeButton = document.createElement('button');
-    editModeButton.textContent = 'Edit Mode';
     editModeButton.addEventListener('click', () => {
-        const isEditMode = editModeManager.toggleEditMode();
-        editModeButton.textContent = isEditMode ? 'Exit Edit' : 'Edit Mode';
-        toggleButton.disabled = isEditMode;
+        commandManager.execute('edit.toggle');
+    });
+
+    // Create draw tool toggle button and the height used for drawn extrusions
+    const drawButton = document.createElement('button');
+    drawButton.addEventListener('click', () => {
+        commandManager.execute('draw.toggle');
+    });
+
+    // Create measuring tool toggle button and the footprint dimensions toggle
+    const measureButton = document.createElement('button');
+    measureButton.addEventListener('click', () => {
+        commandManager.execute('measure.toggle');
+    });
+
+    const dimensionsButton = document.createElement('button');
+    dimensionsButton.addEventListener('click', () => {
+        commandManager.execute('annotations.toggle');
+    });
+
+    const heightInput = document.createElement('input');
+    heightInput.type = 'number';
+    heightInput.min = '0.1';
+    heightInput.step = '0.5';
+    heightInput.value = String(drawToolManager.defaultHeight);
+    heightInput.title = 'Extrusion height';
+    heightInput.addEventListener('change', () => {
+        if (!drawToolManager.setDefaultHeight(parseFloat(heightInput.value))) {
+            heightInput.value = String(drawToolManager.defaultHeight);
+        }
+    });
+
+    // Create snapping toggle and the grid step, which the ground grid follows; holding Alt turns snapping off
+    const snapButton = document.createElement('button');
+    snapButton.textContent = 'Snap: On';
+    snapButton.title = `Hold ${snapManager.modifierKey} to move freely`;
+    snapButton.addEventListener('click', () => {
+        snapManager.isEnabled = !snapManager.isEnabled;
+        snapButton.textContent = snapManager.isEnabled ? 'Snap: On' : 'Snap: Off';
+    });
+
+    const gridStepInput = document.createElement('input');
+    gridStepInput.type = 'number';
+    gridStepInput.min = '0.1';
+    gridStepInput.step = '0.5';
+    gridStepInput.value = String(snapManager.gridStep);
+    gridStepInput.title = 'Grid step';
+    gridStepInput.addEventListener('change', () => {
+        const step = parseFloat(gridStepInput.value);
+        if (snapManager.setGridStep(step)) {
+            material.gridRatio = step;
+        } else {
+            editModeManager.notify("Grid step must be a positive number");
+            gridStepInput.value = String(snapManager.gridStep);
+        }
+    });
+
+    // Create selection mode button cycling through vertices, edges and faces of the selected mesh
+    const nextSelectionMode = { vertex: 'edge', edge: 'face', face: 'vertex' };
+    const selectionModeLabels = { vertex: 'Vertex Select', edge: 'Edge Select', face: 'Face Select' };
+    const selectionModeCommands = { vertex: 'edit.selectVertices', edge: 'edit.selectEdges', face: 'edit.selectFaces' };
+    const selectionModeButton = document.createElement('button');
+    selectionModeButton.addEventListener('click', () => {
+        commandManager.execute(selectionModeCommands[nextSelectionMode[editModeManager.selectionMode]]);
+    });
+
+    // Create boolean buttons, applied to the selected prism and the one Shift-clicked after it
+    const booleanButtons = [['union', 'Union'], ['subtract', 'Subtract'], ['intersect', 'Intersect']]
+        .map(([operation, label]) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.addEventListener('click', () => booleanManager.apply(operation));
+            return button;
+        });
+
+    // Create transform gizmo buttons; only one gizmo is shown at a time
+    const transformButtons = [['move', 'Move'], ['rotate', 'Rotate'], ['scale', 'Scale']]
+        .map(([mode, label]) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.addEventListener('click', () => {
+                commandManager.execute(`transform.${mode}`);
+            });
+            return { button, mode };
+        });
+
+    // Create the toggle baking gizmo drags into the geometry, and a button baking the current transform
+    const bakeButton = document.createElement('button');
+    bakeButton.title = 'Apply gizmo moves to the vertex positions, keeping markers and edits in world space';
+    bakeButton.addEventListener('click', () => {
+        commandManager.execute('transform.toggleBake');
+    });
+
+    const bakeNowButton = document.createElement('button');
+    bakeNowButton.textContent = 'Bake Transform';
+    bakeNowButton.addEventListener('click', () => {
+        commandManager.execute('edit.bakeTransform');
+    });
+
+    // Create undo/redo buttons
+    const undoButton = document.createElement('button');
+    undoButton.textContent = 'Undo';
+    undoButton.addEventListener('click', () => {
+        commandManager.execute('edit.undo');
+    });
+
+    const redoButton = document.createElement('button');
+    redoButton.textContent = 'Redo';
+    redoButton.addEventListener('click', () => {
+        commandManager.execute('edit.redo');
+    });
+
+    // Keep undo/redo availability in sync with the history
+    const updateHistoryButtons = (history) => {
+        undoButton.disabled = !history.canUndo();
+        redoButton.disabled = !history.canRedo();
+    };
+    editModeManager.history.onChangeObservable.add(updateHistoryButtons);
+    updateHistoryButtons(editModeManager.history);
+
+    // Create project save/open buttons; opening goes through a hidden file input
+    const saveButton = document.createElement('button');
+    saveButton.textContent = 'Save';
+    saveButton.addEventListener('click', () => {
+        commandManager.execute('project.save');
+    });
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    fileInput.style.display = 'none';
+    fileInput.addEventListener('change', async () => {
+        const [file] = fileInput.files;
+        fileInput.value = '';
+        if (file) {
+            // The camera of the opened project updates the view controls
+            await projectManager.open(file);
+        }
     });
 
+    const openButton = document.createElement('button');
+    openButton.textContent = 'Open';
+    openButton.addEventListener('click', () => {
+        fileInput.click();
+    });
+
+    // Create import controls: the unit scale of the file and a button opening a hidden file input
+    const unitScaleInput = document.createElement('input');
+    unitScaleInput.type = 'number';
+    unitScaleInput.min = '0';
+    unitScaleInput.step = 'any';
+    unitScaleInput.value = '1';
+    unitScaleInput.title = 'Import unit scale (scene units per file unit)';
+
+    const importInput = document.createElement('input');
+    importInput.type = 'file';
+    importInput.accept = '.dxf,.svg,.obj';
+    importInput.style.display = 'none';
+    importInput.addEventListener('change', () => {
+        const [file] = importInput.files;
+        importInput.value = '';
+        if (!file) return;
+        importManager.importFile(file, {
+            unitScale: parseFloat(unitScaleInput.value),
+            height: drawToolManager.defaultHeight
+        });
+    });
+
+    const importButton = document.createElement('button');
+    importButton.textContent = 'Import';
+    importButton.addEventListener('click', () => {
+        importInput.click();
+    });
+
+    // Create export controls: format, what to export and the export button
+    const exportFormatSelect = document.createElement('select');
+    [['obj', 'OBJ'], ['stl', 'STL'], ['stl-ascii', 'STL (ASCII)'], ['gltf', 'glTF']].forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        exportFormatSelect.appendChild(option);
+    });
+
+    const createCheckbox = (text) => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        label.append(checkbox, ` ${text}`);
+        return { label, checkbox };
+    };
+    const selectionOnlyOption = createCheckbox('Selection only');
+    const includeGroundOption = createCheckbox('Ground');
+
+    const exportButton = document.createElement('button');
+    exportButton.textContent = 'Export';
+    exportButton.addEventListener('click', () => {
+        exportManager.download(exportFormatSelect.value, {
+            selectionOnly: selectionOnlyOption.checkbox.checked,
+            includeGround: includeGroundOption.checkbox.checked
+        });
+    });
+
+    // Commands run from the buttons, shortcuts or palette, and camera changes, all update the controls showing their state
+    const updateControls = () => {
+        toggleButton.textContent = cameraManager.is2DMode ? '3D View' : '2D View';
+        orthoViewSelect.value = cameraManager.is2DMode ? cameraManager.orthoView : '';
+        editModeButton.textContent = editModeManager.isEditMode ? 'Exit Edit' : 'Edit Mode';
+        editModeButton.disabled = !commandManager.canExecute('edit.toggle');
+        drawButton.textContent = drawToolManager.isDrawMode ? 'Exit Draw' : 'Draw';
+        drawButton.disabled = !commandManager.canExecute('draw.toggle');
+        measureButton.textContent = annotationManager.isMeasureMode ? 'Exit Measure' : 'Measure';
+        measureButton.disabled = !commandManager.canExecute('measure.toggle');
+        dimensionsButton.textContent = annotationManager.isEnabled ? 'Hide Dimensions' : 'Show Dimensions';
+        selectionModeButton.textContent = selectionModeLabels[nextSelectionMode[editModeManager.selectionMode]];
+        transformButtons.forEach(({ button, mode }) => {
+            button.classList.toggle('active', transformManager.mode === mode);
+        });
+        bakeButton.textContent = transformManager.isBakeEnabled ? 'Bake: On' : 'Bake: Off';
+    };
+    commandManager.onCommandExecutedObservable.add(updateControls);
+    cameraManager.onViewChangedObservable.add(updateControls);
+    updateControls();
+
     // Add buttons to container
     controlsContainer.appendChild(toggleButton);
+    controlsContainer.appendChild(orthoViewSelect);
     controlsContainer.appendChild(resetButton);
+    controlsContainer.appendChild(zoomToFitButton);
+    controlsContainer.appendChild(frameSelectedButton);
+    controlsContainer.appendChild(viewNameInput);
+    controlsContainer.appendChild(saveViewButton);
+    controlsContainer.appendChild(viewSelect);
+    controlsContainer.appendChild(deleteViewButton);
     controlsContainer.appendChild(editModeButton);
+    controlsContainer.appendChild(selectionModeButton);
+    booleanButtons.forEach(button => controlsContainer.appendChild(button));
+    transformButtons.forEach(({ button }) => controlsContainer.appendChild(button));
+    controlsContainer.appendChild(bakeButton);
+    controlsContainer.appendChild(bakeNowButton);
+    controlsContainer.appendChild(drawButton);
+    controlsContainer.appendChild(heightInput);
+    controlsContainer.appendChild(measureButton);
+    controlsContainer.appendChild(snapButton);
+    controlsContainer.appendChild(gridStepInput);
+    controlsContainer.appendChild(dimensionsButton);
+    controlsContainer.appendChild(undoButton);
+    controlsContainer.appendChild(redoButton);
+    controlsContainer.appendChild(saveButton);
+    controlsContainer.appendChild(openButton);
+    controlsContainer.appendChild(fileInput);
+    controlsContainer.appendChild(unitScaleInput);
+    controlsContainer.appendChild(importButton);
+    controlsContainer.appendChild(importInput);
+    controlsContainer.appendChild(exportFormatSelect);
+    controlsContainer.appendChild(selectionOnlyOption.label);
+    controlsContainer.appendChild(includeGroundOption.label);
+    controlsContainer.appendChild(exportButton);
     document.body.appendChild(controlsContainer);
 }
+
+// Shows edit messages (such as refused edits) as a temporary notification
+function setupNotifications() {
+    const notification = document.createElement('div');
+    notification.className = 'notification';
+    document.body.appendChild(notification);
+
+    let hideTimeout = null;
+    editModeManager.onMessageObservable.add((message) => {
+        notification.textContent = message;
+        notification.classList.add('visible');
+
+        clearTimeout(hideTimeout);
+        hideTimeout = setTimeout(() => notification.classList.remove('visible'), 4000);
+    });
+}
+
+// Shows live values (such as the extrusion height) next to the pointer while dragging
+function setupReadout() {
+    const readout = document.createElement('div');
+    readout.className = 'readout';
+    document.body.appendChild(readout);
+
+    editModeManager.onReadoutObservable.add((value) => {
+        if (!value) {
+            readout.classList.remove('visible');
+            return;
+        }
+        readout.textContent = value.text;
+        readout.style.left = `${value.x + 16}px`;
+        readout.style.top = `${value.y + 16}px`;
+        readout.classList.add('visible');
+    });
+}
+
+// Draws the selection box dragged from empty space in the 2D edit view
+function setupSelectionBox() {
+    const selectionBox = document.createElement('div');
+    selectionBox.className = 'selection-box';
+    document.body.appendChild(selectionBox);
+
+    editModeManager.onSelectionBoxObservable.add((box) => {
+        if (!box) {
+            selectionBox.classList.remove('visible');
+            return;
+        }
+        selectionBox.style.left = `${box.x}px`;
+        selectionBox.style.top = `${box.y}px`;
+        selectionBox.style.width = `${box.width}px`;
+        selectionBox.style.height = `${box.height}px`;
+        selectionBox.classList.add('visible');
+    });
+}
+
+// Shows the selected mesh's element counts, color and, for prisms, its footprint and height, all but the counts editable
+function setupPropertiesPanel() {
+    const panel = document.createElement('div');
+    panel.className = 'properties-panel';
+    document.body.appendChild(panel);
+
+    const formatNumber = (value) => String(Math.round(value * 1000) / 1000);
+
+    const createRow = (labelText, ...inputs) => {
+        const row = document.createElement('label');
+        row.append(labelText, ...inputs);
+        return row;
+    };
+
+    const createNumberInput = (value, onChange) => {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = 'any';
+        input.value = formatNumber(value);
+        // A refused edit changes nothing, so the panel is redrawn to show the current values again
+        input.addEventListener('change', () => {
+            if (!onChange(parseFloat(input.value))) render(editModeManager.selectedMesh);
+        });
+        return input;
+    };
+
+    const render = (mesh) => {
+        panel.replaceChildren();
+        panel.classList.toggle('visible', Boolean(mesh?.brepData));
+        if (!mesh?.brepData) return;
+
+        const properties = editModeManager.getMeshProperties(mesh);
+
+        const title = document.createElement('h3');
+        title.textContent = mesh.name;
+        const counts = document.createElement('p');
+        counts.textContent = `Faces ${properties.faces} · Edges ${properties.edges} · Vertices ${properties.vertices}`;
+
+        const colorInput = document.createElement('input');
+        colorInput.type = 'color';
+        colorInput.value = properties.color.toHexString();
+        colorInput.addEventListener('change', () => {
+            editModeManager.setMeshColor(Color3.FromHexString(colorInput.value));
+        });
+        panel.append(title, counts, createRow('Color', colorInput));
+
+        if (properties.hasUnbakedTransform) {
+            const note = document.createElement('p');
+            note.textContent = 'Bake the transform to edit the footprint and height';
+            panel.appendChild(note);
+        }
+        if (!properties.loops) return;
+
+        panel.appendChild(createRow('Height', createNumberInput(properties.height,
+            height => editModeManager.setExtrusionHeight(height))));
+
+        properties.loops.forEach((loop, loopIndex) => {
+            const heading = document.createElement('h4');
+            heading.textContent = loopIndex === 0 ? 'Footprint' : `Hole ${loopIndex}`;
+            panel.appendChild(heading);
+
+            loop.forEach(({ vertex, position }, i) => {
+                const [x, , z] = position;
+                const xInput = createNumberInput(x, value => editModeManager.moveFootprintVertex(vertex, value, z));
+                const zInput = createNumberInput(z, value => editModeManager.moveFootprintVertex(vertex, x, value));
+                panel.appendChild(createRow(`${i + 1}`, 'x', xInput, 'z', zInput));
+            });
+        });
+    };
+
+    editModeManager.onSelectedMeshChangedObservable.add(render);
+}
+
+// Opens a searchable list of the commands that runs the chosen one; the shortcuts can be rebound from it
+function setupCommandPalette() {
+    const overlay = document.createElement('div');
+    overlay.className = 'command-palette';
+    const panel = document.createElement('div');
+    panel.className = 'command-palette-panel';
+    const searchInput = document.createElement('input');
+    searchInput.type = 'text';
+    searchInput.placeholder = 'Type a command';
+    const list = document.createElement('ul');
+    panel.append(searchInput, list);
+    overlay.appendChild(panel);
+    document.body.appendChild(overlay);
+
+    let matches = [];
+    let activeIndex = 0;
+    // The id of the command whose new shortcut is awaited, if any
+    let rebindingId = null;
+
+    const close = () => {
+        rebindingId = null;
+        overlay.classList.remove('visible');
+    };
+
+    const open = () => {
+        searchInput.value = '';
+        activeIndex = 0;
+        overlay.classList.add('visible');
+        render();
+        searchInput.focus();
+    };
+
+    const run = (command) => {
+        close();
+        commandManager.execute(command.id);
+    };
+
+    const render = () => {
+        matches = commandManager.search(searchInput.value);
+        activeIndex = Math.min(activeIndex, Math.max(matches.length - 1, 0));
+        list.replaceChildren(...matches.map((command, i) => {
+            const item = document.createElement('li');
+            item.classList.toggle('active', i === activeIndex);
+            item.classList.toggle('disabled', !command.isEnabled());
+            item.addEventListener('click', () => run(command));
+
+            const label = document.createElement('span');
+            label.textContent = command.label;
+
+            const shortcutButton = document.createElement('button');
+            shortcutButton.className = 'shortcut';
+            shortcutButton.title = 'Click, then press the new shortcut; Backspace removes it, Escape cancels';
+            shortcutButton.textContent = rebindingId === command.id
+                ? 'Press a key…'
+                : commandManager.getShortcuts(command.id).join(', ') || 'Set shortcut';
+            shortcutButton.addEventListener('click', (event) => {
+                event.stopPropagation();
+                rebindingId = command.id;
+                render();
+            });
+
+            item.append(label, shortcutButton);
+            return item;
+        }));
+    };
+
+    searchInput.addEventListener('input', () => {
+        activeIndex = 0;
+        render();
+    });
+    searchInput.addEventListener('keydown', (event) => {
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            activeIndex = (activeIndex + step + matches.length) % Math.max(matches.length, 1);
+            render();
+        } else if (event.key === 'Enter' && matches[activeIndex]) {
+            run(matches[activeIndex]);
+        } else if (event.key === 'Escape') {
+            close();
+        }
+    });
+    overlay.addEventListener('click', (event) => {
+        if (event.target === overlay) close();
+    });
+
+    // Records the next key press as the shortcut being rebound, before anything else handles it
+    window.addEventListener('keydown', (event) => {
+        if (!rebindingId) return;
+        event.preventDefault();
+        event.stopPropagation();
+
+        const shortcut = getEventShortcut(event);
+        if (!shortcut) return;
+
+        if (shortcut === 'Backspace' || shortcut === 'Delete') {
+            commandManager.setShortcuts(rebindingId, []);
+        } else if (shortcut !== 'Escape') {
+            commandManager.setShortcuts(rebindingId, [shortcut]);
+        }
+        rebindingId = null;
+        render();
+        searchInput.focus();
+    }, true);
+
+    commandManager.register({
+        id: 'palette.open',
+        label: 'Show command palette',
+        shortcuts: ['Ctrl+K'],
+        run: open
+    });
+}
+
+// Runs the command bound to each key press
+function setupKeyboardShortcuts() {
+    window.addEventListener('keydown', (event) => {
+        commandManager.handleKeyDown(event);
+    });
+}
 // Setup controls
 setupControls();
+setupNotifications();
+setupReadout();
+setupSelectionBox();
+setupPropertiesPanel();
+setupCommandPalette();
+setupKeyboardShortcuts();
 
 window.scene = scene;
 
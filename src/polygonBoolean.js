@@ -0,0 +1,256 @@
+import { footprintSignedArea, orientFootprint, removeDuplicatePoints } from "./polygonUtils";
+
+// Boolean operations on footprints with holes, given as { outer, holes } with [x, z] points.
+// Both operands are overlaid: their edges are split wherever they cross or touch, so
+// shared and overlapping edges become identical segments. Each segment is then kept if
+// the result lies on exactly one of its sides, and the kept segments are linked into loops.
+//
+// Internally loops use the usual mathematical orientation of the (x, z) plane: the
+// region lies to the left of its outer loops (negative footprintSignedArea).
+
+// Points closer than this are merged, which absorbs rounding in intersection points
+const MERGE_TOLERANCE = 1e-6;
+
+const OPERATIONS = {
+    union: (inA, inB) => inA || inB,
+    subtract: (inA, inB) => inA && !inB,
+    intersect: (inA, inB) => inA && inB
+};
+
+const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+
+const signedArea = (loop) => -footprintSignedArea(loop);
+
+// Region on the left: outer loops counter-clockwise, holes clockwise
+const orientLoops = ({ outer, holes = [] }) => [
+    orientFootprint(removeDuplicatePoints(outer)).reverse(),
+    ...holes.map(hole => orientFootprint(removeDuplicatePoints(hole)))
+];
+
+// Even-odd test against every loop of a polygon
+const isInside = (point, loops) => {
+    let inside = false;
+    loops.forEach(loop => {
+        loop.forEach((current, i) => {
+            const next = loop[(i + 1) % loop.length];
+            if ((current[1] > point[1]) !== (next[1] > point[1])) {
+                const x = current[0] + (point[1] - current[1]) * (next[0] - current[0]) / (next[1] - current[1]);
+                if (point[0] < x) inside = !inside;
+            }
+        });
+    });
+    return inside;
+};
+
+// Finds the point where two segments cross in their interiors, if they do
+const getCrossing = (a, b, c, d) => {
+    const r = [b[0] - a[0], b[1] - a[1]];
+    const s = [d[0] - c[0], d[1] - c[1]];
+    const denominator = r[0] * s[1] - r[1] * s[0];
+    if (Math.abs(denominator) < 1e-12) return null;
+
+    const t = ((c[0] - a[0]) * s[1] - (c[1] - a[1]) * s[0]) / denominator;
+    const u = ((c[0] - a[0]) * r[1] - (c[1] - a[1]) * r[0]) / denominator;
+    if (t <= 0 || t >= 1 || u <= 0 || u >= 1) return null;
+
+    return [a[0] + t * r[0], a[1] + t * r[1]];
+};
+
+// Position of a point along a segment (0..1), or null if it is not on the segment's interior
+const getParameterOnSegment = (point, a, b) => {
+    const direction = [b[0] - a[0], b[1] - a[1]];
+    const length = Math.hypot(direction[0], direction[1]);
+    if (length < MERGE_TOLERANCE) return null;
+
+    const along = ((point[0] - a[0]) * direction[0] + (point[1] - a[1]) * direction[1]) / length;
+    const distance = Math.abs(cross(a, b, point)) / length;
+    if (distance > MERGE_TOLERANCE || along <= MERGE_TOLERANCE || along >= length - MERGE_TOLERANCE) {
+        return null;
+    }
+    return along / length;
+};
+
+/**
+ * Computes the union, difference or intersection of two footprints.
+ * The result keeps collinear vertices out and can consist of several pieces, or none.
+ * @param {string} operation - "union", "subtract" (first minus second) or "intersect".
+ * @param {{outer: Array<Array<number>>, holes: Array<Array<Array<number>>>}} first - The first footprint.
+ * @param {{outer: Array<Array<number>>, holes: Array<Array<Array<number>>>}} second - The second footprint.
+ * @returns {Array<{outer: Array<Array<number>>, holes: Array<Array<Array<number>>>}>} The resulting
+ *     footprints, with counter-clockwise outer loops and clockwise holes like addCustomMesh expects.
+ */
+export const computeFootprintBoolean = (operation, first, second) => {
+    const includes = OPERATIONS[operation];
+    if (!includes) {
+        throw new Error(`Unknown boolean operation "${operation}"`);
+    }
+
+    const polygons = [orientLoops(first), orientLoops(second)];
+
+    // Shared point list, so coincident vertices of both operands become one point
+    const points = [];
+    const getPointId = (point) => {
+        const index = points.findIndex(p => Math.hypot(p[0] - point[0], p[1] - point[1]) < MERGE_TOLERANCE);
+        if (index !== -1) return index;
+        points.push(point);
+        return points.length - 1;
+    };
+
+    const edges = polygons.flatMap((loops, polygon) => loops.flatMap(loop => loop.map((point, i) => ({
+        polygon,
+        from: getPointId(point),
+        to: getPointId(loop[(i + 1) % loop.length])
+    }))));
+
+    // Add the crossings; touching and overlapping edges already share their end points
+    edges.forEach((edge, i) => {
+        edges.slice(i + 1).forEach(other => {
+            const crossing = getCrossing(points[edge.from], points[edge.to], points[other.from], points[other.to]);
+            if (crossing) getPointId(crossing);
+        });
+    });
+
+    // Split every edge at the points on it and merge identical pieces into segments
+    const segments = new Map();
+    edges.forEach(({ polygon, from, to }) => {
+        const splits = points
+            .map((point, id) => ({ id, t: getParameterOnSegment(point, points[from], points[to]) }))
+            .filter(({ t }) => t !== null)
+            .sort((a, b) => a.t - b.t)
+            .map(({ id }) => id);
+        const chain = [from, ...splits, to];
+
+        chain.slice(1).forEach((end, i) => {
+            const start = chain[i];
+            if (start === end) return;
+
+            const key = start < end ? `${start}-${end}` : `${end}-${start}`;
+            if (!segments.has(key)) {
+                segments.set(key, { start: Math.min(start, end), end: Math.max(start, end), directions: [0, 0] });
+            }
+            // +1 when the operand runs start → end (its region is on the left), -1 the other way
+            segments.get(key).directions[polygon] += start < end ? 1 : -1;
+        });
+    });
+
+    // Keep the segments with the result on exactly one side, oriented with the result on the left
+    const keptEdges = [];
+    segments.forEach(({ start, end, directions }) => {
+        const a = points[start];
+        const b = points[end];
+        const middle = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+
+        const [left, right] = [1, -1].map(side => includes(...directions.map((direction, polygon) =>
+            direction === 0 ? isInside(middle, polygons[polygon]) : Math.sign(direction) === side
+        )));
+
+        if (left && !right) keptEdges.push({ from: start, to: end });
+        if (right && !left) keptEdges.push({ from: end, to: start });
+    });
+
+    const loops = linkLoops(keptEdges, points)
+        .map(removeCollinearPoints)
+        .filter(loop => loop.length >= 3 && Math.abs(signedArea(loop)) > MERGE_TOLERANCE);
+
+    return assignHoles(loops);
+};
+
+// Links directed edges into closed loops. Where several loops meet at a point, the
+// tightest turn is taken, so regions touching at a corner stay separate loops.
+const linkLoops = (edges, points) => {
+    const outgoing = new Map();
+    edges.forEach(edge => {
+        if (!outgoing.has(edge.from)) outgoing.set(edge.from, []);
+        outgoing.get(edge.from).push(edge);
+    });
+
+    const angleOf = (from, to) => Math.atan2(points[to][1] - points[from][1], points[to][0] - points[from][0]);
+    const used = new Set();
+    const loops = [];
+
+    edges.forEach(startEdge => {
+        if (used.has(startEdge)) return;
+
+        const loop = [];
+        let edge = startEdge;
+        used.add(edge);
+
+        while (true) {
+            loop.push(points[edge.from]);
+
+            // Rotate clockwise from the way back until the first free edge
+            const backAngle = angleOf(edge.to, edge.from);
+            const candidates = (outgoing.get(edge.to) || []).filter(next => next === startEdge || !used.has(next));
+            if (candidates.length === 0) break;
+
+            const clockwiseTurn = (next) => {
+                const turn = backAngle - angleOf(next.from, next.to);
+                return turn <= 0 ? turn + 2 * Math.PI : turn;
+            };
+            const next = candidates.reduce((best, candidate) =>
+                clockwiseTurn(candidate) < clockwiseTurn(best) ? candidate : best);
+
+            if (next === startEdge) {
+                loops.push(loop);
+                break;
+            }
+            used.add(next);
+            edge = next;
+        }
+    });
+
+    return loops;
+};
+
+// Drops points where a loop runs straight on, as collinear points are left by splitting
+const removeCollinearPoints = (loop) => {
+    let result = loop;
+    let changed = true;
+
+    while (changed && result.length >= 3) {
+        changed = false;
+        const filtered = result.filter((point, i) => {
+            const previous = result[(i + result.length - 1) % result.length];
+            const next = result[(i + 1) % result.length];
+            return Math.abs(cross(previous, point, next)) > MERGE_TOLERANCE * Math.hypot(next[0] - previous[0], next[1] - previous[1]);
+        });
+        if (filtered.length !== result.length) {
+            result = filtered;
+            changed = true;
+        }
+    }
+
+    return result;
+};
+
+// Pairs every hole with the smallest outer loop around it and converts to footprint orientation
+const assignHoles = (loops) => {
+    const outers = loops.filter(loop => signedArea(loop) > 0)
+        .map(loop => ({ loop, area: signedArea(loop), holes: [] }));
+    const holes = loops.filter(loop => signedArea(loop) < 0);
+
+    holes.forEach(hole => {
+        // Hole points may touch the outer loop, so test the middle of the first edge nudged off the hole
+        // into the surrounding region
+        const [a, b] = hole;
+        const length = Math.hypot(b[0] - a[0], b[1] - a[1]);
+        const probe = [
+            (a[0] + b[0]) / 2 + (a[1] - b[1]) / length * 1e-4,
+            (a[1] + b[1]) / 2 + (b[0] - a[0]) / length * 1e-4
+        ];
+
+        const container = outers
+            .filter(outer => isInside(probe, [outer.loop]))
+            .sort((x, y) => x.area - y.area)[0];
+        if (container) {
+            container.holes.push(hole);
+        } else {
+            console.warn("Boolean result hole has no outer loop around it");
+        }
+    });
+
+    return outers.map(({ loop, holes }) => ({
+        outer: [...loop].reverse(),
+        holes: holes.map(hole => [...hole].reverse())
+    }));
+};
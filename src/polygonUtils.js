@@ -0,0 +1,183 @@
+// Helpers for 2D footprints given as arrays of [x, z] points.
+// A footprint is counter-clockwise when, seen from above, the right-hand rule
+// makes its normal point up (+Y). addCustomMesh expects this orientation.
+
+const EPSILON = 1e-9;
+
+/**
+ * Computes the signed area of a footprint.
+ * @param {Array<Array<number>>} points - The [x, z] points of the footprint.
+ * @returns {number} The area, positive for counter-clockwise footprints.
+ */
+export const footprintSignedArea = (points) => {
+    let area = 0;
+    points.forEach(([x, z], i) => {
+        const [nextX, nextZ] = points[(i + 1) % points.length];
+        area += z * nextX - nextZ * x;
+    });
+    return area / 2;
+};
+
+/**
+ * Computes the area-weighted centroid of a footprint with holes.
+ * @param {Array<Array<Array<number>>>} loops - The [x, z] loops: a counter-clockwise outer loop
+ *     and clockwise holes, as on a prism's top face.
+ * @returns {Array<number>} The [x, z] centroid, or the mean point when the footprint has no area.
+ */
+export const footprintCentroid = (loops) => {
+    let area = 0;
+    let x = 0;
+    let z = 0;
+    loops.forEach(points => {
+        points.forEach(([currentX, currentZ], i) => {
+            const [nextX, nextZ] = points[(i + 1) % points.length];
+            const cross = currentZ * nextX - nextZ * currentX;
+            area += cross / 2;
+            x += (currentX + nextX) * cross;
+            z += (currentZ + nextZ) * cross;
+        });
+    });
+
+    if (Math.abs(area) < EPSILON) {
+        const points = loops.flat();
+        return [0, 1].map(axis => points.reduce((sum, point) => sum + point[axis], 0) / points.length);
+    }
+    return [x / (6 * area), z / (6 * area)];
+};
+
+/**
+ * Returns the footprint in counter-clockwise order, reversing clockwise input.
+ * @param {Array<Array<number>>} points - The [x, z] points of the footprint.
+ * @returns {Array<Array<number>>} A counter-clockwise copy of the footprint.
+ */
+export const orientFootprint = (points) => {
+    const copy = points.map(point => [...point]);
+    return footprintSignedArea(copy) < 0 ? copy.reverse() : copy;
+};
+
+/**
+ * Removes consecutive points that coincide, including the last point if it repeats the first.
+ * @param {Array<Array<number>>} points - The [x, z] points of the footprint.
+ * @param {number} [tolerance=1e-6] - Distance under which points coincide.
+ * @returns {Array<Array<number>>} The footprint without repeated points.
+ */
+export const removeDuplicatePoints = (points, tolerance = 1e-6) => {
+    const result = [];
+    points.forEach(point => {
+        const previous = result[result.length - 1];
+        if (!previous || Math.hypot(point[0] - previous[0], point[1] - previous[1]) > tolerance) {
+            result.push(point);
+        }
+    });
+
+    while (result.length > 1) {
+        const first = result[0];
+        const last = result[result.length - 1];
+        if (Math.hypot(first[0] - last[0], first[1] - last[1]) > tolerance) break;
+        result.pop();
+    }
+
+    return result;
+};
+
+const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+
+const isOnSegment = (point, start, end) =>
+    Math.min(start[0], end[0]) - EPSILON <= point[0] && point[0] <= Math.max(start[0], end[0]) + EPSILON &&
+    Math.min(start[1], end[1]) - EPSILON <= point[1] && point[1] <= Math.max(start[1], end[1]) + EPSILON;
+
+/**
+ * Checks whether two segments intersect or touch.
+ * @param {Array<number>} a - Start of the first segment.
+ * @param {Array<number>} b - End of the first segment.
+ * @param {Array<number>} c - Start of the second segment.
+ * @param {Array<number>} d - End of the second segment.
+ * @returns {boolean} True if the segments share at least one point.
+ */
+export const segmentsIntersect = (a, b, c, d) => {
+    const d1 = cross(c, d, a);
+    const d2 = cross(c, d, b);
+    const d3 = cross(a, b, c);
+    const d4 = cross(a, b, d);
+
+    if (((d1 > EPSILON && d2 < -EPSILON) || (d1 < -EPSILON && d2 > EPSILON)) &&
+        ((d3 > EPSILON && d4 < -EPSILON) || (d3 < -EPSILON && d4 > EPSILON))) {
+        return true;
+    }
+
+    return (Math.abs(d1) <= EPSILON && isOnSegment(a, c, d)) ||
+        (Math.abs(d2) <= EPSILON && isOnSegment(b, c, d)) ||
+        (Math.abs(d3) <= EPSILON && isOnSegment(c, a, b)) ||
+        (Math.abs(d4) <= EPSILON && isOnSegment(d, a, b));
+};
+
+/**
+ * Checks whether any two edges of a closed footprint cross or overlap.
+ * Adjacent edges may only share their common point.
+ * @param {Array<Array<number>>} points - The [x, z] points of the footprint.
+ * @returns {boolean} True if the footprint intersects itself.
+ */
+export const isSelfIntersecting = (points) => {
+    const count = points.length;
+
+    for (let i = 0; i < count; i++) {
+        const a = points[i];
+        const b = points[(i + 1) % count];
+
+        for (let j = i + 1; j < count; j++) {
+            const c = points[j];
+            const d = points[(j + 1) % count];
+            const isAdjacent = j === i + 1 || (i === 0 && j === count - 1);
+
+            if (isAdjacent) {
+                // Adjacent edges must not fold back onto each other
+                const [shared, start, end] = j === i + 1 ? [b, a, d] : [a, b, c];
+                const folds = Math.abs(cross(shared, start, end)) <= EPSILON &&
+                    (start[0] - shared[0]) * (end[0] - shared[0]) + (start[1] - shared[1]) * (end[1] - shared[1]) > 0;
+                if (folds) return true;
+            } else if (segmentsIntersect(a, b, c, d)) {
+                return true;
+            }
+        }
+    }
+
+    return false;
+};
+
+/**
+ * Checks whether the loops of a region with holes intersect themselves or cross each other.
+ * @param {Array<Array<Array<number>>>} loops - The outer loop followed by its holes, as 2D points.
+ * @returns {boolean} True if any loop intersects itself or touches another loop.
+ */
+export const doLoopsIntersect = (loops) => {
+    if (loops.some(isSelfIntersecting)) return true;
+
+    const edges = loops.map(loop => loop.map((point, i) => [point, loop[(i + 1) % loop.length]]));
+    return edges.some((loopEdges, i) => edges.slice(i + 1).some(otherEdges =>
+        loopEdges.some(([a, b]) => otherEdges.some(([c, d]) => segmentsIntersect(a, b, c, d)))
+    ));
+};
+
+/**
+ * Checks whether a footprint can be extruded into a valid prism.
+ * @param {Array<Array<number>>} points - The [x, z] points of the footprint.
+ * @returns {string|null} Why the footprint is invalid, or null if it is valid.
+ */
+export const validateFootprint = (points) => {
+    const distinctPoints = removeDuplicatePoints(points);
+
+    if (distinctPoints.length < 3) {
+        return "a footprint needs at least 3 distinct points";
+    }
+    if (distinctPoints.length !== points.length) {
+        return "the footprint has repeated points";
+    }
+    if (Math.abs(footprintSignedArea(points)) < 1e-6) {
+        return "the footprint has no area";
+    }
+    if (isSelfIntersecting(points)) {
+        return "the footprint intersects itself";
+    }
+
+    return null;
+};
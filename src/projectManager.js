@@ -0,0 +1,227 @@
+import { Color3, Vector3 } from "@babylonjs/core";
+import { addBrepMesh } from "./create";
+import { createBrep, getInnerLoopCells } from "./brepUtils";
+import { validateBrep } from "./brepValidator";
+
+// Identifies project documents; bump the version when the document layout changes
+export const PROJECT_FORMAT = "brep-scene";
+export const PROJECT_VERSION = 1;
+
+const AUTOSAVE_KEY = "brep-scene-autosave";
+
+/**
+ * Saves and loads the scene as a versioned JSON document holding every BREP mesh
+ * (positions, face loops, material color and transform), the camera state and the saved camera views.
+ */
+export class ProjectManager {
+    constructor(scene, cameraManager, editModeManager) {
+        this.scene = scene;
+        this.cameraManager = cameraManager;
+        this.editModeManager = editModeManager;
+        this.fileName = "project.json";
+        // Delay (in milliseconds) between the last edit and the autosave it triggers
+        this.autosaveDelay = 1000;
+        this.autosaveTimeout = null;
+    }
+
+    /**
+     * Builds the project document for the current scene.
+     * @returns {Object} The JSON-compatible project document.
+     */
+    serialize() {
+        const meshes = this.scene.meshes
+            .filter(mesh => mesh.brepData && !mesh.isDisposed())
+            .map(mesh => {
+                const brep = mesh.brepData;
+                return {
+                    name: mesh.name,
+                    positions: brep.getPositions().map(position => Array.from(position)),
+                    cells: brep.getCells().map(cell => Array.from(cell)),
+                    innerLoops: getInnerLoopCells(brep),
+                    color: (mesh.material?.diffuseColor || new Color3(0.8, 0.8, 0.8)).asArray(),
+                    position: mesh.position.asArray(),
+                    rotation: mesh.rotation.asArray(),
+                    scaling: mesh.scaling.asArray(),
+                    uvOptions: mesh.uvOptions || {}
+                };
+            });
+
+        return {
+            format: PROJECT_FORMAT,
+            version: PROJECT_VERSION,
+            camera: this.cameraManager.getState(),
+            views: this.cameraManager.getSavedViews(),
+            meshes
+        };
+    }
+
+    /**
+     * Replaces the BREP meshes, the camera state and the saved views with those of a project document.
+     * The undo history is cleared, as it refers to the replaced meshes. Nothing is replaced if any mesh
+     * of the document cannot be rebuilt.
+     * @param {Object} document - A document produced by serialize.
+     * @throws Will throw an error if the document is not a supported project or holds an invalid mesh.
+     */
+    load(document) {
+        if (document?.format !== PROJECT_FORMAT) {
+            throw new Error("The file is not a project document");
+        }
+        if (!Number.isInteger(document.version) || document.version > PROJECT_VERSION) {
+            throw new Error(`Project version ${document.version} is not supported`);
+        }
+        if (!Array.isArray(document.meshes)) {
+            throw new Error("The project has no mesh list");
+        }
+
+        // Rebuild every mesh before touching the scene, so a broken entry leaves the current project intact
+        const meshes = [];
+        try {
+            document.meshes.forEach((entry, i) => meshes.push(this.rebuildMesh(entry, i)));
+        } catch (error) {
+            meshes.forEach(mesh => mesh.dispose());
+            throw error;
+        }
+
+        this.editModeManager.clearSelection();
+        this.scene.meshes
+            .filter(mesh => mesh.brepData && !meshes.includes(mesh))
+            .forEach(mesh => mesh.dispose());
+
+        if (this.editModeManager.isEditMode) {
+            meshes.forEach(mesh => this.editModeManager.registerMeshInteraction(mesh));
+        }
+
+        if (document.camera) {
+            this.cameraManager.setState(document.camera);
+        }
+        // Projects saved before named views existed have none
+        this.cameraManager.setSavedViews(Array.isArray(document.views) ? document.views : []);
+        this.editModeManager.history.clear();
+    }
+
+    /**
+     * Builds the mesh of one entry of a project document.
+     * @param {Object} entry - A mesh entry of the document.
+     * @param {number} index - Position of the entry, for error messages.
+     * @returns {Mesh} The mesh, with its color and transform applied.
+     * @throws Will throw an error if the entry is malformed or does not describe a valid solid.
+     */
+    rebuildMesh(entry, index) {
+        const isVector = (value) => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+        const isIndexArray = (value) => Array.isArray(value) &&
+            value.every(i => Number.isInteger(i) && i >= 0 && i < entry.positions.length);
+
+        if (!Array.isArray(entry?.positions) || !entry.positions.every(isVector)) {
+            throw new Error(`Mesh ${index} has invalid positions`);
+        }
+        if (!Array.isArray(entry.cells) || !entry.cells.every(isIndexArray)) {
+            throw new Error(`Mesh ${index} has invalid faces`);
+        }
+        if (entry.innerLoops !== undefined && !(Array.isArray(entry.innerLoops) &&
+            entry.innerLoops.every(loop => Array.isArray(loop) && Number.isInteger(loop[0]) && isIndexArray(loop[1])))) {
+            throw new Error(`Mesh ${index} has invalid holes`);
+        }
+        if (!isVector(entry.color)) {
+            throw new Error(`Mesh ${index} has an invalid color`);
+        }
+        ["position", "rotation", "scaling"].forEach(key => {
+            if (!isVector(entry[key])) {
+                throw new Error(`Mesh ${index} has an invalid ${key}`);
+            }
+        });
+
+        // Validate the solid before building its mesh, so nothing broken reaches the scene
+        let validation;
+        try {
+            validation = validateBrep(createBrep(entry.positions, entry.cells, entry.innerLoops || []));
+        } catch (error) {
+            console.error(`Error rebuilding mesh ${index}:`, error);
+            throw new Error(`Could not rebuild mesh ${index}`);
+        }
+        if (!validation.valid) {
+            throw new Error(`Mesh ${index} is not a valid solid (${validation.failures[0].message})`);
+        }
+
+        const mesh = addBrepMesh(this.scene, entry.positions, entry.cells, entry.innerLoops || [], entry.uvOptions || {});
+        if (!mesh) {
+            throw new Error(`Could not rebuild mesh ${index}`);
+        }
+
+        mesh.name = entry.name || mesh.name;
+        mesh.material.diffuseColor = Color3.FromArray(entry.color);
+        mesh.position = Vector3.FromArray(entry.position);
+        mesh.rotation = Vector3.FromArray(entry.rotation);
+        mesh.scaling = Vector3.FromArray(entry.scaling);
+        return mesh;
+    }
+
+    // Downloads the project document as a JSON file
+    save() {
+        const json = JSON.stringify(this.serialize(), null, 2);
+        const url = URL.createObjectURL(new Blob([json], { type: "application/json" }));
+
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = this.fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Loads a project from an uploaded file, reporting failures to the user.
+     * @param {File} file - The JSON file to load.
+     * @returns {Promise<boolean>} True if the project was loaded.
+     */
+    async open(file) {
+        try {
+            this.load(JSON.parse(await file.text()));
+            this.fileName = file.name;
+            this.autosave();
+            return true;
+        } catch (error) {
+            console.error("Error opening project:", error);
+            this.editModeManager.notify(`Could not open ${file.name}: ${error.message}`);
+            return false;
+        }
+    }
+
+    // Writes the project document to localStorage
+    autosave() {
+        clearTimeout(this.autosaveTimeout);
+        this.autosaveTimeout = null;
+
+        try {
+            localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(this.serialize()));
+        } catch (error) {
+            console.error("Error autosaving project:", error);
+        }
+    }
+
+    /**
+     * Loads the project last written by autosave, if there is one.
+     * @returns {boolean} True if an autosaved project was loaded.
+     */
+    restoreAutosave() {
+        const json = localStorage.getItem(AUTOSAVE_KEY);
+        if (!json) return false;
+
+        try {
+            this.load(JSON.parse(json));
+            return true;
+        } catch (error) {
+            console.error("Error restoring autosaved project:", error);
+            return false;
+        }
+    }
+
+    // Autosaves shortly after every change to the history or the saved views, and when the page is closed
+    startAutosave() {
+        const scheduleAutosave = () => {
+            clearTimeout(this.autosaveTimeout);
+            this.autosaveTimeout = setTimeout(() => this.autosave(), this.autosaveDelay);
+        };
+        this.editModeManager.history.onChangeObservable.add(scheduleAutosave);
+        this.cameraManager.onSavedViewsChangedObservable.add(scheduleAutosave);
+        window.addEventListener("beforeunload", () => this.autosave());
+    }
+}
@@ -0,0 +1,299 @@
+import { Color3, MeshBuilder, StandardMaterial, Vector3 } from "@babylonjs/core";
+import { KeyboardEventTypes } from "@babylonjs/core/Events/keyboardEvents";
+import { PointerEventTypes } from "@babylonjs/core/Events/pointerEvents";
+
+// Snap targets in order of precedence, with the color of their indicator
+const SNAP_COLORS = {
+    vertex: new Color3(1, 0, 0),
+    midpoint: new Color3(0, 0.7, 1),
+    edge: new Color3(1, 0.6, 0),
+    perpendicular: new Color3(0.8, 0, 0.8),
+    parallel: new Color3(0.8, 0, 0.8),
+    grid: new Color3(0.5, 0.5, 0.5)
+};
+
+// Event property telling whether each supported modifier key is held
+const MODIFIER_PROPERTIES = {
+    Alt: "altKey",
+    Control: "ctrlKey",
+    Meta: "metaKey",
+    Shift: "shiftKey"
+};
+
+// Lifts the indicator slightly above the snapped point to avoid z-fighting with faces and the grid
+const INDICATOR_OFFSET = new Vector3(0, 0.02, 0);
+
+/**
+ * Snaps points on horizontal planes to the grid, to BREP vertices, edge midpoints and edges
+ * of all meshes, and to alignment guides given by the tool asking. Tools query it with
+ * snapPointer (or snap for a known point); holding the modifier key turns snapping off.
+ */
+export class SnapManager {
+    constructor(scene, cameraManager) {
+        this.scene = scene;
+        this.cameraManager = cameraManager;
+        this.isEnabled = true;
+        this.isGridEnabled = true;
+        this.gridStep = 1;
+        // Pointer distance (in pixels) within which vertices, edges and guides attract the pointer
+        this.tolerance = 10;
+        // Holding this key turns snapping off; "Alt", "Control", "Meta" or "Shift"
+        this.modifierKey = "Alt";
+        this.isModifierDown = false;
+        this.indicatorMeshes = [];
+
+        this.indicatorMaterials = {};
+        Object.entries(SNAP_COLORS).forEach(([type, color]) => {
+            const material = new StandardMaterial(`snapIndicatorMaterial_${type}`, scene);
+            material.diffuseColor = color;
+            material.emissiveColor = color;
+            material.disableLighting = true;
+            this.indicatorMaterials[type] = material;
+        });
+
+        this.setupModifierTracking();
+    }
+
+    // Follows the modifier key through pointer and keyboard events
+    setupModifierTracking() {
+        this.scene.onPointerObservable.add((pointerInfo) => {
+            if (pointerInfo.type === PointerEventTypes.POINTERMOVE || pointerInfo.type === PointerEventTypes.POINTERDOWN) {
+                this.isModifierDown = Boolean(pointerInfo.event[MODIFIER_PROPERTIES[this.modifierKey]]);
+            }
+        });
+
+        this.scene.onKeyboardObservable.add((keyboardInfo) => {
+            if (keyboardInfo.event.key !== this.modifierKey) return;
+            this.isModifierDown = keyboardInfo.type === KeyboardEventTypes.KEYDOWN;
+            if (this.isModifierDown) {
+                this.hideIndicator();
+            }
+        });
+    }
+
+    /**
+     * Sets the grid step that points and heights snap to.
+     * @param {number} step - The step, must be positive.
+     * @returns {boolean} True if the step was accepted.
+     */
+    setGridStep(step) {
+        if (!Number.isFinite(step) || step <= 0) return false;
+        this.gridStep = step;
+        return true;
+    }
+
+    // Whether snapping applies right now, i.e. it is on and the modifier key is not held
+    isActive() {
+        return this.isEnabled && !this.isModifierDown;
+    }
+
+    /**
+     * Rounds a length to the grid step, e.g. an extrusion height.
+     * @param {number} value - The length to round.
+     * @returns {number} The rounded length, or the length itself while snapping is off.
+     */
+    snapLength(value) {
+        const step = this.getLengthStep();
+        return step > 0 ? Math.round(value / step) * step : value;
+    }
+
+    /**
+     * Returns the step lengths snap to right now.
+     * @returns {number} The grid step, or 0 while snapping or the grid is off.
+     */
+    getLengthStep() {
+        return this.isActive() && this.isGridEnabled ? this.gridStep : 0;
+    }
+
+    /**
+     * Lists the BREP vertices and edges of all meshes in world space, projected on the ground plane.
+     * @param {Object} [exclude] - Geometry left out, e.g. the vertices being dragged.
+     * @param {Mesh} [exclude.mesh] - The mesh the excluded vertices belong to.
+     * @param {Set<number>} [exclude.vertexIndices] - The excluded vertex indices; edges touching them are left out too.
+     * @returns {{points: Array<Array<number>>, segments: Array<Array<Array<number>>>}} [x, z] points and segments.
+     */
+    collectTargets(exclude = {}) {
+        const points = [];
+        const segments = [];
+
+        this.scene.meshes.filter(mesh => mesh.brepData && !mesh.isDisposed()).forEach(mesh => {
+            const worldMatrix = mesh.computeWorldMatrix(true);
+            const positions = mesh.brepData.getPositions().map(position => {
+                const world = Vector3.TransformCoordinates(Vector3.FromArray(position), worldMatrix);
+                return [world.x, world.z];
+            });
+            const isExcluded = (index) => mesh === exclude.mesh && exclude.vertexIndices?.has(index);
+
+            positions.forEach((position, index) => {
+                if (!isExcluded(index)) points.push(position);
+            });
+
+            mesh.brepData.getEdges().forEach(edge => {
+                const halfEdge = edge.getHalfEdge();
+                const start = halfEdge.getVertex().getIndex();
+                const end = halfEdge.getFlipHalfEdge().getVertex().getIndex();
+                if (isExcluded(start) || isExcluded(end)) return;
+
+                // Vertical edges are points in plan
+                const [a, b] = [positions[start], positions[end]];
+                if (Math.hypot(b[0] - a[0], b[1] - a[1]) > 1e-9) {
+                    segments.push([a, b]);
+                }
+            });
+        });
+
+        return { points, segments };
+    }
+
+    /**
+     * Snaps a point on a horizontal plane. Vertices win over edge midpoints, which win over
+     * points on edges, then alignment guides and finally the grid.
+     * @param {Vector3} point - The raw point, e.g. under the pointer.
+     * @param {Object} [options]
+     * @param {Array<{origin: Array<number>, direction: Array<number>}>} [options.guides=[]] - [x, z] lines
+     *     the point may align to, parallel to their direction or perpendicular to it, through their origin.
+     * @param {Object} [options.exclude] - Geometry that must not attract the point, see collectTargets.
+     * @returns {{point: Vector3, type: string, guide: Object|undefined}} The snapped point (at the height of the
+     *     raw point), what it snapped to ("vertex", "midpoint", "edge", "perpendicular", "parallel", "grid"
+     *     or "none") and the guide line { origin, direction } for alignments.
+     */
+    snap(point, { guides = [], exclude } = {}) {
+        if (!this.isActive()) {
+            return { point: point.clone(), type: "none" };
+        }
+
+        const tolerance = this.tolerance * this.cameraManager.getWorldUnitsPerPixel();
+        const target = [point.x, point.z];
+        const distanceTo = ([x, z]) => Math.hypot(x - target[0], z - target[1]);
+        const toResult = ([x, z], type, guide) => ({ point: new Vector3(x, point.y, z), type, guide });
+
+        // Nearest candidate within the tolerance, or null
+        const nearest = (candidates) => candidates.reduce((best, candidate) => {
+            const distance = distanceTo(candidate);
+            return distance < tolerance && (!best || distance < best.distance) ? { candidate, distance } : best;
+        }, null)?.candidate || null;
+
+        const { points, segments } = this.collectTargets(exclude);
+
+        const vertex = nearest(points);
+        if (vertex) return toResult(vertex, "vertex");
+
+        const midpoint = nearest(segments.map(([a, b]) => [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2]));
+        if (midpoint) return toResult(midpoint, "midpoint");
+
+        const onEdge = nearest(segments.map(([a, b]) => projectOnLine(target, a, [b[0] - a[0], b[1] - a[1]], true)));
+        if (onEdge) return toResult(onEdge, "edge");
+
+        const alignments = guides.flatMap(({ origin, direction }) => [
+            { type: "parallel", guide: { origin, direction } },
+            { type: "perpendicular", guide: { origin, direction: [-direction[1], direction[0]] } }
+        ]).map(alignment => ({
+            ...alignment,
+            point: projectOnLine(target, alignment.guide.origin, alignment.guide.direction, false)
+        })).filter(({ point: aligned }) => aligned && distanceTo(aligned) < tolerance);
+
+        if (alignments.length > 0) {
+            const [closest] = alignments.sort((a, b) => distanceTo(a.point) - distanceTo(b.point));
+            // Where two guides cross, snap to their intersection
+            const crossing = alignments.slice(1)
+                .map(other => intersectLines(closest.guide, other.guide))
+                .find(intersection => intersection && distanceTo(intersection) < tolerance);
+            return toResult(crossing || closest.point, closest.type, closest.guide);
+        }
+
+        if (this.isGridEnabled) {
+            return toResult(target.map(value => Math.round(value / this.gridStep) * this.gridStep), "grid");
+        }
+        return { point: point.clone(), type: "none" };
+    }
+
+    /**
+     * Snaps the point under the pointer on a horizontal plane and shows what it snapped to.
+     * @param {number} height - The Y coordinate of the plane.
+     * @param {Object} [options] - Guides and exclusions, see snap.
+     * @returns {{point: Vector3, type: string, guide: Object|undefined}|null} The snap result,
+     *     or null if the pointer ray misses the plane.
+     */
+    snapPointer(height, options = {}) {
+        const point = this.cameraManager.getPointerOnPlane(height);
+        if (!point) {
+            this.hideIndicator();
+            return null;
+        }
+
+        const result = this.snap(point, options);
+        this.showIndicator(result);
+        return result;
+    }
+
+    /**
+     * Marks a snapped point, and draws the guide line of alignment snaps.
+     * @param {{point: Vector3, type: string, guide: Object|undefined}} result - A snap result.
+     */
+    showIndicator(result) {
+        this.hideIndicator();
+        if (result.type === "none") return;
+
+        const unitsPerPixel = this.cameraManager.getWorldUnitsPerPixel();
+        const marker = MeshBuilder.CreateDisc("snapIndicator", { radius: 4 * unitsPerPixel }, this.scene);
+        marker.rotation.x = Math.PI / 2;
+        marker.position = result.point.add(INDICATOR_OFFSET);
+        marker.material = this.indicatorMaterials[result.type];
+        this.indicatorMeshes.push(marker);
+
+        if (result.guide) {
+            // Long enough to cross the view
+            const { origin, direction } = result.guide;
+            const length = Math.hypot(direction[0], direction[1]);
+            const reach = 2000 * unitsPerPixel / length;
+            const guideLine = MeshBuilder.CreateLines("snapGuide", {
+                points: [-reach, reach].map(scale => new Vector3(
+                    origin[0] + direction[0] * scale, result.point.y, origin[1] + direction[1] * scale
+                ).add(INDICATOR_OFFSET))
+            }, this.scene);
+            guideLine.color = SNAP_COLORS[result.type];
+            guideLine.alpha = 0.6;
+            this.indicatorMeshes.push(guideLine);
+        }
+
+        this.indicatorMeshes.forEach(mesh => {
+            mesh.isPickable = false;
+            mesh.renderingGroupId = 1;
+        });
+    }
+
+    hideIndicator() {
+        this.indicatorMeshes.forEach(mesh => mesh.dispose());
+        this.indicatorMeshes = [];
+    }
+}
+
+/**
+ * Projects a point onto a line or segment.
+ * @param {Array<number>} point - The [x, z] point.
+ * @param {Array<number>} origin - A point of the line, or the start of the segment.
+ * @param {Array<number>} direction - The line direction, or the segment from its start to its end.
+ * @param {boolean} isSegment - Whether to clamp the projection to the segment.
+ * @returns {Array<number>|null} The projected point, or null for a zero direction.
+ */
+const projectOnLine = (point, origin, direction, isSegment) => {
+    const lengthSquared = direction[0] ** 2 + direction[1] ** 2;
+    if (lengthSquared < 1e-18) return null;
+
+    let t = ((point[0] - origin[0]) * direction[0] + (point[1] - origin[1]) * direction[1]) / lengthSquared;
+    if (isSegment) {
+        t = Math.min(1, Math.max(0, t));
+    }
+    return [origin[0] + t * direction[0], origin[1] + t * direction[1]];
+};
+
+// Intersects two lines given as { origin, direction }, or returns null for parallel lines
+const intersectLines = (first, second) => {
+    const [a, r] = [first.origin, first.direction];
+    const [b, s] = [second.origin, second.direction];
+    const denominator = r[0] * s[1] - r[1] * s[0];
+    if (Math.abs(denominator) < 1e-12) return null;
+
+    const t = ((b[0] - a[0]) * s[1] - (b[1] - a[1]) * s[0]) / denominator;
+    return [a[0] + t * r[0], a[1] + t * r[1]];
+};
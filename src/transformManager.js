@@ -0,0 +1,137 @@
+import { GizmoManager } from "@babylonjs/core/Gizmos/gizmoManager";
+
+// Label of the edit recorded for each gizmo mode
+const MODE_LABELS = {
+    move: "Move",
+    rotate: "Rotate",
+    scale: "Scale"
+};
+
+// Rotation increment while snapping is active
+const ROTATION_SNAP = Math.PI / 12;
+
+/**
+ * Shows a move, rotate or scale gizmo on the selected mesh in edit mode. Each gizmo drag is
+ * recorded as one edit and, by default, baked into the BREP positions so the mesh keeps an
+ * identity transform.
+ */
+export class TransformManager {
+    constructor(scene, editModeManager, snapManager) {
+        this.scene = scene;
+        this.editModeManager = editModeManager;
+        this.snapManager = snapManager;
+        // The active gizmo: "move", "rotate", "scale" or null for none
+        this.mode = null;
+        // Whether each gizmo drag is baked into the BREP positions
+        this.isBakeEnabled = true;
+        // The mesh and its state when the current gizmo drag started
+        this.transformStart = null;
+
+        this.gizmoManager = new GizmoManager(scene);
+        // Gizmos follow the edit mode selection rather than picking meshes themselves
+        this.gizmoManager.usePointerToAttachGizmos = false;
+        this.observedGizmos = new Set();
+
+        this.editModeManager.onSelectedMeshChangedObservable.add(() => this.attachToSelection());
+    }
+
+    /**
+     * Shows the gizmo of a mode on the selected mesh, or hides the gizmo if that mode is already active.
+     * @param {string} mode - "move", "rotate" or "scale".
+     * @returns {string|null} The active mode afterwards.
+     */
+    toggleMode(mode) {
+        this.setMode(this.mode === mode ? null : mode);
+        return this.mode;
+    }
+
+    /**
+     * Shows the gizmo of a mode on the selected mesh.
+     * @param {string|null} mode - "move", "rotate", "scale" or null to hide the gizmo.
+     */
+    setMode(mode) {
+        this.mode = mode;
+        this.gizmoManager.positionGizmoEnabled = mode === "move";
+        this.gizmoManager.rotationGizmoEnabled = mode === "rotate";
+        this.gizmoManager.scaleGizmoEnabled = mode === "scale";
+
+        this.observeGizmos();
+        this.attachToSelection();
+    }
+
+    /**
+     * Turns baking of gizmo drags into the BREP positions on or off.
+     * @returns {boolean} True if gizmo drags are now baked.
+     */
+    toggleBake() {
+        this.isBakeEnabled = !this.isBakeEnabled;
+        return this.isBakeEnabled;
+    }
+
+    /**
+     * Adds the gizmo commands to the command registry.
+     * @param {CommandManager} commandManager - The registry the shortcuts and command palette run.
+     */
+    registerCommands(commandManager) {
+        Object.entries(MODE_LABELS).forEach(([mode, label]) => {
+            commandManager.register({
+                id: `transform.${mode}`,
+                label: `${label} gizmo`,
+                run: () => this.toggleMode(mode)
+            });
+        });
+        commandManager.register({
+            id: "transform.toggleBake",
+            label: "Toggle baking gizmo drags",
+            run: () => this.toggleBake()
+        });
+    }
+
+    // Gizmos are created when first enabled, so their drags are observed as they appear
+    observeGizmos() {
+        const { positionGizmo, rotationGizmo, scaleGizmo } = this.gizmoManager.gizmos;
+        [positionGizmo, rotationGizmo, scaleGizmo].forEach(gizmo => {
+            if (!gizmo || this.observedGizmos.has(gizmo)) return;
+            this.observedGizmos.add(gizmo);
+
+            gizmo.onDragStartObservable.add(() => this.startTransform());
+            gizmo.onDragEndObservable.add(() => this.endTransform());
+        });
+    }
+
+    // Puts the gizmo on the selected mesh, or removes it when nothing is selected
+    attachToSelection() {
+        // The selected mesh is rebuilt when a drag is committed, so wait until it is done
+        if (this.transformStart) return;
+
+        const mesh = this.editModeManager.isEditMode ? this.editModeManager.selectedMesh : null;
+        this.gizmoManager.attachToMesh(this.mode ? mesh : null);
+    }
+
+    // Captures the state the gizmo drag starts from, and applies the snapping steps to it
+    startTransform() {
+        const mesh = this.editModeManager.selectedMesh;
+        if (!mesh) return;
+
+        this.transformStart = { mesh, before: this.editModeManager.captureMeshState(mesh) };
+
+        const step = this.snapManager.getLengthStep();
+        const { positionGizmo, rotationGizmo } = this.gizmoManager.gizmos;
+        if (positionGizmo) {
+            positionGizmo.snapDistance = step;
+        }
+        if (rotationGizmo) {
+            rotationGizmo.snapDistance = step > 0 ? ROTATION_SNAP : 0;
+        }
+    }
+
+    // Records the finished gizmo drag as one edit
+    endTransform() {
+        const start = this.transformStart;
+        this.transformStart = null;
+        if (!start) return;
+
+        this.editModeManager.commitTransform(MODE_LABELS[this.mode], start.mesh, start.before, this.isBakeEnabled);
+        this.attachToSelection();
+    }
+}
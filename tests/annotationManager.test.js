@@ -0,0 +1,105 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { Mesh, Vector3 } from "@babylonjs/core";
+import { AnnotationManager } from "../src/annotationManager";
+import { addCustomMesh } from "../src/create";
+import { footprintCentroid } from "../src/polygonUtils";
+import { createTestScene } from "./helpers";
+
+describe("footprintCentroid", () => {
+    it("weights the loops by area, subtracting holes", () => {
+        const square = [[0, 0], [0, 4], [4, 4], [4, 0]];
+        expect(footprintCentroid([square])).toEqual([2, 2]);
+
+        // A hole in the right half shifts the centroid left
+        const hole = [[2, 1], [3, 1], [3, 3], [2, 3]];
+        const [x, z] = footprintCentroid([square, hole]);
+        expect(x).toBeCloseTo((16 * 2 - 2 * 2.5) / 14, 6);
+        expect(z).toBeCloseTo(2, 6);
+    });
+});
+
+describe("AnnotationManager", () => {
+    let engine;
+    let scene;
+    let cameraManager;
+    let snapManager;
+    let editModeManager;
+    let annotationManager;
+
+    // Label textures need a canvas, so the tests record the label texts on plain meshes
+    const labelTexts = () => annotationManager.labels.map(({ mesh }) => mesh.metadata.text);
+
+    beforeEach(() => {
+        ({ engine, scene, cameraManager, snapManager, editModeManager } = createTestScene());
+        annotationManager = new AnnotationManager(scene, cameraManager, editModeManager, snapManager);
+        annotationManager.createLabel = (text) => {
+            const label = new Mesh("annotationLabel", scene);
+            label.metadata = { text };
+            return label;
+        };
+        editModeManager.toggleEditMode();
+    });
+
+    afterEach(() => {
+        scene.dispose();
+        engine.dispose();
+    });
+
+    it("labels every footprint edge and the area of the selected prism", () => {
+        const mesh = addCustomMesh(scene, [[0, 0], [0, 3], [4, 3], [4, 0]], 5, [[[1, 1], [2, 1], [2, 2], [1, 2]]]);
+        editModeManager.selectMesh(mesh);
+
+        expect(labelTexts()).toEqual(["3.00", "4.00", "3.00", "4.00", "1.00", "1.00", "1.00", "1.00", "Area: 11.00"]);
+
+        // Edge labels sit outside the solid, at the top of the prism
+        const [first] = annotationManager.labels;
+        expect(first.anchor.asArray()).toEqual([0, 5, 1.5]);
+        expect(first.mesh.position.x).toBeLessThan(0);
+    });
+
+    it("updates the labels after an edit and removes them with the selection", () => {
+        const mesh = addCustomMesh(scene, [[0, 0], [0, 3], [4, 3], [4, 0]], 5);
+        editModeManager.selectMesh(mesh);
+        const { halfEdge } = editModeManager.findNearestTopEdge(mesh.brepData, new Vector3(2, 5, 3));
+
+        editModeManager.applyBrepEdit("Insert vertex", brep =>
+            editModeManager.insertVertexPairAndUpdateBREP(brep, halfEdge, 0.5));
+        expect(labelTexts()).toHaveLength(6);
+
+        editModeManager.undo();
+        expect(labelTexts()).toHaveLength(5);
+
+        editModeManager.clearSelection();
+        expect(annotationManager.labels).toEqual([]);
+    });
+
+    it("keeps labels the same size on screen when zooming", () => {
+        editModeManager.selectMesh(addCustomMesh(scene, [[0, 0], [0, 3], [4, 3], [4, 0]], 5));
+        const label = annotationManager.labels[0].mesh;
+        const size = label.scaling.y;
+
+        cameraManager.camera.radius *= 2;
+        scene.onBeforeRenderObservable.notifyObservers(scene);
+
+        expect(label.scaling.y).toBeCloseTo(2 * size, 6);
+    });
+
+    it("hides the labels outside the 2D view", () => {
+        editModeManager.selectMesh(addCustomMesh(scene, [[0, 0], [0, 3], [4, 3], [4, 0]], 5));
+        cameraManager.toggle2DMode();
+        expect(annotationManager.labels).toEqual([]);
+    });
+
+    it("measures the distance between two points", () => {
+        annotationManager.toggleMeasureMode();
+        annotationManager.addMeasurePoint(new Vector3(1, 0, 1));
+        annotationManager.addMeasurePoint(new Vector3(4, 0, 5));
+
+        expect(annotationManager.getMeasurement()).toEqual({ distance: 5, dx: 3, dz: 4 });
+        expect(annotationManager.measureLabels[0].mesh.metadata.text).toBe("5.00 (Δx 3.00, Δz 4.00)");
+
+        // A third click starts over
+        annotationManager.addMeasurePoint(new Vector3(0, 0, 0));
+        expect(annotationManager.getMeasurement()).toBeNull();
+    });
+});
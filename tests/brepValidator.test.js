@@ -0,0 +1,61 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { addCustomMesh } from "../src/create";
+import { cloneBrep } from "../src/brepUtils";
+import { computeSignedVolume, validateBrep } from "../src/brepValidator";
+import { createTestScene } from "./helpers";
+
+describe("validateBrep", () => {
+    let engine;
+    let scene;
+    let editModeManager;
+
+    beforeEach(() => {
+        ({ engine, scene, editModeManager } = createTestScene());
+    });
+
+    afterEach(() => {
+        scene.dispose();
+        engine.dispose();
+    });
+
+    // Moves the top and bottom vertices at a plan position of a prism to another one
+    const movePlanPosition = (brep, [x, z], [newX, newZ]) => {
+        brep.getPositions().forEach((position, i) => {
+            if (position[0] === x && position[2] === z) {
+                brep.getPositions()[i] = [newX, position[1], newZ];
+            }
+        });
+    };
+
+    it("finds faces whose loops intersect themselves even when the solid has a volume", () => {
+        const brep = cloneBrep(addCustomMesh(scene, [[0, 0], [0, 4], [4, 4], [4, 0]], 5).brepData);
+        movePlanPosition(brep, [4, 4], [-1, 2]);
+
+        expect(computeSignedVolume(brep)).toBeGreaterThan(0);
+        const { valid, failures } = validateBrep(brep);
+        expect(valid).toBe(false);
+        expect(failures.map(failure => failure.check)).toEqual(["faces"]);
+    });
+
+    it("finds holes that cross the outer loop of their face", () => {
+        const mesh = addCustomMesh(scene, [[0, 0], [0, 4], [4, 4], [4, 0]], 1, [[[1, 1], [3, 1], [3, 3], [1, 3]]]);
+        const brep = cloneBrep(mesh.brepData);
+        expect(validateBrep(brep).failures).toEqual([]);
+
+        movePlanPosition(brep, [3, 3], [5, 3]);
+        expect(validateBrep(brep).failures.map(failure => failure.check)).toContain("faces");
+    });
+
+    it("rolls back edits that leave a face intersecting itself", () => {
+        const messages = [];
+        editModeManager.onMessageObservable.add(message => messages.push(message));
+        const mesh = addCustomMesh(scene, [[0, 0], [0, 4], [4, 4], [4, 0]], 5);
+        editModeManager.toggleEditMode();
+        editModeManager.selectMesh(mesh);
+
+        expect(editModeManager.applyBrepEdit("Move vertex", brep => movePlanPosition(brep, [4, 4], [-1, 2]))).toBe(false);
+        expect(messages).toEqual(["Move vertex was rolled back: faces check failed (the loops of face 0 intersect)"]);
+        expect(editModeManager.selectedMesh.brepData.getPositions()).toContainEqual([4, 5, 4]);
+        expect(editModeManager.history.undoStack).toHaveLength(0);
+    });
+});
@@ -0,0 +1,100 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { Camera, Vector3 } from "@babylonjs/core";
+import { ProjectManager } from "../src/projectManager";
+import { createTestScene } from "./helpers";
+
+describe("Camera views", () => {
+    let engine;
+    let scene;
+    let cameraManager;
+    let editModeManager;
+    let camera;
+
+    beforeEach(() => {
+        ({ engine, scene, cameraManager, editModeManager } = createTestScene());
+        camera = cameraManager.getCamera();
+    });
+
+    afterEach(() => {
+        scene.dispose();
+        engine.dispose();
+    });
+
+    const orbitTo = (alpha, beta, radius, target) => {
+        camera.setTarget(Vector3.FromArray(target), false, false, true);
+        camera.alpha = alpha;
+        camera.beta = beta;
+        camera.radius = radius;
+    };
+
+    it("saves, recalls and deletes named views", () => {
+        orbitTo(0.5, 1, 20, [1, 2, 3]);
+        expect(cameraManager.saveView("  Corner ")).toBe(true);
+        expect(cameraManager.saveView(" ")).toBe(false);
+        cameraManager.toggle2DMode();
+        cameraManager.saveView("Plan");
+        expect(cameraManager.getViewNames()).toEqual(["Corner", "Plan"]);
+
+        expect(cameraManager.recallView("Corner", 0)).toBe(true);
+        expect(cameraManager.is2DMode).toBe(false);
+        expect([camera.alpha, camera.beta, camera.radius]).toEqual([0.5, 1, 20]);
+        expect(camera.target.asArray()).toEqual([1, 2, 3]);
+
+        expect(cameraManager.deleteView("Corner")).toBe(true);
+        expect(cameraManager.recallView("Corner")).toBe(false);
+        expect(cameraManager.getViewNames()).toEqual(["Plan"]);
+    });
+
+    it("animates into an orthographic view in perspective and switches at the end", () => {
+        cameraManager.toggle2DMode();
+        camera.orthoLeft = -10;
+        camera.orthoRight = 10;
+        cameraManager.saveView("Plan");
+        cameraManager.toggle2DMode();
+        orbitTo(Math.PI, 1, 40, [0, 0, 0]);
+
+        cameraManager.recallView("Plan", 600);
+        cameraManager.advanceTransition(300);
+        expect(camera.mode).toBe(Camera.PERSPECTIVE_CAMERA);
+        // Halfway, turning the short way from pi to -pi / 2
+        expect(camera.alpha).toBeCloseTo(Math.PI * 5 / 4, 6);
+        expect(camera.beta).toBeCloseTo(0.5, 6);
+
+        cameraManager.advanceTransition(300);
+        expect(cameraManager.transition).toBeNull();
+        expect(cameraManager.is2DMode).toBe(true);
+        expect(camera.mode).toBe(Camera.ORTHOGRAPHIC_CAMERA);
+        expect([camera.orthoLeft, camera.orthoRight]).toEqual([-10, 10]);
+    });
+
+    it("leaves an orthographic view at the perspective radius showing the same width", () => {
+        orbitTo(0, 1, 30, [5, 0, 5]);
+        cameraManager.saveView("Side");
+        cameraManager.toggle2DMode();
+        const width = camera.orthoRight - camera.orthoLeft;
+
+        cameraManager.recallView("Side", 1000);
+        expect(cameraManager.is2DMode).toBe(false);
+        expect(camera.radius).toBeCloseTo(width / (2 * Math.tan(camera.fov / 2)), 6);
+
+        cameraManager.advanceTransition(1000);
+        expect(camera.radius).toBe(30);
+        expect(camera.target.asArray()).toEqual([5, 0, 5]);
+    });
+
+    it("stores the saved views with the project", () => {
+        const projectManager = new ProjectManager(scene, cameraManager, editModeManager);
+        orbitTo(0.25, 0.75, 12, [0, 1, 0]);
+        cameraManager.saveView("Entrance");
+        const document = JSON.parse(JSON.stringify(projectManager.serialize()));
+        expect(document.views.map(view => view.name)).toEqual(["Entrance"]);
+
+        cameraManager.setSavedViews([]);
+        projectManager.load(document);
+        expect(cameraManager.getViewNames()).toEqual(["Entrance"]);
+
+        // Older projects without views clear the list
+        projectManager.load({ ...document, views: undefined });
+        expect(cameraManager.getViewNames()).toEqual([]);
+    });
+});
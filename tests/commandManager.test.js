@@ -0,0 +1,132 @@
+import { afterEach, describe, expect, it } from "vitest";
+import { addCustomMesh } from "../src/create";
+import { CommandManager, getEventShortcut, normalizeShortcut } from "../src/commandManager";
+import { createTestScene } from "./helpers";
+
+// A keydown event aimed at the canvas
+const keyDown = (key, modifiers = {}, target = { tagName: "CANVAS" }) => ({
+    key,
+    target,
+    ctrlKey: false,
+    metaKey: false,
+    altKey: false,
+    shiftKey: false,
+    ...modifiers,
+    isDefaultPrevented: false,
+    preventDefault() {
+        this.isDefaultPrevented = true;
+    }
+});
+
+describe("Shortcuts", () => {
+    it("writes shortcuts in one canonical form", () => {
+        expect(normalizeShortcut("shift+ctrl+z")).toBe("Ctrl+Shift+Z");
+        expect(normalizeShortcut("Cmd+k")).toBe("Ctrl+K");
+        expect(normalizeShortcut("esc")).toBe("Escape");
+        expect(normalizeShortcut("arrowUp")).toBe("ArrowUp");
+        expect(() => normalizeShortcut("Ctrl+")).toThrow("Shortcut Ctrl+ has no key");
+        expect(() => normalizeShortcut("Hyper+X")).toThrow("Unknown modifier Hyper in shortcut Hyper+X");
+
+        expect(getEventShortcut(keyDown("z", { metaKey: true, shiftKey: true }))).toBe("Ctrl+Shift+Z");
+        expect(getEventShortcut(keyDown("Shift", { shiftKey: true }))).toBeNull();
+    });
+});
+
+describe("CommandManager", () => {
+    let scene;
+    let engine;
+
+    afterEach(() => {
+        scene?.dispose();
+        engine?.dispose();
+    });
+
+    it("runs the first enabled command bound to a key, outside form fields", () => {
+        const commandManager = new CommandManager();
+        const runs = [];
+        let isDrawing = false;
+        commandManager.register({ id: "draw.cancel", label: "Discard footprint", shortcuts: ["Escape"],
+            isEnabled: () => isDrawing, run: () => runs.push("draw.cancel") });
+        commandManager.register({ id: "edit.clearSelection", label: "Clear selection", shortcuts: ["esc"],
+            run: () => runs.push("edit.clearSelection") });
+        expect(() => commandManager.register({ id: "draw.cancel", label: "Again", run() {} }))
+            .toThrow("Command draw.cancel is already registered");
+
+        const event = keyDown("Escape");
+        expect(commandManager.handleKeyDown(event)).toBe(true);
+        expect(event.isDefaultPrevented).toBe(true);
+        isDrawing = true;
+        commandManager.handleKeyDown(keyDown("Escape"));
+        expect(commandManager.handleKeyDown(keyDown("Escape", {}, { tagName: "INPUT" }))).toBe(false);
+        expect(commandManager.handleKeyDown(keyDown("q"))).toBe(false);
+
+        expect(runs).toEqual(["edit.clearSelection", "draw.cancel"]);
+    });
+
+    it("rebinds shortcuts, keeping stored ones for commands registered later", () => {
+        const commandManager = new CommandManager();
+        const runs = [];
+        commandManager.setShortcutOverrides({ "view.frame": ["shift+v"], broken: ["Hyper+X"] });
+        commandManager.register({ id: "view.frame", label: "Frame", shortcuts: ["F"], run: () => runs.push("frame") });
+
+        expect(commandManager.getShortcuts("view.frame")).toEqual(["Shift+V"]);
+        expect(commandManager.getShortcutOverrides()).toEqual({ "view.frame": ["Shift+V"] });
+        commandManager.handleKeyDown(keyDown("F"));
+        commandManager.handleKeyDown(keyDown("V", { shiftKey: true }));
+
+        commandManager.resetShortcuts("view.frame");
+        commandManager.handleKeyDown(keyDown("f"));
+        commandManager.setShortcuts("view.frame", []);
+        commandManager.handleKeyDown(keyDown("f"));
+
+        expect(runs).toEqual(["frame", "frame"]);
+    });
+
+    it("finds commands by every word of a query, label prefixes first", () => {
+        const commandManager = new CommandManager();
+        ["Zoom to fit all", "Frame selected", "Clear selection", "Select faces"].forEach((label, i) => {
+            commandManager.register({ id: `command${i}`, label, run() {} });
+        });
+
+        expect(commandManager.search("sel").map(command => command.label))
+            .toEqual(["Select faces", "Frame selected", "Clear selection"]);
+        expect(commandManager.search("selection clear").map(command => command.label)).toEqual(["Clear selection"]);
+        expect(commandManager.search("")).toHaveLength(4);
+    });
+
+    it("lets the tools register their commands, run from their default shortcuts", () => {
+        let cameraManager;
+        let editModeManager;
+        ({ engine, scene, cameraManager, editModeManager } = createTestScene());
+        const commandManager = new CommandManager();
+        editModeManager.registerCommands(commandManager);
+        cameraManager.registerCommands(commandManager);
+        const executed = [];
+        commandManager.onCommandExecutedObservable.add(command => executed.push(command.id));
+
+        const mesh = addCustomMesh(scene, [[0, 0], [0, 4], [4, 4], [4, 0]], 5);
+        editModeManager.toggleEditMode();
+
+        // Without a selection Delete is left to the browser, and F zooms to fit instead of framing
+        expect(commandManager.handleKeyDown(keyDown("Delete"))).toBe(false);
+        commandManager.handleKeyDown(keyDown("f"));
+
+        editModeManager.selectMesh(mesh);
+        expect(commandManager.handleKeyDown(keyDown("Backspace"))).toBe(false);
+        commandManager.handleKeyDown(keyDown("f"));
+        expect(cameraManager.getCamera().target.asArray()).toEqual([2, 2.5, 2]);
+
+        // Delete removes the selected vertex pair; Escape then clears the selection, and no longer applies
+        editModeManager.toggleVertexMarker([...editModeManager.vertexMarkers.keys()][0]);
+        commandManager.handleKeyDown(keyDown("Delete"));
+        expect(editModeManager.history.undoStack).toHaveLength(1);
+        commandManager.handleKeyDown(keyDown("Escape"));
+        expect(editModeManager.selectedMesh).toBeNull();
+        expect(commandManager.handleKeyDown(keyDown("Escape"))).toBe(false);
+
+        commandManager.handleKeyDown(keyDown("z", { ctrlKey: true }));
+        commandManager.handleKeyDown(keyDown("t"));
+        expect(cameraManager.is2DMode).toBe(false);
+        expect(executed).toEqual(["view.zoomToFit", "edit.frameSelected", "edit.deleteVertices", "edit.clearSelection", "edit.undo", "view.toggle2D"]);
+    });
+});
@@ -0,0 +1,84 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { Camera } from "@babylonjs/core";
+import { addCustomMesh } from "../src/create";
+import { createTestScene } from "./helpers";
+
+describe("Elevation views", () => {
+    let engine;
+    let scene;
+    let cameraManager;
+    let editModeManager;
+    let camera;
+
+    beforeEach(() => {
+        ({ engine, scene, cameraManager, editModeManager } = createTestScene());
+        camera = cameraManager.getCamera();
+    });
+
+    afterEach(() => {
+        scene.dispose();
+        engine.dispose();
+    });
+
+    const markerPositions = () => [...editModeManager.vertexMarkers.keys()]
+        .map(marker => marker.position.asArray().join(","))
+        .sort();
+
+    it("locks the rotation of an elevation and zooms its orthographic bounds", () => {
+        cameraManager.setOrthoView("front");
+        expect(camera.mode).toBe(Camera.ORTHOGRAPHIC_CAMERA);
+        expect(cameraManager.getElevationView()).toBe("front");
+        expect(cameraManager.isPlanView()).toBe(false);
+
+        camera.alpha = 1;
+        camera.radius *= 2;
+        scene.render();
+        expect([camera.alpha, camera.beta]).toEqual([-Math.PI / 2, Math.PI / 2]);
+        expect([camera.orthoLeft, camera.orthoRight]).toEqual([-60, 60]);
+
+        // Turning to another orthographic view keeps the zoom
+        cameraManager.setOrthoView("right");
+        expect([camera.alpha, camera.beta]).toEqual([0, Math.PI / 2]);
+        expect(camera.orthoRight).toBe(60);
+        expect(() => cameraManager.setOrthoView("bottom")).toThrow("Unknown orthographic view: bottom");
+    });
+
+    it("restores the orthographic view of a saved state", () => {
+        cameraManager.setOrthoView("left");
+        const state = cameraManager.getState();
+        expect(state.orthoView).toBe("left");
+
+        cameraManager.toggle2DMode();
+        expect(cameraManager.getState().orthoView).toBeNull();
+        cameraManager.setState(state);
+        expect(cameraManager.getElevationView()).toBe("left");
+        expect(camera.alpha).toBe(Math.PI);
+
+        // States saved before elevations existed show the top view
+        cameraManager.setState({ ...state, orthoView: undefined });
+        expect(cameraManager.isPlanView()).toBe(true);
+    });
+
+    it("marks the vertices of the walls facing the camera and box-selects in the view plane", () => {
+        const mesh = addCustomMesh(scene, [[0, 0], [0, 4], [4, 4], [4, 0]], 5);
+        cameraManager.setOrthoView("front");
+        editModeManager.toggleEditMode();
+        expect(cameraManager.getElevationView()).toBe("front");
+        editModeManager.selectMesh(mesh);
+
+        // Only the top vertex pairs of the wall at z = 0 face a camera looking along +z
+        expect(markerPositions()).toEqual(["0,5,0", "4,5,0"]);
+
+        cameraManager.setOrthoView("right");
+        expect(markerPositions()).toEqual(["4,5,0", "4,5,4"]);
+
+        // In a side view the box spans z and y
+        expect(editModeManager.selectInBox([3, 4], [5, 6], false)).toBe(1);
+        expect([...editModeManager.selectedVertexMarkers].map(marker => marker.position.z)).toEqual([4]);
+
+        editModeManager.setSelectionMode("face");
+        expect(editModeManager.selectInBox([-1, -1], [5, 4], false)).toBe(0);
+        expect(editModeManager.selectInBox([-1, -1], [5, 6], false)).toBe(1);
+        expect(editModeManager.selectedMesh).toBe(mesh);
+    });
+});
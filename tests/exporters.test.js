@@ -0,0 +1,151 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { CreateGround } from "@babylonjs/core";
+import { addCustomMesh } from "../src/create";
+import { ExportManager } from "../src/exportManager";
+import { exportGLTF, exportOBJ, exportSTLAscii, exportSTLBinary } from "../src/exporters";
+import { createTestScene } from "./helpers";
+
+const lines = (...rows) => `${rows.join("\n")}\n`;
+
+// The facets of the ASCII STL golden below, which the binary STL must match
+const PRISM_FACETS = [
+    [[0, -1, 0], [12, 0, 0], [10, 0, 1], [10, 0, 0]],
+    [[0, 1, 0], [12, 1, 0], [10, 1, 0], [10, 1, 1]],
+    [[0.447214, 0, 0.894427], [12, 1, 0], [10, 1, 1], [10, 0, 1]],
+    [[0.447214, 0, 0.894427], [10, 0, 1], [12, 0, 0], [12, 1, 0]],
+    [[0, 0, -1], [10, 0, 0], [12, 1, 0], [12, 0, 0]],
+    [[0, 0, -1], [12, 1, 0], [10, 0, 0], [10, 1, 0]],
+    [[-1, 0, 0], [10, 0, 1], [10, 1, 0], [10, 0, 0]],
+    [[-1, 0, 0], [10, 1, 0], [10, 0, 1], [10, 1, 1]]
+];
+
+describe("Exporters", () => {
+    let engine;
+    let scene;
+    let editModeManager;
+    let prism;
+
+    beforeEach(() => {
+        ({ engine, scene, editModeManager } = createTestScene());
+        // A right triangle prism, moved so the export has to bake its transform
+        prism = addCustomMesh(scene, [[0, 0], [2, 0], [0, 1]], 1);
+        prism.position.x = 10;
+    });
+
+    afterEach(() => {
+        scene.dispose();
+        engine.dispose();
+    });
+
+    it("writes BREP faces as OBJ n-gons, with and without the ground", () => {
+        const prismOBJ = [
+            "v 10 0 1", "v 12 0 0", "v 10 0 0", "v 10 1 1", "v 12 1 0", "v 10 1 0",
+            "f 3 2 1", "f 4 5 6", "f 1 2 5 4", "f 2 3 6 5", "f 3 1 4 6"
+        ];
+        expect(exportOBJ([prism])).toBe(lines("# OBJ export", "o custom_polygon_0", ...prismOBJ));
+
+        CreateGround("ground1", { width: 2, height: 2, subdivisions: 1 }, scene);
+        const exportManager = new ExportManager(scene, editModeManager);
+        expect(exportManager.write("obj")).toBe(exportOBJ([prism]));
+        expect(exportManager.write("obj", { includeGround: true })).toBe(lines(
+            "# OBJ export",
+            "o ground1_0",
+            "v -1 0 1", "v 1 0 1", "v -1 0 -1", "v 1 0 -1",
+            "f 4 1 2", "f 3 1 4",
+            "o custom_polygon_1",
+            ...prismOBJ.map(line => line.startsWith("f")
+                ? `f ${line.slice(2).split(" ").map(index => Number(index) + 4).join(" ")}`
+                : line)
+        ));
+    });
+
+    it("writes faces with holes as their triangles in OBJ", () => {
+        const holed = addCustomMesh(scene, [[0, 0], [4, 0], [4, 4], [0, 4]], 1, [[[1, 1], [3, 1], [3, 3], [1, 3]]]);
+
+        expect(exportOBJ([holed])).toBe(lines(
+            "# OBJ export",
+            "o custom_polygon_0",
+            "v 0 0 4", "v 4 0 4", "v 4 0 0", "v 0 0 0", "v 0 1 4", "v 4 1 4", "v 4 1 0", "v 0 1 0",
+            "v 1 0 1", "v 3 0 1", "v 3 0 3", "v 1 0 3", "v 1 1 1", "v 3 1 1", "v 3 1 3", "v 1 1 3",
+            // Bottom and top faces
+            "f 4 9 12", "f 10 9 4", "f 1 4 12", "f 10 4 3", "f 2 1 12", "f 11 10 3", "f 2 12 11", "f 11 3 2",
+            "f 8 16 13", "f 14 8 13", "f 5 16 8", "f 14 7 8", "f 6 16 5", "f 15 7 14", "f 6 15 16", "f 15 6 7",
+            // Outer and hole walls
+            "f 1 2 6 5", "f 2 3 7 6", "f 3 4 8 7", "f 4 1 5 8",
+            "f 9 10 14 13", "f 10 11 15 14", "f 11 12 16 15", "f 12 9 13 16"
+        ));
+    });
+
+    it("writes the same triangles to ASCII and binary STL", () => {
+        expect(exportSTLAscii([prism], "prism")).toBe(lines(
+            "solid prism",
+            ...PRISM_FACETS.flatMap(([normal, ...vertices]) => [
+                `  facet normal ${normal.join(" ")}`,
+                "    outer loop",
+                ...vertices.map(vertex => `      vertex ${vertex.join(" ")}`),
+                "    endloop",
+                "  endfacet"
+            ]),
+            "endsolid prism"
+        ));
+
+        const view = new DataView(exportSTLBinary([prism]));
+        expect(view.byteLength).toBe(84 + 50 * PRISM_FACETS.length);
+        expect(String.fromCharCode(...new Uint8Array(view.buffer, 0, 17))).toBe("Binary STL export");
+        expect(view.getUint32(80, true)).toBe(PRISM_FACETS.length);
+        PRISM_FACETS.forEach((facet, i) => {
+            facet.flat().forEach((value, j) => {
+                expect(view.getFloat32(84 + 50 * i + 4 * j, true)).toBeCloseTo(value, 5);
+            });
+            expect(view.getUint16(84 + 50 * i + 48, true)).toBe(0);
+        });
+    });
+
+    it("writes a glTF node per mesh with flat shaded faces in an embedded buffer", () => {
+        const gltf = exportGLTF([prism]);
+        const { uri, ...buffer } = gltf.buffers[0];
+        expect({ ...gltf, buffers: [buffer] }).toEqual({
+            asset: { version: "2.0", generator: "BREP editor" },
+            scene: 0,
+            scenes: [{ nodes: [0] }],
+            nodes: [{ name: "custom_polygon_0", mesh: 0 }],
+            meshes: [{
+                name: "custom_polygon_0",
+                primitives: [{ attributes: { POSITION: 0, NORMAL: 1 }, indices: 2, material: 0 }]
+            }],
+            materials: [{
+                name: "custom_polygon_0_material",
+                pbrMetallicRoughness: { baseColorFactor: [0.8, 0.8, 0.8, 1], metallicFactor: 0, roughnessFactor: 1 }
+            }],
+            accessors: [
+                { bufferView: 0, componentType: 5126, count: 18, type: "VEC3", min: [10, 0, 0], max: [12, 1, 1] },
+                { bufferView: 1, componentType: 5126, count: 18, type: "VEC3" },
+                { bufferView: 2, componentType: 5125, count: 24, type: "SCALAR" }
+            ],
+            bufferViews: [
+                { buffer: 0, byteOffset: 0, byteLength: 216, target: 34962 },
+                { buffer: 0, byteOffset: 216, byteLength: 216, target: 34962 },
+                { buffer: 0, byteOffset: 432, byteLength: 96, target: 34963 }
+            ],
+            buffers: [{ byteLength: 528 }]
+        });
+
+        const [prefix, base64] = uri.split(",");
+        expect(prefix).toBe("data:application/octet-stream;base64");
+        const bytes = Buffer.from(base64, "base64");
+        expect(bytes.toString("base64")).toBe(base64);
+
+        const data = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const readFloats = (offset, count) => Array.from({ length: count }, (_, i) => data.getFloat32(offset + 4 * i, true));
+        // The first face is the bottom triangle, with its own vertices and downward normals
+        expect(readFloats(0, 9)).toEqual([12, 0, 0, 10, 0, 1, 10, 0, 0]);
+        expect(readFloats(216, 9)).toEqual([0, -1, 0, 0, -1, 0, 0, -1, 0]);
+        const indices = Array.from({ length: 24 }, (_, i) => data.getUint32(432 + 4 * i, true));
+        expect(indices).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 8, 9, 6, 10, 11, 12, 11, 10, 13, 14, 15, 16, 15, 14, 17]);
+
+        // The ground adds a node of its own
+        const ground = CreateGround("ground1", { width: 2, height: 2, subdivisions: 1 }, scene);
+        expect(exportGLTF([ground, prism]).nodes.map(node => node.name)).toEqual(["ground1_0", "custom_polygon_1"]);
+        expect(JSON.stringify(exportGLTF([prism]))).toBe(JSON.stringify(gltf));
+    });
+});
@@ -0,0 +1,68 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { addCustomMesh } from "../src/create";
+import { createTestScene } from "./helpers";
+
+describe("Framing", () => {
+    let engine;
+    let scene;
+    let cameraManager;
+    let editModeManager;
+    let camera;
+    let wide;
+    let tall;
+
+    beforeEach(() => {
+        ({ engine, scene, cameraManager, editModeManager } = createTestScene());
+        camera = cameraManager.getCamera();
+        // 40 x 4 x 2 along x, and 4 x 4 x 30 next to it
+        wide = addCustomMesh(scene, [[0, 0], [0, 4], [40, 4], [40, 0]], 2);
+        tall = addCustomMesh(scene, [[100, 0], [100, 4], [104, 4], [104, 0]], 30);
+    });
+
+    afterEach(() => {
+        scene.dispose();
+        engine.dispose();
+    });
+
+    it("fits all meshes in the perspective view, keeping the orbit angles", () => {
+        const [alpha, beta] = [camera.alpha, camera.beta];
+        expect(cameraManager.zoomToFit()).toBe(true);
+
+        expect(camera.target.asArray()).toEqual([52, 15, 2]);
+        const sphereRadius = Math.hypot(104, 30, 4) / 2;
+        // The 800 x 600 test canvas is landscape, so the vertical field of view limits the fit
+        expect(camera.radius).toBeCloseTo(sphereRadius / Math.sin(camera.fov / 2) * 1.1, 6);
+        expect([camera.alpha, camera.beta]).toEqual([alpha, beta]);
+    });
+
+    it("fits the orthographic bounds to the axes of the view and the canvas aspect", () => {
+        cameraManager.toggle2DMode();
+        cameraManager.frameMeshes([wide]);
+        expect(camera.target.asArray()).toEqual([20, 1, 2]);
+        expect(camera.orthoRight).toBeCloseTo(22, 6);
+        expect(camera.orthoTop).toBeCloseTo(16.5, 6);
+
+        // The next frame does not treat the framing as a zoom
+        scene.render();
+        expect(camera.orthoRight).toBeCloseTo(22, 6);
+
+        // The front view shows x across and y down, where the tall mesh is limited by the canvas height
+        cameraManager.setOrthoView("front");
+        cameraManager.frameMeshes([tall]);
+        expect(camera.orthoRight).toBeCloseTo(15 / 0.75 * 1.1, 6);
+    });
+
+    it("frames the selected meshes in edit mode", () => {
+        const messages = [];
+        editModeManager.onMessageObservable.add(message => messages.push(message));
+        editModeManager.toggleEditMode();
+        expect(editModeManager.frameSelected()).toBe(false);
+        expect(messages).toEqual(["Select a mesh to frame"]);
+
+        editModeManager.selectMesh(tall);
+        expect(editModeManager.frameSelected()).toBe(true);
+        expect(camera.target.asArray()).toEqual([102, 15, 2]);
+        // A square footprint in the top view is limited by the canvas height
+        expect(camera.orthoRight).toBeCloseTo(2 / 0.75 * 1.1, 6);
+    });
+});
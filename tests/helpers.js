@@ -0,0 +1,54 @@
+import { NullEngine } from "@babylonjs/core/Engines/nullEngine";
+import { Scene } from "@babylonjs/core/scene";
+import { CameraManager } from "../src/cameraManager";
+import { EditModeManager } from "../src/editModeManager";
+import { SnapManager } from "../src/snapManager";
+
+// The camera only needs a canvas to attach its (unused) input handlers to
+const createCanvasStub = () => ({
+    width: 800,
+    height: 600,
+    style: {},
+    addEventListener() {},
+    removeEventListener() {},
+    focus() {}
+});
+
+/**
+ * Creates a headless scene with the managers the edit operations rely on.
+ * @returns {{engine: NullEngine, scene: Scene, cameraManager: CameraManager, snapManager: SnapManager,
+ *     editModeManager: EditModeManager}}
+ */
+export const createTestScene = () => {
+    const engine = new NullEngine();
+    const scene = new Scene(engine);
+    const cameraManager = new CameraManager(scene, createCanvasStub());
+    const snapManager = new SnapManager(scene, cameraManager);
+    const editModeManager = new EditModeManager(scene, cameraManager, snapManager);
+
+    return { engine, scene, cameraManager, snapManager, editModeManager };
+};
+
+/**
+ * Sums the areas of the triangles of a tessellated geometry.
+ * @param {Array<number>} positions - Flat x, y, z vertex positions.
+ * @param {Array<number>} indices - Triangle vertex indices.
+ * @returns {number} The total area.
+ */
+export const sumTriangleAreas = (positions, indices) => {
+    let area = 0;
+    for (let i = 0; i < indices.length; i += 3) {
+        const [a, b, c] = [0, 1, 2].map(corner => {
+            const index = 3 * indices[i + corner];
+            return [positions[index], positions[index + 1], positions[index + 2]];
+        });
+        const ab = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+        const ac = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+        area += Math.hypot(
+            ab[1] * ac[2] - ab[2] * ac[1],
+            ab[2] * ac[0] - ab[0] * ac[2],
+            ab[0] * ac[1] - ab[1] * ac[0]
+        ) / 2;
+    }
+    return area;
+};
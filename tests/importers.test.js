@@ -0,0 +1,175 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { createBrep } from "../src/brepUtils";
+import { computeSignedVolume, validateBrep } from "../src/brepValidator";
+import { ImportManager } from "../src/importManager";
+import { parseDXF, parseOBJ, parseSVG } from "../src/importers";
+import { createTestScene } from "./helpers";
+
+// Writes DXF group code / value pairs, one per line
+const dxf = (...pairs) => pairs.flat().join("\n");
+
+const lwpolyline = (points, isClosed) => [
+    [0, "LWPOLYLINE"], [90, points.length], [70, isClosed ? 1 : 0],
+    ...points.flatMap(([x, y]) => [[10, x], [20, y]])
+];
+
+const polyline = (points, isClosed) => [
+    [0, "POLYLINE"], [66, 1], [70, isClosed ? 1 : 0],
+    ...points.flatMap(([x, y]) => [[0, "VERTEX"], [10, x], [20, y], [30, 0]]),
+    [0, "SEQEND"]
+];
+
+// A unit cube, with its faces wound outward or inward
+const cubeOBJ = (isInward) => {
+    const faces = [[1, 2, 3, 4], [5, 8, 7, 6], [1, 5, 6, 2], [2, 6, 7, 3], [3, 7, 8, 4], [4, 8, 5, 1]];
+    return [
+        "o cube",
+        "v 0 0 0", "v 1 0 0", "v 1 0 1", "v 0 0 1",
+        "v 0 1 0", "v 1 1 0", "v 1 1 1", "v 0 1 1",
+        ...faces.map(face => `f ${(isInward ? [...face].reverse() : face).join(" ")}`)
+    ].join("\n");
+};
+
+describe("parseDXF", () => {
+    it("reads closed LWPOLYLINE and POLYLINE loops in scaled units", () => {
+        const text = dxf(
+            [0, "SECTION"], [2, "ENTITIES"],
+            ...lwpolyline([[0, 0], [2, 0], [2, 1]], true),
+            ...polyline([[5, 5], [6, 5], [6, 7], [5, 7]], true),
+            [0, "ENDSEC"], [0, "EOF"]
+        );
+
+        expect(parseDXF(text, 1000)).toEqual({
+            footprints: [
+                [[0, 0], [2000, 0], [2000, 1000]],
+                [[5000, 5000], [6000, 5000], [6000, 7000], [5000, 7000]]
+            ],
+            skipped: []
+        });
+    });
+
+    it("skips open and self-intersecting loops, but accepts loops ending where they start", () => {
+        const text = dxf(
+            ...lwpolyline([[0, 0], [2, 0], [2, 1]], false),
+            ...polyline([[0, 0], [3, 3], [3, 0], [0, 1]], true),
+            ...lwpolyline([[0, 0], [2, 0], [2, 1], [0, 0]], false),
+            [0, "EOF"]
+        );
+
+        expect(parseDXF(text)).toEqual({
+            footprints: [[[0, 0], [2, 0], [2, 1]]],
+            skipped: [
+                { source: "LWPOLYLINE 1", reason: "the loop is open" },
+                { source: "POLYLINE 2", reason: "the footprint intersects itself" }
+            ]
+        });
+    });
+});
+
+describe("parseSVG", () => {
+    it("reads polygons, rects and straight paths, flipping the y axis", () => {
+        const text = `<svg xmlns="http://www.w3.org/2000/svg">
+            <polygon points="0,0 2,0 2,1" />
+            <rect x="1" y="1" width="2" height="3"/>
+            <path d="M 0 0 h 2 v 2 H 0 Z m 5 0 l 1 0 l 0 1 z" />
+        </svg>`;
+
+        expect(parseSVG(text, 2)).toEqual({
+            footprints: [
+                [[0, -0], [4, -0], [4, -2]],
+                [[2, -2], [6, -2], [6, -8], [2, -8]],
+                [[0, -0], [4, -0], [4, -4], [0, -4]],
+                [[10, -0], [12, -0], [12, -2]]
+            ],
+            skipped: []
+        });
+    });
+
+    it("skips open polylines, self-intersecting polygons and curved paths", () => {
+        const text = `<svg>
+            <polyline points="0 0 2 0 2 1"/>
+            <polyline points="0 0 2 0 2 1 0 0"/>
+            <polygon points="0,0 3,3 3,0 0,1"/>
+            <path d="M0 0 C 1 1 2 1 3 0 Z"/>
+            <path d="M0 0 L 2 0 L 2 2"/>
+        </svg>`;
+
+        const { footprints, skipped } = parseSVG(text);
+        expect(footprints).toEqual([[[0, -0], [2, -0], [2, -1]]]);
+        expect(skipped).toEqual([
+            { source: "polyline 1", reason: "the loop is open" },
+            { source: "polygon 1", reason: "the footprint intersects itself" },
+            { source: "path 1", reason: "curved path segments are not supported" },
+            { source: "path 2", reason: "the loop is open" }
+        ]);
+    });
+});
+
+describe("parseOBJ", () => {
+    it("splits objects with their own vertex numbering, reading relative and slashed indices", () => {
+        const text = [
+            "# two triangles",
+            "v 0 0 0", "v 1 0 0", "v 0 1 0", "v 0 0 1",
+            "o first", "f 1/1/1 2/2/2 3/3/3",
+            "g second", "f -3 -2 -1",
+            "o empty"
+        ].join("\n");
+
+        expect(parseOBJ(text, 10)).toEqual([
+            { name: "first", positions: [[0, 0, 0], [10, 0, 0], [0, 10, 0]], cells: [[0, 1, 2]] },
+            { name: "second", positions: [[10, 0, 0], [0, 10, 0], [0, 0, 10]], cells: [[0, 1, 2]] }
+        ]);
+        expect(() => parseOBJ("v 0 0 0\nf 1 2 3")).toThrow("a face of object 1 references the missing vertex 2");
+    });
+});
+
+describe("ImportManager", () => {
+    let engine;
+    let scene;
+    let editModeManager;
+    let importManager;
+
+    beforeEach(() => {
+        ({ engine, scene, editModeManager } = createTestScene());
+        importManager = new ImportManager(scene, editModeManager);
+    });
+
+    afterEach(() => {
+        scene.dispose();
+        engine.dispose();
+    });
+
+    it("extrudes the footprints of a drawing as one edit, reporting the skipped loops", () => {
+        const text = dxf(
+            ...lwpolyline([[0, 0], [2, 0], [2, 1]], true),
+            ...lwpolyline([[0, 0], [2, 0]], false),
+            [0, "EOF"]
+        );
+        const { meshes, skipped } = importManager.importText("site.DXF", text, { unitScale: 0.5, height: 3 });
+
+        expect(meshes).toHaveLength(1);
+        const { minimumWorld, maximumWorld } = meshes[0].getBoundingInfo().boundingBox;
+        expect([minimumWorld.asArray(), maximumWorld.asArray()]).toEqual([[0, 0, 0], [1, 3, 0.5]]);
+        expect(skipped).toEqual([{ source: "LWPOLYLINE 2", reason: "the loop is open" }]);
+        expect(editModeManager.history.undoStack.map(command => command.label)).toEqual(["Import site.DXF"]);
+
+        expect(() => importManager.importText("site.dxf", text, { unitScale: 0 }))
+            .toThrow("The unit scale must be a positive number");
+        expect(() => importManager.importText("site.dwg", text)).toThrow(".dwg files are not supported");
+    });
+
+    it("turns inward-facing OBJ polyhedra inside out and skips open ones", () => {
+        const [inward] = parseOBJ(cubeOBJ(true));
+        expect(computeSignedVolume(createBrep(inward.positions, inward.cells))).toBeCloseTo(-1, 6);
+
+        const openBox = cubeOBJ(false).split("\n").slice(0, -1).join("\n").replace("o cube", "o box");
+        const { meshes, skipped } = importManager.importText("cubes.obj", `${cubeOBJ(true)}\n${openBox}`);
+
+        expect(meshes.map(mesh => mesh.name)).toEqual(["cube"]);
+        expect(validateBrep(meshes[0].brepData).failures).toEqual([]);
+        expect(computeSignedVolume(meshes[0].brepData)).toBeCloseTo(1, 6);
+        expect(skipped).toHaveLength(1);
+        expect(skipped[0].source).toBe("box");
+        expect(skipped[0].reason).toMatch(/^it is not a closed manifold solid/);
+    });
+});
@@ -0,0 +1,96 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { addCustomMesh } from "../src/create";
+import { getLoopVertices } from "../src/brepUtils";
+import { validateBrep } from "../src/brepValidator";
+import { createTestScene } from "./helpers";
+
+describe("Multi-selection", () => {
+    let engine;
+    let scene;
+    let editModeManager;
+    let square;
+    let triangle;
+
+    beforeEach(() => {
+        ({ engine, scene, editModeManager } = createTestScene());
+        square = addCustomMesh(scene, [[0, 0], [0, 4], [4, 4], [4, 0]], 5);
+        triangle = addCustomMesh(scene, [[10, 0], [10, 4], [14, 0]], 5);
+        editModeManager.toggleEditMode();
+    });
+
+    afterEach(() => {
+        scene.dispose();
+        engine.dispose();
+    });
+
+    const topVertexCount = (mesh) =>
+        getLoopVertices(editModeManager.findTopFace(mesh.brepData).getHalfEdge()).length;
+
+    const markersOf = (mesh) => [...editModeManager.vertexMarkerMeshes]
+        .filter(([, owner]) => owner === mesh)
+        .map(([marker]) => marker);
+
+    it("shows the vertex markers of every selected mesh", () => {
+        editModeManager.selectMesh(square);
+        expect(editModeManager.vertexMarkers.size).toBe(4);
+
+        editModeManager.toggleAdditionalMesh(triangle);
+        expect(editModeManager.getSelectedMeshes()).toEqual([square, triangle]);
+        expect(markersOf(triangle)).toHaveLength(3);
+    });
+
+    it("box-selects the meshes entirely inside, or the vertex markers inside", () => {
+        expect(editModeManager.selectInBox([-1, -1], [5, 20], false)).toBe(1);
+        expect(editModeManager.getSelectedMeshes()).toEqual([square]);
+
+        // Without vertex markers, a box around the selection adds meshes to it
+        editModeManager.setSelectionMode("face");
+        expect(editModeManager.selectInBox([-1, -1], [15, 5], true)).toBe(2);
+        expect(editModeManager.getSelectedMeshes()).toEqual([square, triangle]);
+
+        // With markers shown, the box picks vertices: the right side of the square
+        editModeManager.setSelectionMode("vertex");
+        expect(editModeManager.selectInBox([3, -1], [5, 5], false)).toBe(2);
+        expect([...editModeManager.selectedVertexMarkers].map(marker => marker.position.x)).toEqual([4, 4]);
+    });
+
+    it("deletes the selected vertex pairs of several meshes as one edit", () => {
+        editModeManager.selectMesh(square);
+        editModeManager.toggleAdditionalMesh(triangle);
+        const pentagon = addCustomMesh(scene, [[20, 0], [20, 4], [22, 6], [24, 4], [24, 0]], 5);
+        editModeManager.toggleAdditionalMesh(pentagon);
+
+        editModeManager.toggleVertexMarker(markersOf(square)[0]);
+        markersOf(pentagon).slice(0, 2).forEach(marker => editModeManager.toggleVertexMarker(marker));
+        expect(editModeManager.deleteSelectedVertices()).toBe(true);
+
+        const [newSquare, newTriangle, newPentagon] = editModeManager.getSelectedMeshes();
+        expect(newTriangle).toBe(triangle);
+        expect(topVertexCount(newSquare)).toBe(3);
+        expect(topVertexCount(newPentagon)).toBe(3);
+        [newSquare, newPentagon].forEach(mesh => expect(validateBrep(mesh.brepData).failures).toEqual([]));
+        expect(editModeManager.history.undoStack).toHaveLength(1);
+
+        editModeManager.undo();
+        const restored = editModeManager.getSelectedMeshes();
+        expect(restored).toHaveLength(3);
+        expect(topVertexCount(restored[0])).toBe(4);
+        expect(topVertexCount(restored[2])).toBe(5);
+    });
+
+    it("refuses the whole batch if a prism would keep fewer than 3 vertices", () => {
+        const messages = [];
+        editModeManager.onMessageObservable.add(message => messages.push(message));
+        editModeManager.selectMesh(square);
+        editModeManager.toggleAdditionalMesh(triangle);
+
+        editModeManager.toggleVertexMarker(markersOf(square)[0]);
+        editModeManager.toggleVertexMarker(markersOf(triangle)[0]);
+        expect(editModeManager.deleteSelectedVertices()).toBe(false);
+
+        expect(messages).toEqual(["Delete vertex pairs was refused: a prism needs at least 3 footprint vertices"]);
+        expect(topVertexCount(square)).toBe(4);
+        expect(topVertexCount(triangle)).toBe(3);
+        expect(editModeManager.history.undoStack).toHaveLength(0);
+    });
+});
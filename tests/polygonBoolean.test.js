@@ -0,0 +1,172 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { addCustomMesh } from "../src/create";
+import { BooleanManager } from "../src/booleanManager";
+import { computeFootprintBoolean } from "../src/polygonBoolean";
+import { computeSignedVolume, validateBrep } from "../src/brepValidator";
+import { footprintSignedArea } from "../src/polygonUtils";
+import { createTestScene } from "./helpers";
+
+const square = (x, z, size) => [[x, z], [x, z + size], [x + size, z + size], [x + size, z]];
+
+// Area of a footprint with holes, from its oriented loops
+const pieceArea = ({ outer, holes }) =>
+    footprintSignedArea(outer) + holes.reduce((sum, hole) => sum + footprintSignedArea(hole), 0);
+
+// Compares loops regardless of their starting point
+const sortedPoints = (loop) => loop.map(([x, z]) => `${x.toFixed(6)},${z.toFixed(6)}`).sort();
+
+describe("computeFootprintBoolean", () => {
+    it("combines overlapping squares", () => {
+        const a = { outer: square(0, 0, 4), holes: [] };
+        const b = { outer: square(2, 2, 4), holes: [] };
+
+        const union = computeFootprintBoolean("union", a, b);
+        expect(union).toHaveLength(1);
+        expect(union[0].outer).toHaveLength(8);
+        expect(pieceArea(union[0])).toBeCloseTo(28, 6);
+
+        const difference = computeFootprintBoolean("subtract", a, b);
+        expect(difference).toHaveLength(1);
+        expect(difference[0].outer).toHaveLength(6);
+        expect(pieceArea(difference[0])).toBeCloseTo(12, 6);
+
+        const intersection = computeFootprintBoolean("intersect", a, b);
+        expect(intersection).toHaveLength(1);
+        expect(sortedPoints(intersection[0].outer)).toEqual(sortedPoints(square(2, 2, 2)));
+    });
+
+    it("merges squares sharing an edge without keeping collinear vertices", () => {
+        const union = computeFootprintBoolean("union",
+            { outer: square(0, 0, 2), holes: [] },
+            { outer: [[2, 0], [2, 1], [2, 2], [4, 2], [4, 0]], holes: [] });
+
+        expect(union).toHaveLength(1);
+        expect(sortedPoints(union[0].outer)).toEqual(sortedPoints([[0, 0], [0, 2], [4, 2], [4, 0]]));
+        expect(union[0].holes).toEqual([]);
+    });
+
+    it("handles edges that overlap only in part", () => {
+        const a = { outer: square(0, 0, 4), holes: [] };
+        const b = { outer: [[4, 1], [4, 3], [6, 3], [6, 1]], holes: [] };
+
+        const [union] = computeFootprintBoolean("union", a, b);
+        expect(union.outer).toHaveLength(8);
+        expect(pieceArea(union)).toBeCloseTo(20, 6);
+        expect(computeFootprintBoolean("intersect", a, b)).toEqual([]);
+        expect(pieceArea(computeFootprintBoolean("subtract", a, b)[0])).toBeCloseTo(16, 6);
+    });
+
+    it("cuts a hole when subtracting an inner footprint, and fills it again with a union", () => {
+        const outer = { outer: square(0, 0, 10), holes: [] };
+        const inner = { outer: square(3, 3, 4), holes: [] };
+
+        const [ring] = computeFootprintBoolean("subtract", outer, inner);
+        expect(ring.holes).toHaveLength(1);
+        expect(footprintSignedArea(ring.outer)).toBeGreaterThan(0);
+        expect(footprintSignedArea(ring.holes[0])).toBeLessThan(0);
+        expect(pieceArea(ring)).toBeCloseTo(84, 6);
+
+        const filled = computeFootprintBoolean("union", ring, inner);
+        expect(filled).toHaveLength(1);
+        expect(filled[0].holes).toEqual([]);
+        expect(pieceArea(filled[0])).toBeCloseTo(100, 6);
+    });
+
+    it("handles identical, touching and disjoint footprints", () => {
+        const a = { outer: square(0, 0, 2), holes: [] };
+
+        expect(computeFootprintBoolean("subtract", a, a)).toEqual([]);
+        expect(pieceArea(computeFootprintBoolean("intersect", a, a)[0])).toBeCloseTo(4, 6);
+
+        // Touching at a corner gives two separate pieces
+        const cornerUnion = computeFootprintBoolean("union", a, { outer: square(2, 2, 2), holes: [] });
+        expect(cornerUnion).toHaveLength(2);
+
+        const far = { outer: square(5, 5, 1), holes: [] };
+        expect(computeFootprintBoolean("intersect", a, far)).toEqual([]);
+        expect(computeFootprintBoolean("union", a, far)).toHaveLength(2);
+    });
+
+    it("splits a footprint cut in two", () => {
+        const pieces = computeFootprintBoolean("subtract",
+            { outer: [[0, 0], [0, 2], [6, 2], [6, 0]], holes: [] },
+            { outer: [[2, -1], [2, 3], [4, 3], [4, -1]], holes: [] });
+
+        expect(pieces).toHaveLength(2);
+        pieces.forEach(piece => expect(pieceArea(piece)).toBeCloseTo(4, 6));
+    });
+});
+
+describe("BooleanManager", () => {
+    let engine;
+    let scene;
+    let editModeManager;
+    let booleanManager;
+
+    beforeEach(() => {
+        ({ engine, scene, editModeManager } = createTestScene());
+        booleanManager = new BooleanManager(scene, editModeManager);
+        editModeManager.toggleEditMode();
+    });
+
+    afterEach(() => {
+        scene.dispose();
+        engine.dispose();
+    });
+
+    it("replaces the two selected prisms with a valid result as one undoable edit", () => {
+        const first = addCustomMesh(scene, square(0, 0, 10), 4);
+        const second = addCustomMesh(scene, square(3, 3, 4), 8);
+        editModeManager.selectMesh(first);
+        editModeManager.toggleAdditionalMesh(second);
+
+        const [result] = booleanManager.apply("subtract");
+
+        expect(result).toBeDefined();
+        expect(first.isDisposed()).toBe(true);
+        expect(second.isDisposed()).toBe(true);
+        expect(editModeManager.selectedMesh).toBe(result);
+        expect(validateBrep(result.brepData).valid).toBe(true);
+        // The result keeps the height of the first prism
+        expect(computeSignedVolume(result.brepData)).toBeCloseTo(84 * 4, 6);
+
+        editModeManager.undo();
+        const restored = scene.meshes.filter(mesh => mesh.brepData);
+        expect(restored).toHaveLength(2);
+        expect(result.isDisposed()).toBe(true);
+
+        editModeManager.redo();
+        expect(scene.meshes.filter(mesh => mesh.brepData)).toHaveLength(1);
+    });
+
+    it("builds a raised result in the BREP so it stays editable", () => {
+        const first = addCustomMesh(scene, square(0, 0, 4), 2, [], {}, 3);
+        const second = addCustomMesh(scene, square(2, 2, 4), 2, [], {}, 3);
+        editModeManager.selectMesh(first);
+        editModeManager.toggleAdditionalMesh(second);
+
+        const [result] = booleanManager.apply("union");
+
+        expect(result.position.asArray()).toEqual([0, 0, 0]);
+        const { minimumWorld, maximumWorld } = result.getBoundingInfo().boundingBox;
+        expect([minimumWorld.y, maximumWorld.y]).toEqual([3, 5]);
+        expect(editModeManager.getMeshProperties(result)).toMatchObject({ hasUnbakedTransform: false, height: 2 });
+        expect(editModeManager.getMeshProperties(result).loops).not.toBeNull();
+
+        editModeManager.selectMesh(result);
+        expect(editModeManager.setExtrusionHeight(4)).toBe(true);
+        const raised = editModeManager.selectedMesh;
+        expect(editModeManager.getMeshProperties(raised).height).toBe(4);
+        raised.refreshBoundingInfo();
+        expect(raised.getBoundingInfo().boundingBox.maximumWorld.y).toBe(7);
+    });
+
+    it("refuses to run without two selected prisms", () => {
+        const first = addCustomMesh(scene, square(0, 0, 2), 4);
+        editModeManager.selectMesh(first);
+
+        expect(booleanManager.apply("union")).toEqual([]);
+        expect(first.isDisposed()).toBe(false);
+        expect(editModeManager.history.canUndo()).toBe(false);
+    });
+});
@@ -0,0 +1,63 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { addCustomMesh } from "../src/create";
+import { ProjectManager } from "../src/projectManager";
+import { createTestScene } from "./helpers";
+
+describe("ProjectManager", () => {
+    let engine;
+    let scene;
+    let editModeManager;
+    let projectManager;
+
+    beforeEach(() => {
+        let cameraManager;
+        ({ engine, scene, cameraManager, editModeManager } = createTestScene());
+        projectManager = new ProjectManager(scene, cameraManager, editModeManager);
+    });
+
+    afterEach(() => {
+        scene.dispose();
+        engine.dispose();
+    });
+
+    const brepMeshes = () => scene.meshes.filter(mesh => mesh.brepData);
+
+    it("replaces the meshes with those of a saved document", () => {
+        const mesh = addCustomMesh(scene, [[0, 0], [0, 4], [4, 4], [4, 0]], 5);
+        mesh.position.x = 10;
+        const document = projectManager.serialize();
+        addCustomMesh(scene, [[20, 0], [20, 4], [24, 4], [24, 0]], 2);
+
+        projectManager.load(document);
+        expect(brepMeshes()).toHaveLength(1);
+        expect(brepMeshes()[0].position.x).toBe(10);
+        expect(projectManager.serialize()).toEqual(document);
+    });
+
+    it("keeps the current scene and history when any mesh of a document is broken", () => {
+        const mesh = addCustomMesh(scene, [[0, 0], [0, 4], [4, 4], [4, 0]], 5);
+        const document = projectManager.serialize();
+        editModeManager.toggleEditMode();
+        editModeManager.selectMesh(mesh);
+        editModeManager.setExtrusionHeight(8);
+        const editedMesh = editModeManager.selectedMesh;
+        const meshCount = scene.meshes.length;
+
+        const [entry] = document.meshes;
+        const brokenDocuments = [
+            [{ ...entry, color: undefined }, "Mesh 1 has an invalid color"],
+            [{ ...entry, positions: entry.positions.slice(1) }, "Mesh 1 has invalid faces"],
+            [{ ...entry, cells: [[0, 1, "2"]] }, "Mesh 1 has invalid faces"],
+            [{ ...entry, cells: entry.cells.slice(1) }, "Mesh 1 is not a valid solid"]
+        ];
+        brokenDocuments.forEach(([broken, message]) => {
+            expect(() => projectManager.load({ ...document, meshes: [entry, broken] })).toThrow(message);
+        });
+
+        expect(scene.meshes.length).toBe(meshCount);
+        expect(brepMeshes().length).toBe(1);
+        expect(brepMeshes()[0] === editedMesh).toBe(true);
+        expect(editModeManager.selectedMesh === editedMesh).toBe(true);
+        expect(editModeManager.history.undoStack).toHaveLength(1);
+    });
+});
@@ -0,0 +1,85 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { Color3 } from "@babylonjs/core";
+import { addBrepMesh, addCustomMesh } from "../src/create";
+import { validateBrep } from "../src/brepValidator";
+import { createTestScene } from "./helpers";
+
+describe("Mesh properties", () => {
+    let engine;
+    let scene;
+    let editModeManager;
+    let messages;
+
+    beforeEach(() => {
+        ({ engine, scene, editModeManager } = createTestScene());
+        editModeManager.toggleEditMode();
+        editModeManager.selectMesh(addCustomMesh(scene, [[0, 0], [0, 4], [4, 4], [4, 0]], 5));
+        messages = [];
+        editModeManager.onMessageObservable.add(message => messages.push(message));
+    });
+
+    afterEach(() => {
+        scene.dispose();
+        engine.dispose();
+    });
+
+    const properties = () => editModeManager.getMeshProperties(editModeManager.selectedMesh);
+    const footprint = () => properties().loops[0].map(({ position: [x, , z] }) => `${x},${z}`).sort();
+
+    it("describes the counts, color, footprint and height of a prism", () => {
+        const { faces, edges, vertices, loops, height } = properties();
+        expect({ faces, edges, vertices, height }).toEqual({ faces: 6, edges: 12, vertices: 8, height: 5 });
+        expect(loops).toHaveLength(1);
+        expect(footprint()).toEqual(["0,0", "0,4", "4,0", "4,4"]);
+
+        const pyramid = addBrepMesh(scene, [[0, 0, 0], [1, 0, 0], [0, 0, 1], [0, 1, 0]], [[0, 1, 2], [0, 3, 1], [0, 2, 3], [1, 3, 2]]);
+        expect(editModeManager.getMeshProperties(pyramid)).toMatchObject({ faces: 4, edges: 6, vertices: 4, loops: null, height: null });
+    });
+
+    it("moves a footprint vertex pair from typed coordinates as one edit", () => {
+        const [{ vertex }] = properties().loops[0].filter(({ position }) => position[0] === 4 && position[2] === 4);
+        expect(editModeManager.moveFootprintVertex(vertex, 6, 5)).toBe(true);
+
+        expect(footprint()).toEqual(["0,0", "0,4", "4,0", "6,5"]);
+        expect(validateBrep(editModeManager.selectedMesh.brepData).failures).toEqual([]);
+        expect([...editModeManager.vertexMarkers.keys()].some(marker => marker.position.x === 6)).toBe(true);
+        expect(editModeManager.history.undoStack.map(command => command.label)).toEqual(["Move vertex"]);
+
+        expect(editModeManager.moveFootprintVertex(vertex, NaN, 5)).toBe(false);
+        expect(messages).toEqual(["Vertex coordinates must be numbers"]);
+
+        editModeManager.undo();
+        expect(footprint()).toEqual(["0,0", "0,4", "4,0", "4,4"]);
+    });
+
+    it("refuses typed coordinates that would make the footprint intersect itself", () => {
+        const [{ vertex }] = properties().loops[0].filter(({ position }) => position[0] === 4 && position[2] === 4);
+        expect(editModeManager.moveFootprintVertex(vertex, -1, 2)).toBe(false);
+
+        expect(messages).toEqual(["The move would make the footprint intersect itself"]);
+        expect(footprint()).toEqual(["0,0", "0,4", "4,0", "4,4"]);
+        expect(validateBrep(editModeManager.selectedMesh.brepData).failures).toEqual([]);
+        expect(editModeManager.history.undoStack).toHaveLength(0);
+    });
+
+    it("changes the extrusion height, refusing heights that are not positive", () => {
+        expect(editModeManager.setExtrusionHeight(8)).toBe(true);
+        expect(properties().height).toBe(8);
+        expect(editModeManager.setExtrusionHeight(8)).toBe(false);
+
+        expect(editModeManager.setExtrusionHeight(0)).toBe(false);
+        expect(messages).toEqual(["Extrusion height must be a positive number"]);
+        expect(editModeManager.history.undoStack.map(command => command.label)).toEqual(["Change height"]);
+    });
+
+    it("changes the material color as an undoable edit", () => {
+        const color = properties().color;
+        expect(editModeManager.setMeshColor(new Color3(1, 0, 0))).toBe(true);
+        expect(properties().color.asArray()).toEqual([1, 0, 0]);
+
+        editModeManager.undo();
+        expect(properties().color.asArray()).toEqual(color.asArray());
+        editModeManager.redo();
+        expect(properties().color.asArray()).toEqual([1, 0, 0]);
+    });
+});
@@ -0,0 +1,94 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { Vector3 } from "@babylonjs/core";
+import { PointerEventTypes } from "@babylonjs/core/Events/pointerEvents";
+import { addCustomMesh } from "../src/create";
+import { createTestScene } from "./helpers";
+
+describe("SnapManager", () => {
+    let engine;
+    let scene;
+    let cameraManager;
+    let snapManager;
+    // Snap tolerance in world units, derived from the pixel tolerance and the 2D zoom
+    let tolerance;
+
+    beforeEach(() => {
+        ({ engine, scene, cameraManager, snapManager } = createTestScene());
+        cameraManager.toggle2DMode();
+        tolerance = snapManager.tolerance * cameraManager.getWorldUnitsPerPixel();
+        addCustomMesh(scene, [[10, 10], [10, 20], [20, 20], [20, 10]], 5);
+    });
+
+    afterEach(() => {
+        scene.dispose();
+        engine.dispose();
+    });
+
+    const snapAt = (x, z, options) => {
+        const { point, type } = snapManager.snap(new Vector3(x, 5, z), options);
+        return { point: [point.x, point.y, point.z], type };
+    };
+
+    it("prefers vertices, then edge midpoints, then points on edges", () => {
+        const near = tolerance / 3;
+
+        expect(snapAt(20 + near, 10 - near)).toEqual({ point: [20, 5, 10], type: "vertex" });
+        expect(snapAt(15 + near, 20 - near)).toEqual({ point: [15, 5, 20], type: "midpoint" });
+
+        const onEdge = snapAt(10 + near, 13.3);
+        expect(onEdge.type).toBe("edge");
+        expect(onEdge.point[0]).toBe(10);
+        expect(onEdge.point[2]).toBeCloseTo(13.3, 9);
+    });
+
+    it("leaves out excluded vertices and the edges touching them", () => {
+        const mesh = scene.meshes.find(candidate => candidate.brepData);
+        const corner = mesh.brepData.getPositions()
+            .map((position, index) => ({ position, index }))
+            .filter(({ position }) => position[0] === 20 && position[2] === 10)
+            .map(({ index }) => index);
+
+        const result = snapAt(20, 10, { exclude: { mesh, vertexIndices: new Set(corner) } });
+        expect(result).toEqual({ point: [20, 5, 10], type: "grid" });
+    });
+
+    it("aligns to guides, parallel or perpendicular, and to their crossings", () => {
+        const guides = [{ origin: [40, 40], direction: [1, 1] }];
+        const near = tolerance / 4;
+
+        const aligned = snapManager.snap(new Vector3(45.3 + near, 0, 45.3), { guides });
+        expect(aligned.type).toBe("parallel");
+        expect(aligned.point.x).toBeCloseTo(aligned.point.z, 9);
+
+        const square = snapManager.snap(new Vector3(43.3 + near, 0, 36.7), { guides });
+        expect(square.type).toBe("perpendicular");
+        expect(square.point.x - 40).toBeCloseTo(40 - square.point.z, 9);
+
+        // Two guides through different points snap to where they cross
+        const crossing = snapManager.snap(new Vector3(50 + near, 0, 40 + near), {
+            guides: [{ origin: [50, 0], direction: [0, 1] }, { origin: [0, 40], direction: [1, 0] }]
+        });
+        expect([crossing.point.x, crossing.point.z]).toEqual([50, 40]);
+    });
+
+    it("falls back to the configurable grid", () => {
+        expect(snapAt(31.2, -7.9).point).toEqual([31, 5, -8]);
+
+        expect(snapManager.setGridStep(0.5)).toBe(true);
+        expect(snapAt(31.2, -7.9).point).toEqual([31, 5, -8]);
+        expect(snapAt(31.3, -7.7).point).toEqual([31.5, 5, -7.5]);
+        expect(snapManager.snapLength(2.2)).toBe(2);
+
+        expect(snapManager.setGridStep(0)).toBe(false);
+        expect(snapManager.gridStep).toBe(0.5);
+    });
+
+    it("turns off while the modifier key is held", () => {
+        scene.onPointerObservable.notifyObservers({ type: PointerEventTypes.POINTERMOVE, event: { altKey: true } });
+        expect(snapAt(20, 10.01)).toEqual({ point: [20, 5, 10.01], type: "none" });
+        expect(snapManager.snapLength(2.2)).toBe(2.2);
+
+        scene.onPointerObservable.notifyObservers({ type: PointerEventTypes.POINTERMOVE, event: { altKey: false } });
+        expect(snapAt(20, 10.01).type).toBe("vertex");
+    });
+});
@@ -0,0 +1,121 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { VertexBuffer } from "@babylonjs/core";
+import Tessellator from "../src/Tessellator";
+import { addCustomMesh } from "../src/create";
+import { createBrep } from "../src/brepUtils";
+import { footprintSignedArea } from "../src/polygonUtils";
+import { createTestScene, sumTriangleAreas } from "./helpers";
+
+// Tessellates a prism and returns the triangles of its top face (face 1)
+const tessellateTopFace = (scene, footprint, holes = []) => {
+    const mesh = addCustomMesh(scene, footprint, 5, holes);
+    const { geometry, faceFacetMapping } = new Tessellator().tessellate(mesh.brepData, scene);
+    const positions = geometry.getVerticesData(VertexBuffer.PositionKind);
+    const indices = geometry.getIndices();
+    const topIndices = faceFacetMapping[1].flatMap(facet => [0, 1, 2].map(corner => indices[3 * facet + corner]));
+
+    return { geometry, faceFacetMapping, positions, indices, topIndices };
+};
+
+describe("Tessellator", () => {
+    let engine;
+    let scene;
+    let editModeManager;
+
+    beforeEach(() => {
+        ({ engine, scene, editModeManager } = createTestScene());
+    });
+
+    afterEach(() => {
+        scene.dispose();
+        engine.dispose();
+    });
+
+    it("triangulates a concave face without covering its notch", () => {
+        const footprint = [[0, 0], [6, 0], [6, 2], [2, 2], [2, 6], [0, 6]];
+        const { positions, topIndices } = tessellateTopFace(scene, footprint);
+
+        expect(topIndices).toHaveLength(3 * (footprint.length - 2));
+        expect(sumTriangleAreas(positions, topIndices)).toBeCloseTo(Math.abs(footprintSignedArea(footprint)), 6);
+    });
+
+    it("triangulates faces with collinear vertices, including at the start of the loop", () => {
+        // The first three vertices are collinear, which must not break the projection
+        const footprint = [[0, 0], [2, 0], [4, 0], [4, 2], [4, 4], [2, 4], [0, 4], [0, 2]];
+        const { positions, topIndices } = tessellateTopFace(scene, footprint);
+
+        expect(topIndices.length).toBeGreaterThan(0);
+        expect(sumTriangleAreas(positions, topIndices)).toBeCloseTo(16, 6);
+    });
+
+    it("triangulates vertical faces projected onto their own plane", () => {
+        const { geometry, positions, indices } = tessellateTopFace(scene, [[0, 0], [3, 0], [3, 1], [0, 1]]);
+
+        // Bottom, top and the four sides: areas 3 + 3 + 2 * (15 + 5)
+        expect(sumTriangleAreas(positions, indices)).toBeCloseTo(46, 6);
+        expect(geometry.getTotalIndices() / 3).toBe(12);
+    });
+
+    it("cuts holes out of faces with inner loops", () => {
+        const { positions, topIndices, faceFacetMapping } = tessellateTopFace(
+            scene, [[0, 0], [10, 0], [10, 10], [0, 10]], [[[3, 3], [6, 3], [6, 6], [3, 6]]]);
+
+        expect(sumTriangleAreas(positions, topIndices)).toBeCloseTo(100 - 9, 6);
+        expect(topIndices).toHaveLength(3 * 8);
+        // Outer and inner side walls are quads of two triangles each
+        Object.keys(faceFacetMapping).slice(2).forEach(face => {
+            expect(faceFacetMapping[face]).toHaveLength(2);
+        });
+    });
+
+    it("produces no triangles for degenerate faces, without failing the other faces", () => {
+        const brep = createBrep(
+            [[0, 0, 0], [1, 0, 0], [2, 0, 0], [0, 0, 1], [1, 0, 1], [0, 1, 1]],
+            [[0, 1, 2], [3, 4, 5]]
+        );
+        const { geometry, faceFacetMapping } = new Tessellator().tessellate(brep, scene);
+
+        expect(faceFacetMapping[0]).toEqual([]);
+        expect(faceFacetMapping[1]).toEqual([0]);
+        expect(geometry.getTotalIndices()).toBe(3);
+    });
+
+    it("maps every triangle to exactly one face and gives every vertex a UV", () => {
+        const { geometry, faceFacetMapping } = tessellateTopFace(scene, [[-3, 8], [2, 5], [1, 11], [-3, 10], [-7, 8]]);
+        const facets = Object.values(faceFacetMapping).flat().sort((a, b) => a - b);
+
+        expect(facets).toEqual([...Array(geometry.getTotalIndices() / 3).keys()]);
+        expect(geometry.getVerticesData(VertexBuffer.UVKind)).toHaveLength(2 * geometry.getTotalVertices());
+    });
+
+    it("keeps world-scale UVs stable when the BREP is edited and re-tessellated", () => {
+        const mesh = addCustomMesh(scene, [[0, 0], [4, 0], [4, 3], [0, 3]], 5);
+
+        // UVs by face plane (normal) and vertex position
+        const getUVsByVertex = (brep) => {
+            const { geometry } = new Tessellator().tessellate(brep, scene);
+            const positions = geometry.getVerticesData(VertexBuffer.PositionKind);
+            const normals = geometry.getVerticesData(VertexBuffer.NormalKind);
+            const uvs = geometry.getVerticesData(VertexBuffer.UVKind);
+            const uvsByVertex = new Map();
+            for (let i = 0; i < geometry.getTotalVertices(); i++) {
+                const key = [...normals.slice(3 * i, 3 * i + 3), ...positions.slice(3 * i, 3 * i + 3)]
+                    .map(value => value.toFixed(3)).join(",");
+                uvsByVertex.set(key, [uvs[2 * i], uvs[2 * i + 1]]);
+            }
+            return uvsByVertex;
+        };
+
+        const before = getUVsByVertex(mesh.brepData);
+        const brep = mesh.brepData;
+        const topHalfEdge = editModeManager.findTopFace(brep).getHalfEdge();
+        editModeManager.insertVertexPairAndUpdateBREP(brep, topHalfEdge, 0.5);
+        const after = getUVsByVertex(brep);
+
+        expect(after.size).toBeGreaterThan(before.size);
+        before.forEach((uv, key) => {
+            expect(after.get(key)[0]).toBeCloseTo(uv[0], 6);
+            expect(after.get(key)[1]).toBeCloseTo(uv[1], 6);
+        });
+    });
+});
@@ -0,0 +1,135 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { Vector3 } from "@babylonjs/core";
+import { addCustomMesh } from "../src/create";
+import { validateBrep } from "../src/brepValidator";
+import { TransformManager } from "../src/transformManager";
+import { createTestScene } from "./helpers";
+
+describe("Transforms", () => {
+    let engine;
+    let scene;
+    let snapManager;
+    let editModeManager;
+    let mesh;
+
+    beforeEach(() => {
+        ({ engine, scene, snapManager, editModeManager } = createTestScene());
+        mesh = addCustomMesh(scene, [[0, 0], [0, 2], [4, 2], [4, 0]], 3);
+        editModeManager.toggleEditMode();
+        editModeManager.selectMesh(mesh);
+    });
+
+    afterEach(() => {
+        scene.dispose();
+        engine.dispose();
+    });
+
+    const roundedMarkerPositions = () => [...editModeManager.vertexMarkers.keys()]
+        .map(marker => [marker.position.x, marker.position.z].map(value => Math.round(value * 1e6) / 1e6).join(","))
+        .sort();
+
+    it("bakes a move and rotation into the BREP, keeping markers in world space", () => {
+        const before = editModeManager.captureMeshState(mesh);
+        mesh.position = new Vector3(10, 0, 5);
+        mesh.rotation = new Vector3(0, Math.PI / 2, 0);
+
+        expect(editModeManager.commitTransform("Move", mesh, before, true)).toBe(true);
+
+        const baked = editModeManager.selectedMesh;
+        expect(baked.entityId).toBe(mesh.entityId);
+        expect(baked.position.asArray()).toEqual([0, 0, 0]);
+        expect(baked.rotation.asArray()).toEqual([0, 0, 0]);
+        expect(validateBrep(baked.brepData).failures).toEqual([]);
+        // A quarter turn about Y maps (x, z) to (z, -x)
+        expect(roundedMarkerPositions()).toEqual(["10,1", "10,5", "12,1", "12,5"]);
+
+        editModeManager.undo();
+        expect(editModeManager.selectedMesh.position.asArray()).toEqual([0, 0, 0]);
+        expect(roundedMarkerPositions()).toEqual(["0,0", "0,2", "4,0", "4,2"]);
+    });
+
+    it("records an unbaked transform as one edit", () => {
+        const before = editModeManager.captureMeshState(mesh);
+        mesh.scaling = new Vector3(2, 1, 2);
+
+        expect(editModeManager.commitTransform("Scale", mesh, before)).toBe(true);
+        expect(editModeManager.selectedMesh).toBe(mesh);
+        expect(editModeManager.history.undoStack).toHaveLength(1);
+
+        editModeManager.undo();
+        expect(editModeManager.selectedMesh.scaling.asArray()).toEqual([1, 1, 1]);
+
+        // Baking afterwards moves the scaling into the BREP
+        editModeManager.redo();
+        expect(editModeManager.bakeTransform()).toBe(true);
+        expect(editModeManager.selectedMesh.scaling.asArray()).toEqual([1, 1, 1]);
+        expect(roundedMarkerPositions()).toEqual(["0,0", "0,4", "8,0", "8,4"]);
+        expect(editModeManager.bakeTransform()).toBe(false);
+    });
+
+    it("shows the markers of an unbaked transform in world space, refusing position edits until it is baked", () => {
+        const messages = [];
+        editModeManager.onMessageObservable.add(message => messages.push(message));
+        const before = editModeManager.captureMeshState(mesh);
+        mesh.position = new Vector3(10, 0, 0);
+        expect(editModeManager.commitTransform("Move", mesh, before)).toBe(true);
+        expect(roundedMarkerPositions()).toEqual(["10,0", "10,2", "14,0", "14,2"]);
+        expect(editModeManager.getMeshProperties(mesh)).toMatchObject({ hasUnbakedTransform: true, loops: null, height: null });
+
+        // A drag of a marker is refused, and not taken for a click deleting its vertex
+        const [marker, vertex] = [...editModeManager.vertexMarkers][0];
+        editModeManager.startVertexDrag(marker, vertex);
+        scene.pointerX += 50;
+        editModeManager.updateVertexDrag();
+        editModeManager.updateVertexDrag();
+        editModeManager.endVertexDrag();
+
+        expect(editModeManager.moveFootprintVertex(vertex, 1, 1)).toBe(false);
+        expect(editModeManager.setExtrusionHeight(6)).toBe(false);
+        // The picked point lies on the top edge at z = 0 in world space
+        editModeManager.handleEdgeInsertion(new Vector3(12, 3, 0));
+        expect(messages).toEqual(Array(4).fill("Bake the transform of the mesh before moving its vertices or faces"));
+        expect(editModeManager.history.undoStack.map(command => command.label)).toEqual(["Move"]);
+        expect(mesh.brepData.getVertices()).toHaveLength(8);
+
+        expect(editModeManager.bakeTransform()).toBe(true);
+        expect(editModeManager.setExtrusionHeight(6)).toBe(true);
+        expect(roundedMarkerPositions()).toEqual(["10,0", "10,2", "14,0", "14,2"]);
+    });
+
+    it("refuses to bake a mirrored transform", () => {
+        const messages = [];
+        editModeManager.onMessageObservable.add(message => messages.push(message));
+        const before = editModeManager.captureMeshState(mesh);
+        mesh.scaling = new Vector3(-1, 1, 1);
+
+        expect(editModeManager.commitTransform("Scale", mesh, before, true)).toBe(true);
+        expect(messages).toEqual(["Cannot bake a mirrored or flattened transform into the mesh"]);
+        expect(editModeManager.selectedMesh.scaling.x).toBe(-1);
+    });
+
+    it("follows the selection with the gizmo and commits gizmo drags", () => {
+        const transformManager = new TransformManager(scene, editModeManager, snapManager);
+        expect(transformManager.toggleMode("move")).toBe("move");
+        expect(transformManager.gizmoManager.gizmos.positionGizmo.attachedMesh).toBe(mesh);
+
+        transformManager.startTransform();
+        mesh.position.x = 3;
+        transformManager.endTransform();
+
+        const moved = editModeManager.selectedMesh;
+        expect(moved.position.x).toBe(0);
+        expect(roundedMarkerPositions()).toEqual(["3,0", "3,2", "7,0", "7,2"]);
+        expect(transformManager.gizmoManager.gizmos.positionGizmo.attachedMesh).toBe(moved);
+        expect(editModeManager.history.undoStack.map(command => command.label)).toEqual(["Move"]);
+
+        // A click on the gizmo that moves nothing is not an edit
+        transformManager.startTransform();
+        transformManager.endTransform();
+        expect(editModeManager.selectedMesh).toBe(moved);
+        expect(editModeManager.history.undoStack).toHaveLength(1);
+
+        editModeManager.clearSelection();
+        expect(transformManager.gizmoManager.gizmos.positionGizmo.attachedMesh).toBeNull();
+    });
+});
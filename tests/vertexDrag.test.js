@@ -0,0 +1,68 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { Matrix, Vector3 } from "@babylonjs/core";
+import { addCustomMesh } from "../src/create";
+import { createTestScene } from "./helpers";
+
+describe("Vertex drags", () => {
+    let engine;
+    let scene;
+    let editModeManager;
+    let mesh;
+    let messages;
+
+    beforeEach(() => {
+        ({ engine, scene, editModeManager } = createTestScene());
+        mesh = addCustomMesh(scene, [[0, 0], [0, 4], [4, 4], [4, 0]], 5);
+        editModeManager.toggleEditMode();
+        editModeManager.selectMesh(mesh);
+        messages = [];
+        editModeManager.onMessageObservable.add(message => messages.push(message));
+    });
+
+    afterEach(() => {
+        scene.dispose();
+        engine.dispose();
+    });
+
+    // Puts the pointer over a world point in the plan view
+    const pointAt = (point) => {
+        const camera = scene.activeCamera;
+        const viewport = camera.viewport.toGlobal(engine.getRenderWidth(), engine.getRenderHeight());
+        const screen = Vector3.Project(point, Matrix.Identity(),
+            camera.getViewMatrix().multiply(camera.getProjectionMatrix()), viewport);
+        scene.pointerX = screen.x;
+        scene.pointerY = screen.y;
+    };
+
+    const dragTopVertex = ([x, z], target) => {
+        const [marker, vertex] = [...editModeManager.vertexMarkers]
+            .find(([marker]) => marker.position.x === x && marker.position.y === 5 && marker.position.z === z);
+        pointAt(marker.position);
+        editModeManager.startVertexDrag(marker, vertex);
+        pointAt(target);
+        editModeManager.updateVertexDrag();
+        editModeManager.endVertexDrag();
+    };
+
+    const footprint = () => editModeManager.getMeshProperties(editModeManager.selectedMesh).loops[0]
+        .map(({ position: [x, , z] }) => `${x},${z}`).sort();
+
+    it("refuses a drag across an edge of the footprint", () => {
+        dragTopVertex([4, 4], new Vector3(-1, 5, 2));
+
+        expect(messages).toEqual(["The move would make the footprint intersect itself"]);
+        expect(footprint()).toEqual(["0,0", "0,4", "4,0", "4,4"]);
+        expect(editModeManager.history.undoStack).toHaveLength(0);
+    });
+
+    it("refuses a typed move taking a hole across the outer loop", () => {
+        const holed = addCustomMesh(scene, [[10, 0], [10, 4], [14, 4], [14, 0]], 5, [[[11, 1], [13, 1], [13, 3], [11, 3]]]);
+        editModeManager.selectMesh(holed);
+        const [{ vertex }] = editModeManager.getMeshProperties(holed).loops[1]
+            .filter(({ position }) => position[0] === 13 && position[2] === 3);
+
+        expect(editModeManager.moveFootprintVertex(vertex, 15, 3)).toBe(false);
+        expect(messages).toEqual(["The move would make the footprint intersect itself"]);
+        expect(editModeManager.moveFootprintVertex(vertex, 13.5, 3)).toBe(true);
+    });
+});
@@ -0,0 +1,139 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { addExampleMeshes } from "../src/create";
+import Tessellator from "../src/Tessellator";
+import { cloneBrep, getLoopVertices } from "../src/brepUtils";
+import { computeEulerCharacteristic, computeSignedVolume, validateBrep } from "../src/brepValidator";
+import { footprintSignedArea, validateFootprint } from "../src/polygonUtils";
+import { createTestScene } from "./helpers";
+
+const HEIGHT = 5;
+const EXAMPLE_NAMES = ["square", "pentagon", "hexagon", "octagon"];
+
+describe("deleteVertexPairAndUpdateBREP", () => {
+    let engine;
+    let scene;
+    let editModeManager;
+    let meshes;
+
+    beforeEach(() => {
+        ({ engine, scene, editModeManager } = createTestScene());
+        meshes = addExampleMeshes(scene);
+    });
+
+    afterEach(() => {
+        scene.dispose();
+        engine.dispose();
+    });
+
+    const getTopVertices = (brep) => getLoopVertices(editModeManager.findTopFace(brep).getHalfEdge());
+
+    // The [x, z] footprint of a prism, read from its top face loop
+    const getFootprint = (brep, topVertices) =>
+        topVertices.map(vertex => [brep.positions[vertex.getIndex()][0], brep.positions[vertex.getIndex()][2]]);
+
+    const sortPoints = (points) => points.map(point => point.join(",")).sort();
+
+    const expectValidPrism = (brep, footprintSize) => {
+        expect(validateBrep(brep).failures).toEqual([]);
+        expect(computeEulerCharacteristic(brep)).toBe(2);
+        expect(brep.vertices).toHaveLength(2 * footprintSize);
+        expect(brep.edges).toHaveLength(3 * footprintSize);
+        expect(brep.faces).toHaveLength(footprintSize + 2);
+        expect(brep.halfEdges).toHaveLength(6 * footprintSize);
+        expect(brep.cells).toHaveLength(footprintSize + 2);
+
+        // Top and bottom faces give n - 2 triangles each, every side quad gives 2
+        const { geometry } = new Tessellator().tessellate(brep, scene);
+        expect(geometry.getTotalIndices() / 3).toBe(2 * (footprintSize - 2) + 2 * footprintSize);
+        geometry.dispose();
+    };
+
+    EXAMPLE_NAMES.forEach((name, meshIndex) => {
+        it(`removes every vertex pair of the ${name} prism in sequence, from each starting vertex`, () => {
+            const original = meshes[meshIndex].brepData;
+            const footprintSize = getTopVertices(original).length;
+            expectValidPrism(original, footprintSize);
+
+            for (let start = 0; start < footprintSize; start++) {
+                let brep = cloneBrep(original);
+                let volume = computeSignedVolume(brep);
+
+                for (let size = footprintSize; size > 3; size--) {
+                    let removed = false;
+
+                    // Try the vertices in turn; removing a reflex vertex may turn the footprint inside out
+                    for (let offset = 0; offset < size && !removed; offset++) {
+                        const candidate = cloneBrep(brep);
+                        const topVertices = getTopVertices(candidate);
+                        const position = (start + offset) % size;
+                        const vertex = topVertices[position];
+                        const ear = getFootprint(candidate, [
+                            topVertices[(position + size - 1) % size],
+                            vertex,
+                            topVertices[(position + 1) % size]
+                        ]);
+                        const expectedFootprint = getFootprint(candidate, topVertices.filter(v => v !== vertex));
+
+                        editModeManager.deleteVertexPairAndUpdateBREP(
+                            candidate, vertex, editModeManager.findVertexBelow(vertex, candidate));
+
+                        if (validateFootprint(expectedFootprint) || footprintSignedArea(expectedFootprint) <= 0) {
+                            // The validator catches it, so interactive edits roll it back
+                            expect(validateBrep(candidate).valid).toBe(false);
+                            continue;
+                        }
+
+                        expectValidPrism(candidate, size - 1);
+                        expect(sortPoints(getFootprint(candidate, getTopVertices(candidate))))
+                            .toEqual(sortPoints(expectedFootprint));
+
+                        // The prism loses the ear cut off by the removed vertex: it shrinks for
+                        // convex vertices and grows for reflex ones
+                        const newVolume = computeSignedVolume(candidate);
+                        expect(volume - newVolume).toBeCloseTo(HEIGHT * footprintSignedArea(ear), 6);
+                        expect(newVolume).toBeCloseTo(HEIGHT * footprintSignedArea(expectedFootprint), 6);
+                        expect(Math.sign(volume - newVolume)).toBe(Math.sign(footprintSignedArea(ear)));
+
+                        brep = candidate;
+                        volume = newVolume;
+                        removed = true;
+                    }
+                    expect(removed).toBe(true);
+                }
+
+                // A triangular prism cannot lose another pair, and is left untouched
+                const [lastVertex] = getTopVertices(brep);
+                expect(() => editModeManager.deleteVertexPairAndUpdateBREP(
+                    brep, lastVertex, editModeManager.findVertexBelow(lastVertex, brep)
+                )).toThrow("A prism needs at least 3 footprint vertices");
+                expectValidPrism(brep, 3);
+            }
+        });
+    });
+
+    it("removes vertex pairs of the selected mesh through the edit history", () => {
+        const mesh = meshes[3];
+        const originalVolume = computeSignedVolume(mesh.brepData);
+        editModeManager.toggleEditMode();
+        editModeManager.selectMesh(mesh);
+
+        for (let size = 8; size > 3; size--) {
+            const [vertex] = editModeManager.vertexMarkers.values();
+            editModeManager.handleVertexSelection(vertex);
+            expectValidPrism(editModeManager.selectedMesh.brepData, size - 1);
+        }
+        expect(editModeManager.history.undoStack).toHaveLength(5);
+
+        // The refused deletion is rolled back and not recorded
+        const [vertex] = editModeManager.vertexMarkers.values();
+        editModeManager.handleVertexSelection(vertex);
+        expect(editModeManager.history.undoStack).toHaveLength(5);
+        expectValidPrism(editModeManager.selectedMesh.brepData, 3);
+
+        while (editModeManager.history.canUndo()) {
+            editModeManager.undo();
+        }
+        expect(computeSignedVolume(editModeManager.selectedMesh.brepData)).toBeCloseTo(originalVolume, 6);
+        expectValidPrism(editModeManager.selectedMesh.brepData, 8);
+    });
+});
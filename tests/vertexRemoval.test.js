@@ -0,0 +1,109 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { addBrepMesh, addCustomMesh } from "../src/create";
+import { createBrep, getFaceLoops, getLoopVertices } from "../src/brepUtils";
+import { computeEulerCharacteristic, computeSignedVolume, validateBrep } from "../src/brepValidator";
+import { createTestScene } from "./helpers";
+
+// A double pyramid whose four middle vertices do not lie in one plane
+const SKEWED_BIPYRAMID = {
+    positions: [[0, 2, 0], [1, 0, 0], [0, 0.5, 1], [-1, 0, 0], [0, 0.5, -1], [0, -2, 0]],
+    cells: [
+        [0, 2, 1], [0, 3, 2], [0, 4, 3], [0, 1, 4],
+        [5, 1, 2], [5, 2, 3], [5, 3, 4], [5, 4, 1]
+    ]
+};
+
+// A 2 x 2 x 2 box whose top is split into four quads around a center vertex (index 12)
+const SPLIT_TOP_BOX = {
+    positions: [
+        [0, 0, 0], [2, 0, 0], [2, 0, 2], [0, 0, 2],
+        [0, 2, 0], [2, 2, 0], [2, 2, 2], [0, 2, 2],
+        [1, 2, 0], [2, 2, 1], [1, 2, 2], [0, 2, 1],
+        [1, 2, 1]
+    ],
+    cells: [
+        [0, 1, 2, 3],
+        [4, 11, 12, 8], [8, 12, 9, 5], [12, 10, 6, 9], [11, 7, 10, 12],
+        [0, 4, 8, 5, 1], [1, 5, 9, 6, 2], [2, 6, 10, 7, 3], [3, 7, 11, 4, 0]
+    ]
+};
+
+describe("removeVertexAndUpdateBREP", () => {
+    let engine;
+    let scene;
+    let editModeManager;
+
+    beforeEach(() => {
+        ({ engine, scene, editModeManager } = createTestScene());
+    });
+
+    afterEach(() => {
+        scene.dispose();
+        engine.dispose();
+    });
+
+    const expectValidSolid = (brep, counts) => {
+        expect(validateBrep(brep, { eulerCharacteristic: 2 }).failures).toEqual([]);
+        expect(computeEulerCharacteristic(brep)).toBe(2);
+        expect({
+            vertices: brep.vertices.length,
+            edges: brep.edges.length,
+            faces: brep.faces.length
+        }).toEqual(counts);
+        expect(brep.positions).toHaveLength(counts.vertices);
+    };
+
+    const faceSizes = (brep) => brep.faces.map(face => getLoopVertices(getFaceLoops(face)[0]).length).sort();
+
+    it("cuts off a box corner with a triangle", () => {
+        const mesh = addCustomMesh(scene, [[0, 0], [0, 2], [2, 2], [2, 0]], 2);
+        const brep = mesh.brepData;
+        const corner = brep.vertices.find(vertex => brep.positions[vertex.getIndex()].every(value => value === 0));
+
+        editModeManager.removeVertexAndUpdateBREP(brep, corner);
+
+        expectValidSolid(brep, { vertices: 7, edges: 12, faces: 7 });
+        expect(faceSizes(brep)).toEqual([3, 3, 3, 3, 4, 4, 4]);
+        expect(computeSignedVolume(brep)).toBeCloseTo(8 - 8 / 6, 6);
+    });
+
+    it("re-triangulates the gap when the neighbors are not coplanar", () => {
+        const brep = createBrep(SKEWED_BIPYRAMID.positions, SKEWED_BIPYRAMID.cells);
+        const volume = computeSignedVolume(brep);
+
+        editModeManager.removeVertexAndUpdateBREP(brep, brep.vertices[0]);
+
+        expectValidSolid(brep, { vertices: 5, edges: 9, faces: 6 });
+        expect(faceSizes(brep)).toEqual([3, 3, 3, 3, 3, 3]);
+        expect(computeSignedVolume(brep)).toBeLessThan(volume);
+        expect(computeSignedVolume(brep)).toBeGreaterThan(0);
+    });
+
+    it("merges the faces around a vertex when they are coplanar", () => {
+        const brep = createBrep(SPLIT_TOP_BOX.positions, SPLIT_TOP_BOX.cells);
+
+        editModeManager.removeVertexAndUpdateBREP(brep, brep.vertices[12]);
+
+        expectValidSolid(brep, { vertices: 12, edges: 16, faces: 6 });
+        expect(faceSizes(brep)).toEqual([4, 5, 5, 5, 5, 8]);
+        expect(computeSignedVolume(brep)).toBeCloseTo(8, 6);
+    });
+
+    it("removes single vertices of non-prism meshes from their markers, as one undoable edit", () => {
+        const mesh = addBrepMesh(scene, SKEWED_BIPYRAMID.positions, SKEWED_BIPYRAMID.cells);
+        editModeManager.toggleEditMode();
+        editModeManager.selectMesh(mesh);
+
+        // Every vertex of a non-prism solid gets a marker
+        expect(editModeManager.vertexMarkers.size).toBe(6);
+        const [apexMarker] = [...editModeManager.vertexMarkers.keys()].filter(marker => marker.position.y === 2);
+        editModeManager.handleVertexMarkerClick(apexMarker);
+
+        expect(editModeManager.history.undoStack.map(command => command.label)).toEqual(["Delete vertex"]);
+        expectValidSolid(editModeManager.selectedMesh.brepData, { vertices: 5, edges: 9, faces: 6 });
+        expect(editModeManager.vertexMarkers.size).toBe(5);
+
+        editModeManager.undo();
+        expect(editModeManager.selectedMesh.brepData.vertices).toHaveLength(6);
+    });
+});